@@ -0,0 +1,27 @@
+import globals from 'globals';
+
+// Only catches names that are used but never defined or imported; the
+// page modules cannot run under node, so nothing else would
+export default [
+    {
+        ignores: ['vendor/', 'node_modules/']
+    },
+    {
+        files: ['src/**/*.js', 'test/**/*.js', '*.mjs'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: { ...globals.browser, ...globals.node }
+        },
+        rules: { 'no-undef': 'error' }
+    },
+    {
+        files: ['sw.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            globals: globals.serviceworker
+        },
+        rules: { 'no-undef': 'error' }
+    }
+];
@@ -1,10 +1,54 @@
-// Minimal GLB generator — writes furniture models as GLB binary files
-// GLB format: Header(12) + JSON chunk + BIN chunk
-import { writeFileSync } from 'fs';
+// Model generator — builds the furniture GLBs in models/ from the spec files
+// in model-specs/.
+//
+//   node generate-models.mjs                 build every model
+//   node generate-models.mjs table chair     build only these
+//   node generate-models.mjs --list          list the models and their parts
+//   node generate-models.mjs --out <dir>     write somewhere other than models/
+//
+// A spec (model-specs/<name>.json) looks like:
+//   {
+//     "format": 1,
+//     "materials": { "cushion": { "color": "#3a2040", "texture": "weave" } },
+//     "nodes": [
+//       { "name": "carcass", "parts": [ <part>, ... ] },
+//       { "name": "drawer", "pivot": [x, y, z], "open": { "slideZ": 0.4 }, "parts": [ ... ] }
+//     ],
+//     "lods": [ { "distance": 8, "segments": 0.5, "minSize": 0.05 } ]
+//   }
+// Parts are primitives placed in model coordinates:
+//   { "shape": "box", "size": [w, h, d] }
+//   { "shape": "cylinder", "radiusTop": r, "radiusBottom": r, "height": h, "segments": 8 }
+//   { "shape": "sphere", "radius": r, "widthSegments": 8, "heightSegments": 6 }
+//   { "shape": "openBox", "size": [w, h, d], "thickness": t, "open": "front" | "top" }
+// each with "material", and optionally "position", "rotation" (radians, XYZ)
+// and "scale"; "repeat": n copies the part n times around the y axis.
+//
+// Materials come from model-specs/materials.json unless the spec defines its
+// own: "color", "roughness", "metalness", "emissive", "emissiveStrength",
+// "opacity" and "texture" (a procedural tile: grain, weave or speckle).
+// UVs are in metres, so textures keep their scale on every piece.
+//
+// Each node becomes a named glTF node with one primitive per material. Movable
+// parts (doors, drawers) are built around their "pivot" — a door's hinge, a
+// drawer's closed position — and the node sits at the pivot; "open" ends up in
+// the node's extras, which GLTFLoader copies to userData: { rotateY: radians }
+// swings a door, { slideZ: metres } pulls a drawer out.
+//
+// "lods" adds lower-detail copies of every node, used from "distance" metres
+// on: round shapes get "segments" times as many sides and parts smaller than
+// "minSize" are left out. The levels are child nodes tagged { lod: <level> },
+// and the scene's extras list the distances for placeModel in the game.
+import { readFileSync, writeFileSync, readdirSync, mkdirSync } from 'fs';
+import { deflateSync } from 'zlib';
 
-function f32(arr) { return new Float32Array(arr); }
-function u16(arr) { return new Uint16Array(arr); }
+const SPEC_DIR = 'model-specs';
+const SHAPES = ['box', 'cylinder', 'sphere', 'openBox'];
+const TEXTURES = ['grain', 'weave', 'speckle'];
+const TEXTURE_SIZE = 64;
 
+// ─── GEOMETRY ───
+// Every shape returns { positions, normals, uvs, indices } as plain arrays.
 function boxGeometry(w, h, d) {
     const hw = w/2, hh = h/2, hd = d/2;
     const positions = [
@@ -23,52 +67,60 @@ function boxGeometry(w, h, d) {
         1,0,0, 1,0,0, 1,0,0, 1,0,0,
         -1,0,0, -1,0,0, -1,0,0, -1,0,0,
     ];
+    // Each face is mapped by the two axes it spans, in metres
+    const uvs = [];
+    for (let i = 0; i < 24; i++) {
+        const x = positions[i*3] + hw, y = positions[i*3+1] + hh, z = positions[i*3+2] + hd;
+        const face = Math.floor(i / 4);
+        if (face < 2) uvs.push(x, y);
+        else if (face < 4) uvs.push(x, z);
+        else uvs.push(z, y);
+    }
     const indices = [];
     for (let i = 0; i < 6; i++) {
         const o = i * 4;
         indices.push(o, o+1, o+2, o, o+2, o+3);
     }
-    return { positions: f32(positions), normals: f32(normals), indices: u16(indices) };
+    return { positions, normals, uvs, indices };
 }
 
 function cylinderGeometry(rTop, rBot, h, segs) {
-    segs = segs || 8;
-    const positions = [], normals = [], indices = [];
-    const hh = h/2;
+    const positions = [], normals = [], uvs = [], indices = [];
+    const hh = h/2, around = 2 * Math.PI * Math.max(rTop, rBot);
     for (let i = 0; i <= segs; i++) {
         const a = (i/segs) * Math.PI * 2;
         const cos = Math.cos(a), sin = Math.sin(a);
         positions.push(rBot*cos, -hh, rBot*sin);
         normals.push(cos, 0, sin);
+        uvs.push(around * i/segs, 0);
         positions.push(rTop*cos,  hh, rTop*sin);
         normals.push(cos, 0, sin);
+        uvs.push(around * i/segs, h);
     }
     for (let i = 0; i < segs; i++) {
         const a = i*2, b = a+1, c = a+2, d = a+3;
         indices.push(a,c,b, b,c,d);
     }
-    const topCenter = positions.length/3;
-    positions.push(0, hh, 0); normals.push(0,1,0);
-    for (let i = 0; i <= segs; i++) {
-        const a = (i/segs) * Math.PI * 2;
-        positions.push(rTop*Math.cos(a), hh, rTop*Math.sin(a));
-        normals.push(0,1,0);
-    }
-    for (let i = 0; i < segs; i++) indices.push(topCenter, topCenter+1+i, topCenter+2+i);
-    const botCenter = positions.length/3;
-    positions.push(0, -hh, 0); normals.push(0,-1,0);
-    for (let i = 0; i <= segs; i++) {
-        const a = (i/segs) * Math.PI * 2;
-        positions.push(rBot*Math.cos(a), -hh, rBot*Math.sin(a));
-        normals.push(0,-1,0);
-    }
-    for (let i = 0; i < segs; i++) indices.push(botCenter, botCenter+2+i, botCenter+1+i);
-    return { positions: f32(positions), normals: f32(normals), indices: u16(indices) };
+    // Caps, mapped straight down
+    [[hh, rTop, 1], [-hh, rBot, -1]].forEach(([y, r, ny]) => {
+        const center = positions.length/3;
+        positions.push(0, y, 0); normals.push(0, ny, 0); uvs.push(r, r);
+        for (let i = 0; i <= segs; i++) {
+            const a = (i/segs) * Math.PI * 2;
+            positions.push(r*Math.cos(a), y, r*Math.sin(a));
+            normals.push(0, ny, 0);
+            uvs.push(r + r*Math.cos(a), r + r*Math.sin(a));
+        }
+        for (let i = 0; i < segs; i++) {
+            if (ny > 0) indices.push(center, center+1+i, center+2+i);
+            else indices.push(center, center+2+i, center+1+i);
+        }
+    });
+    return { positions, normals, uvs, indices };
 }
 
 function sphereGeometry(r, ws, hs) {
-    ws = ws || 8; hs = hs || 6;
-    const positions = [], normals = [], indices = [];
+    const positions = [], normals = [], uvs = [], indices = [];
     for (let y = 0; y <= hs; y++) {
         const v = y/hs, phi = v * Math.PI;
         for (let x = 0; x <= ws; x++) {
@@ -76,6 +128,7 @@ function sphereGeometry(r, ws, hs) {
             const nx = Math.cos(theta)*Math.sin(phi), ny = Math.cos(phi), nz = Math.sin(theta)*Math.sin(phi);
             positions.push(r*nx, r*ny, r*nz);
             normals.push(nx, ny, nz);
+            uvs.push(u * 2 * Math.PI * r, v * Math.PI * r);
         }
     }
     for (let y = 0; y < hs; y++)
@@ -83,84 +136,370 @@ function sphereGeometry(r, ws, hs) {
             const a = y*(ws+1)+x, b = a+ws+1;
             indices.push(a, b, a+1, b, b+1, a+1);
         }
-    return { positions: f32(positions), normals: f32(normals), indices: u16(indices) };
+    return { positions, normals, uvs, indices };
 }
 
-function mergeGeometries(parts) {
-    let totalVerts = 0, totalIdx = 0;
-    for (const p of parts) {
-        totalVerts += p.geo.positions.length / 3;
-        totalIdx += p.geo.indices.length;
+// A box with one side left open: drawers (open top) and carcasses (open front)
+function openBoxGeometry([w, h, d], t, open) {
+    const panels = [
+        { size: [w, h, t], at: [0, 0, -d/2 + t/2] },
+        { size: [t, h, d], at: [-w/2 + t/2, 0, 0] },
+        { size: [t, h, d], at: [w/2 - t/2, 0, 0] },
+        { size: [w, t, d], at: [0, -h/2 + t/2, 0] },
+        open === 'front'
+            ? { size: [w, t, d], at: [0, h/2 - t/2, 0] }
+            : { size: [w, h, t], at: [0, 0, d/2 - t/2] },
+    ];
+    return mergeInto(emptyGeometry(), panels.map(p => transform(boxGeometry(...p.size), { position: p.at })));
+}
+
+function emptyGeometry() {
+    return { positions: [], normals: [], uvs: [], indices: [] };
+}
+
+function mergeInto(target, geometries) {
+    geometries.forEach(g => {
+        const offset = target.positions.length / 3;
+        // Element by element: spreading a big mesh would overflow the stack
+        g.positions.forEach(v => target.positions.push(v));
+        g.normals.forEach(v => target.normals.push(v));
+        g.uvs.forEach(v => target.uvs.push(v));
+        g.indices.forEach(i => target.indices.push(i + offset));
+    });
+    return target;
+}
+
+// Scale, rotate (XYZ Euler, as three.js) then translate; normals get the
+// inverse scale so they stay perpendicular to stretched faces
+function transform(g, { position = [0, 0, 0], rotation = [0, 0, 0], scale = [1, 1, 1] }) {
+    const [rx, ry, rz] = rotation;
+    const [cx, sx, cy, sy, cz, sz] = [Math.cos(rx), Math.sin(rx), Math.cos(ry), Math.sin(ry), Math.cos(rz), Math.sin(rz)];
+    const m = [
+        cy*cz, -cy*sz, sy,
+        sx*sy*cz + cx*sz, -sx*sy*sz + cx*cz, -sx*cy,
+        -cx*sy*cz + sx*sz, cx*sy*sz + sx*cz, cx*cy,
+    ];
+    const rotate = (x, y, z) => [m[0]*x + m[1]*y + m[2]*z, m[3]*x + m[4]*y + m[5]*z, m[6]*x + m[7]*y + m[8]*z];
+    const out = { positions: [], normals: [], uvs: g.uvs.slice(), indices: g.indices.slice() };
+    for (let i = 0; i < g.positions.length; i += 3) {
+        const [x, y, z] = rotate(g.positions[i] * scale[0], g.positions[i+1] * scale[1], g.positions[i+2] * scale[2]);
+        out.positions.push(x + position[0], y + position[1], z + position[2]);
+        const [nx, ny, nz] = rotate(g.normals[i] / scale[0], g.normals[i+1] / scale[1], g.normals[i+2] / scale[2]);
+        const len = Math.hypot(nx, ny, nz) || 1;
+        out.normals.push(nx/len, ny/len, nz/len);
     }
-    const positions = new Float32Array(totalVerts * 3);
-    const normals = new Float32Array(totalVerts * 3);
-    const colors = new Float32Array(totalVerts * 3);
-    const indices = new Uint16Array(totalIdx);
-    let vOff = 0, iOff = 0, vCount = 0;
-    for (const p of parts) {
-        const g = p.geo;
-        const [tx,ty,tz] = p.translate || [0,0,0];
-        const ry = p.rotate_y || 0;
-        const cosR = Math.cos(ry), sinR = Math.sin(ry);
-        const col = p.color || [0.5, 0.3, 0.15];
-        const nv = g.positions.length / 3;
-        for (let i = 0; i < nv; i++) {
-            let x = g.positions[i*3], y = g.positions[i*3+1], z = g.positions[i*3+2];
-            const rx = x*cosR - z*sinR, rz = x*sinR + z*cosR;
-            positions[vOff+i*3] = rx+tx; positions[vOff+i*3+1] = y+ty; positions[vOff+i*3+2] = rz+tz;
-            let nx = g.normals[i*3], ny = g.normals[i*3+1], nz = g.normals[i*3+2];
-            normals[vOff+i*3] = nx*cosR-nz*sinR; normals[vOff+i*3+1] = ny; normals[vOff+i*3+2] = nx*sinR+nz*cosR;
-            colors[vOff+i*3] = col[0]; colors[vOff+i*3+1] = col[1]; colors[vOff+i*3+2] = col[2];
+    return out;
+}
+
+// ─── TEXTURES ───
+// Small light tiles that multiply the material colour. They come from a
+// fixed seed, so rebuilding a model gives an identical file.
+function seededRandom(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 0x100000000;
+    };
+}
+
+const TEXTURE_PAINTERS = {
+    // Long wavy grain lines along u
+    grain: (random) => {
+        const wobble = [random() * Math.PI * 2, random() * Math.PI * 2];
+        return (x, y) => {
+            const u = x / TEXTURE_SIZE, v = y / TEXTURE_SIZE;
+            const bend = 0.6 * Math.sin(2 * Math.PI * u + wobble[0]) + 0.3 * Math.sin(4 * Math.PI * u + wobble[1]);
+            const line = Math.sin(2 * Math.PI * (12 * v + bend));
+            return 0.82 + 0.12 * line * line + 0.06 * random();
+        };
+    },
+    // Crossing threads
+    weave: (random) => (x, y) => {
+        const warp = Math.sin(2 * Math.PI * 16 * x / TEXTURE_SIZE);
+        const weft = Math.sin(2 * Math.PI * 16 * y / TEXTURE_SIZE);
+        return 0.86 + 0.08 * warp * weft + 0.06 * random();
+    },
+    speckle: (random) => () => 0.8 + 0.2 * random(),
+};
+
+function paintTexture(name) {
+    const random = seededRandom(TEXTURES.indexOf(name) + 1);
+    const paint = TEXTURE_PAINTERS[name](random);
+    const pixels = Buffer.alloc(TEXTURE_SIZE * TEXTURE_SIZE * 3);
+    for (let y = 0; y < TEXTURE_SIZE; y++)
+        for (let x = 0; x < TEXTURE_SIZE; x++) {
+            const at = (y * TEXTURE_SIZE + x) * 3;
+            pixels.fill(Math.round(255 * Math.min(1, paint(x, y))), at, at + 3);
         }
-        for (let i = 0; i < g.indices.length; i++) indices[iOff+i] = g.indices[i] + vCount;
-        vOff += nv * 3; iOff += g.indices.length; vCount += nv;
+    return encodePNG(TEXTURE_SIZE, TEXTURE_SIZE, pixels);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// 8-bit RGB, every row unfiltered
+function encodePNG(width, height, rgb) {
+    const chunk = (type, data) => {
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const out = Buffer.alloc(body.length + 8);
+        out.writeUInt32BE(data.length, 0);
+        body.copy(out, 4);
+        out.writeUInt32BE(crc32(body), body.length + 4);
+        return out;
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; header[9] = 2;
+    const rows = Buffer.alloc(height * (width * 3 + 1));
+    for (let y = 0; y < height; y++) rgb.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header), chunk('IDAT', deflateSync(rows)), chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// ─── SPECS ───
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number');
+const positive = (v) => typeof v === 'number' && v > 0;
+const isColor = (v) => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+
+function validateMaterial(m, at) {
+    const errors = [];
+    if (!isColor(m.color)) errors.push(`${at}: "color" must be a colour like "#5a3a1a"`);
+    ['roughness', 'metalness', 'opacity'].forEach(key => {
+        if (m[key] !== undefined && !(typeof m[key] === 'number' && m[key] >= 0 && m[key] <= 1)) errors.push(`${at}: "${key}" must be between 0 and 1`);
+    });
+    if (m.emissive !== undefined && !isColor(m.emissive)) errors.push(`${at}: "emissive" must be a colour`);
+    if (m.emissiveStrength !== undefined && !positive(m.emissiveStrength)) errors.push(`${at}: "emissiveStrength" must be a positive number`);
+    if (m.texture !== undefined && !TEXTURES.includes(m.texture)) errors.push(`${at}: "texture" must be one of ${TEXTURES.join(', ')}`);
+    return errors;
+}
+
+function validatePart(p, at, materials) {
+    const errors = [];
+    if (!SHAPES.includes(p.shape)) return [`${at}: "shape" must be one of ${SHAPES.join(', ')}`];
+    if (!materials[p.material]) errors.push(`${at}: material "${p.material}" is not defined`);
+    if (p.shape === 'box' || p.shape === 'openBox') {
+        if (!isVec3(p.size) || !p.size.every(positive)) errors.push(`${at}: "size" must be [w, h, d]`);
+    }
+    if (p.shape === 'openBox') {
+        if (!positive(p.thickness)) errors.push(`${at}: "thickness" must be a positive number`);
+        if (!['front', 'top'].includes(p.open)) errors.push(`${at}: "open" must be "front" or "top"`);
+    }
+    if (p.shape === 'cylinder' && !(p.radiusTop >= 0 && p.radiusBottom >= 0 && positive(p.height))) {
+        errors.push(`${at}: a cylinder needs "radiusTop", "radiusBottom" and "height"`);
     }
-    return { positions, normals, colors, indices, vertexCount: totalVerts, indexCount: totalIdx };
+    if (p.shape === 'sphere' && !positive(p.radius)) errors.push(`${at}: "radius" must be a positive number`);
+    ['segments', 'widthSegments', 'heightSegments', 'repeat'].forEach(key => {
+        if (p[key] !== undefined && !(Number.isInteger(p[key]) && p[key] > 0)) errors.push(`${at}: "${key}" must be a positive integer`);
+    });
+    ['position', 'rotation', 'scale'].forEach(key => {
+        if (p[key] !== undefined && !isVec3(p[key])) errors.push(`${at}: "${key}" must be [x, y, z]`);
+    });
+    return errors;
 }
 
-function writeGLB(filename, merged) {
-    const { positions, normals, colors, indices, vertexCount, indexCount } = merged;
-    const idxBytes = indices.buffer.byteLength;
-    const posBytes = positions.buffer.byteLength;
-    const normBytes = normals.buffer.byteLength;
-    const colBytes = colors.buffer.byteLength;
-    const pad4 = n => (n % 4 === 0) ? n : n + (4 - n % 4);
-    const idxPad = pad4(idxBytes);
-    const binLen = idxPad + posBytes + normBytes + colBytes;
-    let minX=Infinity,minY=Infinity,minZ=Infinity,maxX=-Infinity,maxY=-Infinity,maxZ=-Infinity;
-    for (let i = 0; i < vertexCount; i++) {
-        const x=positions[i*3],y=positions[i*3+1],z=positions[i*3+2];
-        if(x<minX)minX=x;if(y<minY)minY=y;if(z<minZ)minZ=z;
-        if(x>maxX)maxX=x;if(y>maxY)maxY=y;if(z>maxZ)maxZ=z;
+function validateSpec(spec, palette) {
+    const errors = [];
+    if (!spec || typeof spec !== 'object') return ['a spec must be a JSON object'];
+    if (spec.format !== 1) errors.push(`"format" must be 1 (got ${JSON.stringify(spec.format)})`);
+    Object.entries(spec.materials || {}).forEach(([name, m]) => errors.push(...validateMaterial(m, `materials.${name}`)));
+    const materials = { ...palette, ...spec.materials };
+    const names = new Set();
+    if (!Array.isArray(spec.nodes) || spec.nodes.length === 0) {
+        errors.push('"nodes" must be a non-empty array');
+    } else {
+        spec.nodes.forEach((node, i) => {
+            const at = `nodes[${i}]`;
+            if (typeof node.name !== 'string' || !node.name) errors.push(`${at}: "name" must be a non-empty string`);
+            else if (names.has(node.name)) errors.push(`${at}: the name "${node.name}" is used twice`);
+            names.add(node.name);
+            if (node.pivot !== undefined && !isVec3(node.pivot)) errors.push(`${at}: "pivot" must be [x, y, z]`);
+            if (node.open !== undefined && !(typeof node.open.rotateY === 'number' || typeof node.open.slideZ === 'number')) {
+                errors.push(`${at}: "open" must be { "rotateY": radians } or { "slideZ": metres }`);
+            }
+            if (!Array.isArray(node.parts) || node.parts.length === 0) errors.push(`${at}: "parts" must be a non-empty array`);
+            else node.parts.forEach((p, j) => errors.push(...validatePart(p, `${at}.parts[${j}]`, materials)));
+        });
     }
+    let last = 0;
+    (spec.lods || []).forEach((lod, i) => {
+        if (!positive(lod.distance) || lod.distance <= last) errors.push(`lods[${i}]: "distance" must be larger than the level before`);
+        else last = lod.distance;
+        if (lod.segments !== undefined && !(lod.segments > 0 && lod.segments <= 1)) errors.push(`lods[${i}]: "segments" must be above 0 and at most 1`);
+        if (lod.minSize !== undefined && !(typeof lod.minSize === 'number' && lod.minSize >= 0)) errors.push(`lods[${i}]: "minSize" must be a number of metres`);
+    });
+    return errors;
+}
+
+function loadJSON(path) {
+    try {
+        return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new Error(`${path}: ${err.message}`);
+    }
+}
+
+// ─── BUILD ───
+// The largest extent of a part, for the LOD "minSize" cut
+function partSize(p) {
+    const s = Math.max(...(p.scale || [1, 1, 1]));
+    if (p.shape === 'sphere') return 2 * p.radius * s;
+    if (p.shape === 'cylinder') return Math.max(2 * p.radiusTop, 2 * p.radiusBottom, p.height) * s;
+    return Math.max(...p.size) * s;
+}
+
+function partGeometry(p, detail) {
+    const fewer = (n, min) => Math.max(min, Math.round(n * detail));
+    if (p.shape === 'box') return boxGeometry(...p.size);
+    if (p.shape === 'openBox') return openBoxGeometry(p.size, p.thickness, p.open);
+    if (p.shape === 'cylinder') return cylinderGeometry(p.radiusTop, p.radiusBottom, p.height, fewer(p.segments || 8, 3));
+    return sphereGeometry(p.radius, fewer(p.widthSegments || 8, 4), fewer(p.heightSegments || 6, 3));
+}
+
+// One geometry per material for a node, relative to its pivot
+function buildNode(node, lod) {
+    const [px, py, pz] = node.pivot || [0, 0, 0];
+    const byMaterial = new Map();
+    node.parts.forEach(p => {
+        if (lod.minSize && partSize(p) < lod.minSize) return;
+        const [x, y, z] = p.position || [0, 0, 0];
+        const placed = transform(partGeometry(p, lod.segments || 1), {
+            position: [x - px, y - py, z - pz], rotation: p.rotation, scale: p.scale,
+        });
+        const count = p.repeat || 1;
+        const copies = [placed];
+        for (let i = 1; i < count; i++) copies.push(transform(placed, { rotation: [0, i * 2 * Math.PI / count, 0] }));
+        if (!byMaterial.has(p.material)) byMaterial.set(p.material, emptyGeometry());
+        mergeInto(byMaterial.get(p.material), copies);
+    });
+    return byMaterial;
+}
+
+const hexToRGB = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+// GLB format: Header(12) + JSON chunk + BIN chunk
+function writeGLB(filename, spec, materials) {
+    const pad4 = n => (n % 4 === 0) ? n : n + (4 - n % 4);
+    const lods = [{ distance: 0 }, ...(spec.lods || [])];
     const json = {
         asset: { version: "2.0", generator: "ManorGen" },
-        scene: 0, scenes: [{ nodes: [0] }], nodes: [{ mesh: 0 }],
-        meshes: [{ primitives: [{ attributes: { POSITION: 1, NORMAL: 2, COLOR_0: 3 }, indices: 0, mode: 4 }] }],
-        accessors: [
-            { bufferView: 0, componentType: 5123, count: indexCount, type: "SCALAR" },
-            { bufferView: 1, componentType: 5126, count: vertexCount, type: "VEC3", min: [minX,minY,minZ], max: [maxX,maxY,maxZ] },
-            { bufferView: 2, componentType: 5126, count: vertexCount, type: "VEC3" },
-            { bufferView: 3, componentType: 5126, count: vertexCount, type: "VEC3" },
-        ],
-        bufferViews: [
-            { buffer: 0, byteOffset: 0, byteLength: idxBytes, target: 34963 },
-            { buffer: 0, byteOffset: idxPad, byteLength: posBytes, target: 34962 },
-            { buffer: 0, byteOffset: idxPad + posBytes, byteLength: normBytes, target: 34962 },
-            { buffer: 0, byteOffset: idxPad + posBytes + normBytes, byteLength: colBytes, target: 34962 },
-        ],
-        buffers: [{ byteLength: binLen }]
+        scene: 0, scenes: [{ nodes: [] }], nodes: [],
+        meshes: [], materials: [], accessors: [], bufferViews: [], buffers: []
+    };
+    if (spec.lods) json.scenes[0].extras = { lods: lods.map(l => l.distance) };
+    const chunks = [];
+    let binLen = 0;
+    const addView = (bytes, target) => {
+        const view = { buffer: 0, byteOffset: binLen, byteLength: bytes.byteLength };
+        if (target) view.target = target;
+        json.bufferViews.push(view);
+        chunks.push({ bytes, offset: binLen });
+        binLen = pad4(binLen + bytes.byteLength);
+        return json.bufferViews.length - 1;
+    };
+
+    // Materials and textures are written once, when first used
+    const materialIndex = {};
+    const textureIndex = {};
+    const useTexture = (name) => {
+        if (textureIndex[name] === undefined) {
+            json.samplers = json.samplers || [{ magFilter: 9729, minFilter: 9987, wrapS: 10497, wrapT: 10497 }];
+            json.images = json.images || [];
+            json.textures = json.textures || [];
+            json.images.push({ name, mimeType: 'image/png', bufferView: addView(paintTexture(name)) });
+            json.textures.push({ sampler: 0, source: json.images.length - 1 });
+            textureIndex[name] = json.textures.length - 1;
+        }
+        return textureIndex[name];
     };
+    const useMaterial = (name) => {
+        if (materialIndex[name] !== undefined) return materialIndex[name];
+        const m = materials[name];
+        const out = {
+            name,
+            pbrMetallicRoughness: {
+                baseColorFactor: [...hexToRGB(m.color), m.opacity ?? 1],
+                roughnessFactor: m.roughness ?? 0.8,
+                metallicFactor: m.metalness ?? 0,
+            },
+        };
+        if (m.texture) out.pbrMetallicRoughness.baseColorTexture = { index: useTexture(m.texture) };
+        if (m.emissive) {
+            out.emissiveFactor = hexToRGB(m.emissive);
+            if (m.emissiveStrength && m.emissiveStrength !== 1) {
+                out.extensions = { KHR_materials_emissive_strength: { emissiveStrength: m.emissiveStrength } };
+                json.extensionsUsed = ['KHR_materials_emissive_strength'];
+            }
+        }
+        if ((m.opacity ?? 1) < 1) out.alphaMode = 'BLEND';
+        json.materials.push(out);
+        materialIndex[name] = json.materials.length - 1;
+        return materialIndex[name];
+    };
+
+    const addMesh = (name, byMaterial) => {
+        const primitives = [];
+        byMaterial.forEach((g, material) => {
+            const vertexCount = g.positions.length / 3;
+            const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < g.positions.length; i++) {
+                min[i % 3] = Math.min(min[i % 3], g.positions[i]);
+                max[i % 3] = Math.max(max[i % 3], g.positions[i]);
+            }
+            // 16-bit indices where they fit, 32-bit for big meshes
+            const wide = vertexCount > 65535;
+            const indices = wide ? new Uint32Array(g.indices) : new Uint16Array(g.indices);
+            const a = json.accessors.length;
+            json.accessors.push(
+                { bufferView: addView(indices, 34963), componentType: wide ? 5125 : 5123, count: indices.length, type: "SCALAR" },
+                { bufferView: addView(new Float32Array(g.positions), 34962), componentType: 5126, count: vertexCount, type: "VEC3", min, max },
+                { bufferView: addView(new Float32Array(g.normals), 34962), componentType: 5126, count: vertexCount, type: "VEC3" },
+                { bufferView: addView(new Float32Array(g.uvs), 34962), componentType: 5126, count: vertexCount, type: "VEC2" },
+            );
+            primitives.push({ attributes: { POSITION: a+1, NORMAL: a+2, TEXCOORD_0: a+3 }, indices: a, material: useMaterial(material), mode: 4 });
+        });
+        json.meshes.push({ name, primitives });
+        return json.meshes.length - 1;
+    };
+
+    spec.nodes.forEach(node => {
+        const out = { name: node.name };
+        if (node.pivot) out.translation = node.pivot;
+        if (node.open) out.extras = { open: node.open };
+        json.nodes.push(out);
+        json.scenes[0].nodes.push(json.nodes.length - 1);
+        if (lods.length === 1) {
+            out.mesh = addMesh(node.name, buildNode(node, lods[0]));
+            return;
+        }
+        // The tag sits on a mesh-less node, so the game may replace the
+        // meshes' userData without losing it
+        out.children = lods.map((lod, level) => {
+            const name = `${node.name}_lod${level}`;
+            json.nodes.push({ mesh: addMesh(name, buildNode(node, lod)) });
+            json.nodes.push({ name, children: [json.nodes.length - 1], extras: { lod: level } });
+            return json.nodes.length - 1;
+        });
+    });
+
+    json.buffers.push({ byteLength: binLen });
     const jsonStr = JSON.stringify(json);
     const jsonBuf = Buffer.from(jsonStr);
     const jsonPadLen = pad4(jsonBuf.length);
     const jsonPadded = Buffer.alloc(jsonPadLen, 0x20);
     jsonBuf.copy(jsonPadded);
     const binBuf = Buffer.alloc(binLen, 0);
-    Buffer.from(indices.buffer).copy(binBuf, 0);
-    Buffer.from(positions.buffer).copy(binBuf, idxPad);
-    Buffer.from(normals.buffer).copy(binBuf, idxPad + posBytes);
-    Buffer.from(colors.buffer).copy(binBuf, idxPad + posBytes + normBytes);
+    chunks.forEach(({ bytes, offset }) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).copy(binBuf, offset));
     const totalLen = 12 + 8 + jsonPadLen + 8 + binLen;
     const glb = Buffer.alloc(totalLen);
     let off = 0;
@@ -174,169 +513,73 @@ function writeGLB(filename, merged) {
     glb.writeUInt32LE(0x004E4942, off); off += 4;
     binBuf.copy(glb, off);
     writeFileSync(filename, glb);
-    console.log(`  ✓ ${filename} (${(totalLen/1024).toFixed(1)} KB)`);
+    const levels = lods.length > 1 ? `, ${lods.length} LODs` : '';
+    console.log(`  ✓ ${filename} (${(totalLen/1024).toFixed(1)} KB, ${json.materials.length} materials${levels})`);
 }
 
-const hex = (h) => [(h>>16&0xff)/255, (h>>8&0xff)/255, (h&0xff)/255];
-const C = {
-    darkWood: hex(0x3a2210), medWood: hex(0x5a3a1a), lightWood: hex(0x7a5a2a),
-    fabric: hex(0x2a1a2a), green: hex(0x1a3a1a), bed: hex(0x1a2a3a),
-    blanket: hex(0x4a1a1a), pillow: hex(0x6666aa), metal: hex(0x888888),
-    gold: hex(0xccaa44), wax: hex(0xeeddaa), flame: hex(0xff8800),
-    glass: hex(0x8899bb), wine: hex(0x660022), bottle: hex(0x1a3a1a),
-    potion: hex(0x2a6a4a), cork: hex(0x8a6a3a), label: hex(0xddccaa),
-    book1: hex(0x8a2222), book2: hex(0x225588), book3: hex(0x228844),
-    book4: hex(0x886622), book5: hex(0x553366), book6: hex(0x884422), book7: hex(0x224466),
-};
-
-const box = boxGeometry, cyl = cylinderGeometry, sph = sphereGeometry;
-
-console.log('Generating furniture models...\n');
-
-writeGLB('models/table.glb', mergeGeometries([
-    { geo: box(2.0, 0.08, 1.2), color: C.medWood, translate: [0, 0.76, 0] },
-    { geo: box(0.08, 0.72, 0.08), color: C.darkWood, translate: [-0.85, 0.36, -0.5] },
-    { geo: box(0.08, 0.72, 0.08), color: C.darkWood, translate: [0.85, 0.36, -0.5] },
-    { geo: box(0.08, 0.72, 0.08), color: C.darkWood, translate: [-0.85, 0.36, 0.5] },
-    { geo: box(0.08, 0.72, 0.08), color: C.darkWood, translate: [0.85, 0.36, 0.5] },
-    { geo: box(1.7, 0.06, 0.06), color: C.darkWood, translate: [0, 0.15, -0.5] },
-    { geo: box(1.7, 0.06, 0.06), color: C.darkWood, translate: [0, 0.15, 0.5] },
-]));
-
-writeGLB('models/chair.glb', mergeGeometries([
-    { geo: box(0.45, 0.05, 0.45), color: C.medWood, translate: [0, 0.45, 0] },
-    { geo: box(0.05, 0.45, 0.05), color: C.darkWood, translate: [-0.18, 0.225, -0.18] },
-    { geo: box(0.05, 0.45, 0.05), color: C.darkWood, translate: [0.18, 0.225, -0.18] },
-    { geo: box(0.05, 0.45, 0.05), color: C.darkWood, translate: [-0.18, 0.225, 0.18] },
-    { geo: box(0.05, 0.45, 0.05), color: C.darkWood, translate: [0.18, 0.225, 0.18] },
-    { geo: box(0.45, 0.5, 0.05), color: C.darkWood, translate: [0, 0.73, -0.2] },
-    { geo: box(0.04, 0.35, 0.03), color: C.medWood, translate: [-0.12, 0.66, -0.2] },
-    { geo: box(0.04, 0.35, 0.03), color: C.medWood, translate: [0.12, 0.66, -0.2] },
-]));
-
-writeGLB('models/sofa.glb', mergeGeometries([
-    { geo: box(2.0, 0.35, 0.9), color: C.fabric, translate: [0, 0.25, 0] },
-    { geo: box(1.8, 0.12, 0.7), color: hex(0x3a2040), translate: [0, 0.48, 0.05] },
-    { geo: box(2.0, 0.45, 0.2), color: C.fabric, translate: [0, 0.55, -0.35] },
-    { geo: box(0.15, 0.3, 0.7), color: C.fabric, translate: [-0.92, 0.5, 0.05] },
-    { geo: box(0.15, 0.3, 0.7), color: C.fabric, translate: [0.92, 0.5, 0.05] },
-    { geo: box(0.06, 0.08, 0.06), color: C.darkWood, translate: [-0.85, 0.04, -0.35] },
-    { geo: box(0.06, 0.08, 0.06), color: C.darkWood, translate: [0.85, 0.04, -0.35] },
-    { geo: box(0.06, 0.08, 0.06), color: C.darkWood, translate: [-0.85, 0.04, 0.35] },
-    { geo: box(0.06, 0.08, 0.06), color: C.darkWood, translate: [0.85, 0.04, 0.35] },
-]));
-
-writeGLB('models/bed.glb', mergeGeometries([
-    { geo: box(1.8, 0.3, 2.4), color: C.darkWood, translate: [0, 0.2, 0] },
-    { geo: box(1.6, 0.2, 2.2), color: C.bed, translate: [0, 0.45, 0] },
-    { geo: box(0.5, 0.1, 0.3), color: C.pillow, translate: [0.2, 0.6, -0.85] },
-    { geo: box(0.5, 0.1, 0.3), color: C.pillow, translate: [-0.4, 0.6, -0.85] },
-    { geo: box(1.8, 0.8, 0.08), color: C.darkWood, translate: [0, 0.6, -1.2] },
-    { geo: box(1.8, 0.4, 0.08), color: C.darkWood, translate: [0, 0.4, 1.2] },
-    { geo: box(1.55, 0.06, 1.6), color: C.blanket, translate: [0, 0.55, 0.2] },
-]));
-
-writeGLB('models/desk.glb', mergeGeometries([
-    { geo: box(1.6, 0.06, 0.8), color: C.medWood, translate: [0, 0.76, 0] },
-    { geo: box(0.06, 0.74, 0.06), color: C.darkWood, translate: [-0.72, 0.37, -0.32] },
-    { geo: box(0.06, 0.74, 0.06), color: C.darkWood, translate: [0.72, 0.37, -0.32] },
-    { geo: box(0.06, 0.74, 0.06), color: C.darkWood, translate: [-0.72, 0.37, 0.32] },
-    { geo: box(0.06, 0.74, 0.06), color: C.darkWood, translate: [0.72, 0.37, 0.32] },
-    { geo: box(0.5, 0.25, 0.7), color: C.darkWood, translate: [0.5, 0.6, 0] },
-    { geo: box(0.15, 0.03, 0.03), color: C.gold, translate: [0.5, 0.6, 0.36] },
-]));
-
-{
-    const parts = [{ geo: box(1.2, 2.2, 0.35), color: C.darkWood, translate: [0, 1.1, 0] }];
-    for (let i = 0; i < 4; i++) parts.push({ geo: box(1.1, 0.04, 0.3), color: C.medWood, translate: [0, 0.3+i*0.5, 0] });
-    const bc = [C.book1,C.book2,C.book3,C.book4,C.book5,C.book6,C.book7];
-    for (let s = 0; s < 3; s++) { const y = 0.35+s*0.5; let x = -0.45;
-        for (let b = 0; b < 7; b++) { const w=0.05+(b%3)*0.02, h=0.25+(b%4)*0.05;
-            parts.push({ geo: box(w,h,0.2), color: bc[b%7], translate: [x,y+h/2,0] }); x+=w+0.01; if(x>0.45) break; }
+// ─── CLI ───
+function main(args) {
+    let outDir = 'models';
+    let list = false;
+    const wanted = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--out') outDir = args[++i];
+        else if (args[i] === '--list') list = true;
+        else if (args[i] === '--help' || args[i] === '-h') {
+            console.log('Usage: node generate-models.mjs [--list] [--out <dir>] [model ...]');
+            return 0;
+        } else wanted.push(args[i]);
+    }
+    if (!outDir) {
+        console.error('--out needs a directory');
+        return 1;
     }
-    writeGLB('models/bookshelf.glb', mergeGeometries(parts));
-}
 
-writeGLB('models/candle.glb', mergeGeometries([
-    { geo: cyl(0.08, 0.12, 0.06, 8), color: C.metal, translate: [0, 0.03, 0] },
-    { geo: cyl(0.03, 0.03, 0.1, 8), color: C.metal, translate: [0, 0.11, 0] },
-    { geo: cyl(0.07, 0.04, 0.03, 8), color: C.metal, translate: [0, 0.17, 0] },
-    { geo: cyl(0.03, 0.035, 0.18, 8), color: C.wax, translate: [0, 0.28, 0] },
-    { geo: sph(0.02, 6, 5), color: C.flame, translate: [0, 0.39, 0] },
-]));
-
-writeGLB('models/wineGlass.glb', mergeGeometries([
-    { geo: cyl(0.035, 0.04, 0.01, 8), color: C.glass, translate: [0, 0.005, 0] },
-    { geo: cyl(0.008, 0.008, 0.1, 6), color: C.glass, translate: [0, 0.06, 0] },
-    { geo: cyl(0.04, 0.02, 0.07, 8), color: C.glass, translate: [0, 0.145, 0] },
-    { geo: cyl(0.035, 0.015, 0.04, 8), color: C.wine, translate: [0, 0.13, 0] },
-]));
-
-writeGLB('models/wardrobe.glb', mergeGeometries([
-    { geo: box(1.0, 2.2, 0.6), color: C.darkWood, translate: [0, 1.1, 0] },
-    { geo: box(0.48, 2.0, 0.03), color: C.medWood, translate: [-0.24, 1.1, 0.31] },
-    { geo: box(0.48, 2.0, 0.03), color: C.medWood, translate: [0.24, 1.1, 0.31] },
-    { geo: box(0.02, 0.08, 0.03), color: C.gold, translate: [-0.05, 1.1, 0.33] },
-    { geo: box(0.02, 0.08, 0.03), color: C.gold, translate: [0.05, 1.1, 0.33] },
-    { geo: box(1.1, 0.06, 0.65), color: C.darkWood, translate: [0, 2.22, 0] },
-]));
-
-writeGLB('models/cabinet.glb', mergeGeometries([
-    { geo: box(1.4, 0.9, 0.5), color: C.darkWood, translate: [0, 0.45, 0] },
-    { geo: box(1.5, 0.04, 0.55), color: C.medWood, translate: [0, 0.92, 0] },
-    { geo: box(0.65, 0.75, 0.03), color: C.medWood, translate: [-0.33, 0.42, 0.26] },
-    { geo: box(0.65, 0.75, 0.03), color: C.medWood, translate: [0.33, 0.42, 0.26] },
-    { geo: box(0.02, 0.06, 0.02), color: C.gold, translate: [-0.06, 0.45, 0.28] },
-    { geo: box(0.02, 0.06, 0.02), color: C.gold, translate: [0.06, 0.45, 0.28] },
-]));
-
-writeGLB('models/drawer.glb', mergeGeometries([
-    { geo: box(0.5, 0.55, 0.4), color: C.darkWood, translate: [0, 0.275, 0] },
-    { geo: box(0.55, 0.03, 0.45), color: C.medWood, translate: [0, 0.565, 0] },
-    { geo: box(0.44, 0.2, 0.02), color: C.medWood, translate: [0, 0.15, 0.2] },
-    { geo: box(0.08, 0.03, 0.02), color: C.gold, translate: [0, 0.15, 0.22] },
-    { geo: box(0.44, 0.2, 0.02), color: C.medWood, translate: [0, 0.4, 0.2] },
-    { geo: box(0.08, 0.03, 0.02), color: C.gold, translate: [0, 0.4, 0.22] },
-]));
-
-writeGLB('models/armchair.glb', mergeGeometries([
-    { geo: box(0.7, 0.3, 0.65), color: C.green, translate: [0, 0.25, 0] },
-    { geo: box(0.6, 0.1, 0.55), color: hex(0x2a4a2a), translate: [0, 0.45, 0.02] },
-    { geo: box(0.7, 0.5, 0.12), color: C.green, translate: [0, 0.6, -0.28] },
-    { geo: box(0.1, 0.25, 0.55), color: C.green, translate: [-0.35, 0.45, 0.02] },
-    { geo: box(0.1, 0.25, 0.55), color: C.green, translate: [0.35, 0.45, 0.02] },
-    { geo: box(0.06, 0.1, 0.06), color: C.darkWood, translate: [-0.28, 0.05, -0.25] },
-    { geo: box(0.06, 0.1, 0.06), color: C.darkWood, translate: [0.28, 0.05, -0.25] },
-    { geo: box(0.06, 0.1, 0.06), color: C.darkWood, translate: [-0.28, 0.05, 0.25] },
-    { geo: box(0.06, 0.1, 0.06), color: C.darkWood, translate: [0.28, 0.05, 0.25] },
-]));
-
-{
-    const parts = [
-        { geo: cyl(0.01, 0.01, 0.4, 6), color: C.metal, translate: [0, 0.3, 0] },
-        { geo: cyl(0.08, 0.06, 0.06, 8), color: C.metal, translate: [0, 0.08, 0] },
-    ];
-    for (let i = 0; i < 5; i++) {
-        const a = (i/5)*Math.PI*2, ax = Math.cos(a)*0.25, az = Math.sin(a)*0.25;
-        parts.push({ geo: box(0.25, 0.02, 0.02), color: C.metal, translate: [ax/2, 0.06, az/2], rotate_y: a });
-        parts.push({ geo: cyl(0.03, 0.02, 0.03, 6), color: C.metal, translate: [ax, 0.04, az] });
-        parts.push({ geo: cyl(0.015, 0.018, 0.08, 6), color: C.wax, translate: [ax, 0.09, az] });
-        parts.push({ geo: sph(0.012, 5, 4), color: C.flame, translate: [ax, 0.14, az] });
+    const palette = loadJSON(`${SPEC_DIR}/materials.json`);
+    const paletteErrors = Object.entries(palette).flatMap(([name, m]) => validateMaterial(m, `materials.json: ${name}`));
+    if (paletteErrors.length) {
+        console.error(paletteErrors.join('\n'));
+        return 1;
     }
-    writeGLB('models/chandelier.glb', mergeGeometries(parts));
-}
+    const available = readdirSync(SPEC_DIR)
+        .filter(f => f.endsWith('.json') && f !== 'materials.json')
+        .map(f => f.slice(0, -5))
+        .sort();
+    const unknown = wanted.filter(name => !available.includes(name));
+    if (unknown.length) {
+        console.error(`Unknown model(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+        return 1;
+    }
+    const names = wanted.length ? wanted : available;
 
-writeGLB('models/wineBottle.glb', mergeGeometries([
-    { geo: cyl(0.035, 0.04, 0.18, 8), color: C.bottle, translate: [0, 0.09, 0] },
-    { geo: cyl(0.015, 0.03, 0.1, 8), color: C.bottle, translate: [0, 0.23, 0] },
-    { geo: cyl(0.013, 0.015, 0.03, 6), color: C.cork, translate: [0, 0.295, 0] },
-    { geo: box(0.06, 0.06, 0.002), color: C.label, translate: [0, 0.1, 0.042] },
-]));
+    if (list) {
+        names.forEach(name => {
+            const spec = loadJSON(`${SPEC_DIR}/${name}.json`);
+            const nodes = (spec.nodes || []).map(n => `${n.name} (${(n.parts || []).length} parts)`).join(', ');
+            console.log(`${name}: ${nodes}${spec.lods ? ` · ${spec.lods.length + 1} LODs` : ''}`);
+        });
+        return 0;
+    }
 
-writeGLB('models/potionBottle.glb', mergeGeometries([
-    { geo: sph(0.04, 8, 6), color: C.potion, translate: [0, 0.05, 0] },
-    { geo: cyl(0.012, 0.02, 0.06, 6), color: C.potion, translate: [0, 0.11, 0] },
-    { geo: cyl(0.01, 0.012, 0.02, 6), color: C.cork, translate: [0, 0.15, 0] },
-]));
+    console.log(`Generating ${names.length} model(s)...\n`);
+    mkdirSync(outDir, { recursive: true });
+    let failed = 0;
+    names.forEach(name => {
+        const spec = loadJSON(`${SPEC_DIR}/${name}.json`);
+        const errors = validateSpec(spec, palette);
+        if (errors.length) {
+            console.error(`  ✗ ${SPEC_DIR}/${name}.json is not a valid model spec:\n    - ${errors.join('\n    - ')}`);
+            failed++;
+            return;
+        }
+        writeGLB(`${outDir}/${name}.glb`, spec, { ...palette, ...spec.materials });
+    });
+    if (failed) {
+        console.error(`\n${failed} model(s) failed.`);
+        return 1;
+    }
+    console.log('\n✅ All models generated!');
+    return 0;
+}
 
-console.log('\n✅ All models generated!');
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,67 @@
+// ─── ACCESSIBILITY SETTINGS ───
+// Reduced motion (no head bob, flicker or bobbing clues), the size of the
+// text in the panels and popups, a high-contrast theme and the size of the
+// crosshair. Text and crosshair size are CSS variables and the theme a class
+// on <body>, so the page's styles do the rest. Reduced motion starts from
+// the system setting until the player chooses.
+const ACCESS_KEY = 'edwardBolt:accessibility';
+export const TEXT_SCALES = [1, 2];          // smallest and largest text size
+export const CROSSHAIR_SCALES = [0.5, 3];
+
+function loadAccessibilitySettings() {
+    const settings = {
+        reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+        textScale: 1,
+        highContrast: false,
+        crosshairScale: 1
+    };
+    const within = (v, [lo, hi]) => typeof v === 'number' && v >= lo && v <= hi;
+    try {
+        const saved = JSON.parse(localStorage.getItem(ACCESS_KEY)) || {};
+        if (typeof saved.reducedMotion === 'boolean') settings.reducedMotion = saved.reducedMotion;
+        if (within(saved.textScale, TEXT_SCALES)) settings.textScale = saved.textScale;
+        if (typeof saved.highContrast === 'boolean') settings.highContrast = saved.highContrast;
+        if (within(saved.crosshairScale, CROSSHAIR_SCALES)) settings.crosshairScale = saved.crosshairScale;
+    } catch (err) {
+        console.warn('Ignoring unreadable accessibility settings:', err);
+    }
+    return settings;
+}
+
+export const accessibility = loadAccessibilitySettings();
+
+export function applyAccessibility() {
+    const root = document.documentElement.style;
+    root.setProperty('--text-scale', accessibility.textScale);
+    root.setProperty('--crosshair-scale', accessibility.crosshairScale);
+    document.body.classList.toggle('high-contrast', accessibility.highContrast);
+    document.body.classList.toggle('reduced-motion', accessibility.reducedMotion);
+}
+
+export function saveAccessibilitySettings() {
+    // A full localStorage keeps them for this visit
+    try {
+        localStorage.setItem(ACCESS_KEY, JSON.stringify(accessibility));
+    } catch (err) {
+        console.warn('Could not save accessibility settings', err);
+    }
+}
+
+// ─── SCREEN READER ANNOUNCEMENTS ───
+// Text for screen readers goes to a visually hidden live region. It is
+// emptied first so that the same text twice in a row is read twice, and
+// what comes in the same moment is read together.
+let pending = '';
+let announceTimer = null;
+
+export function announce(text) {
+    const region = document.getElementById('announcer');
+    if (!region || !text) return;
+    pending = pending ? `${pending} ${text}` : text;
+    region.textContent = '';
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        region.textContent = pending;
+        pending = '';
+    }, 50);
+}
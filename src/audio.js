@@ -0,0 +1,275 @@
+// ─── AUDIO ───
+// Every sound is synthesized with Web Audio, so the game needs no sound files
+// and works offline. Browsers only allow audio after a user gesture, so the
+// context is created on the first tap, click or key press. Rooms name their
+// ambience in the level file; it plays on the music bus together with a low
+// drone. Footsteps, candle crackle and the clue sting are effects.
+const AUDIO_KEY = 'edwardBolt:audio';
+export const AUDIO_BUSES = ['master', 'music', 'effects'];
+const DEFAULT_AUDIO = { master: 0.8, music: 0.5, effects: 0.8 };
+const AUDIO_GESTURES = ['pointerdown', 'touchend', 'keydown'];
+const AMBIENCE_FADE = 1.5;      // seconds to cross-fade between rooms
+const CANDLE_HEARING = 4;       // metres within which candles are heard
+
+function loadAudioSettings() {
+    const settings = { ...DEFAULT_AUDIO };
+    try {
+        const saved = JSON.parse(localStorage.getItem(AUDIO_KEY)) || {};
+        AUDIO_BUSES.forEach(bus => {
+            if (typeof saved[bus] === 'number') settings[bus] = Math.min(1, Math.max(0, saved[bus]));
+        });
+    } catch (err) {
+        console.warn('Ignoring unreadable audio settings:', err);
+    }
+    return settings;
+}
+
+export const audioSettings = loadAudioSettings();
+let audio = null;   // set up by the first gesture
+
+function startAudio() {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    AUDIO_GESTURES.forEach(type => window.removeEventListener(type, startAudio, true));
+    if (audio || !AudioCtx) return;
+    const ctx = new AudioCtx();
+    const buses = {};
+    AUDIO_BUSES.forEach(bus => { buses[bus] = ctx.createGain(); });
+    buses.master.connect(ctx.destination);
+    buses.music.connect(buses.master);
+    buses.effects.connect(buses.master);
+    // Two seconds of white noise is the raw material for most sounds
+    const noise = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+    audio = { ctx, buses, noise, room: null, ambience: null, candleWait: 0 };
+    applyAudioSettings();
+    startDrone();
+}
+
+AUDIO_GESTURES.forEach(type => window.addEventListener(type, startAudio, true));
+document.addEventListener('visibilitychange', () => {
+    if (!audio) return;
+    if (document.hidden) audio.ctx.suspend();
+    else audio.ctx.resume();
+});
+
+export function applyAudioSettings() {
+    if (!audio) return;
+    AUDIO_BUSES.forEach(bus => audio.buses[bus].gain.setTargetAtTime(audioSettings[bus], audio.ctx.currentTime, 0.05));
+}
+
+export function saveAudioSettings() {
+    // The sliders save as they move; a full localStorage keeps them for this visit
+    try {
+        localStorage.setItem(AUDIO_KEY, JSON.stringify(audioSettings));
+    } catch (err) {
+        console.warn('Could not save audio settings', err);
+    }
+}
+
+// A short shaped burst of filtered noise: steps, crackles, ticks and gusts
+function noiseBurst(out, { type = 'bandpass', freq, q = 1, gain, attack = 0.004, decay, when = 0 }) {
+    const { ctx } = audio;
+    const t0 = ctx.currentTime + when;
+    const source = ctx.createBufferSource();
+    source.buffer = audio.noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = freq;
+    filter.Q.value = q;
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.0001, t0);
+    env.gain.exponentialRampToValueAtTime(gain, t0 + attack);
+    env.gain.exponentialRampToValueAtTime(0.0001, t0 + attack + decay);
+    source.connect(filter).connect(env).connect(out);
+    source.start(t0, Math.random() * 1.5);
+    source.stop(t0 + attack + decay + 0.05);
+}
+
+// A single decaying tone, optionally gliding to another pitch
+function tone(out, { type = 'sine', freq, toFreq = freq, gain, attack = 0.005, decay, when = 0 }) {
+    const { ctx } = audio;
+    const t0 = ctx.currentTime + when;
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, t0);
+    if (toFreq !== freq) osc.frequency.exponentialRampToValueAtTime(toFreq, t0 + attack + decay);
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.0001, t0);
+    env.gain.exponentialRampToValueAtTime(gain, t0 + attack);
+    env.gain.exponentialRampToValueAtTime(0.0001, t0 + attack + decay);
+    osc.connect(env).connect(out);
+    osc.start(t0);
+    osc.stop(t0 + attack + decay + 0.05);
+}
+
+// Endless filtered noise (wind, rain, a stove's rumble). An LFO on the
+// filter makes it swell.
+function noiseBed(out, { type = 'lowpass', freq, q = 1, gain, lfoRate = 0, lfoDepth = 0 }) {
+    const { ctx } = audio;
+    const source = ctx.createBufferSource();
+    source.buffer = audio.noise;
+    source.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = freq;
+    filter.Q.value = q;
+    const level = ctx.createGain();
+    level.gain.value = gain;
+    source.connect(filter).connect(level).connect(out);
+    const nodes = [source];
+    if (lfoRate) {
+        const lfo = ctx.createOscillator();
+        lfo.frequency.value = lfoRate;
+        const depth = ctx.createGain();
+        depth.gain.value = lfoDepth;
+        lfo.connect(depth).connect(filter.frequency);
+        nodes.push(lfo);
+    }
+    nodes.forEach(node => node.start());
+    return nodes;
+}
+
+// Two detuned low fifths under everything, slowly breathing
+function startDrone() {
+    const { ctx } = audio;
+    const level = ctx.createGain();
+    level.gain.value = 0.05;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 220;
+    filter.connect(level).connect(audio.buses.music);
+    [55, 55.4, 82.4, 82.1].forEach(freq => {
+        const osc = ctx.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.value = freq;
+        osc.connect(filter);
+        osc.start();
+    });
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = 0.05;
+    const depth = ctx.createGain();
+    depth.gain.value = 120;
+    lfo.connect(depth).connect(filter.frequency);
+    lfo.start();
+}
+
+// Room ambiences by the name used in the level file: an optional endless
+// bed, plus a sound that recurs every [min, max] seconds.
+const AMBIENCES = {
+    wind: {
+        bed: { type: 'lowpass', freq: 380, q: 0.7, gain: 0.5, lfoRate: 0.08, lfoDepth: 220 },
+        every: [5, 11],
+        play: (out) => noiseBurst(out, { freq: 500, q: 0.6, gain: 0.25, attack: 1.2, decay: 2.5 })
+    },
+    drip: {
+        bed: { type: 'lowpass', freq: 90, gain: 0.4 },
+        every: [1.5, 4],
+        play: (out) => tone(out, { freq: 1400 + Math.random() * 400, toFreq: 500, gain: 0.12, decay: 0.12 })
+    },
+    fire: {
+        bed: { type: 'lowpass', freq: 160, gain: 0.6, lfoRate: 0.3, lfoDepth: 60 },
+        every: [0.08, 0.5],
+        play: (out) => noiseBurst(out, { type: 'highpass', freq: 1800 + Math.random() * 2000, gain: 0.05 + Math.random() * 0.15, decay: 0.03 })
+    },
+    rain: {
+        bed: { type: 'bandpass', freq: 2400, q: 0.4, gain: 0.25 },
+        every: [0.05, 0.25],
+        play: (out) => noiseBurst(out, { type: 'highpass', freq: 4000, gain: 0.03 + Math.random() * 0.04, decay: 0.02 })
+    },
+    creak: {
+        every: [6, 14],
+        play: (out) => tone(out, { type: 'triangle', freq: 170 + Math.random() * 60, toFreq: 120, gain: 0.05, attack: 0.25, decay: 0.7 })
+    },
+    clock: {
+        every: [1, 1],
+        play: (out) => {
+            audio.tock = !audio.tock;
+            noiseBurst(out, { type: 'highpass', freq: audio.tock ? 2200 : 3200, q: 4, gain: 0.3, decay: 0.02 });
+        }
+    },
+    still: {
+        bed: { type: 'lowpass', freq: 70, gain: 0.3 },
+        every: [12, 25],
+        play: (out) => tone(out, { type: 'triangle', freq: 110, toFreq: 90, gain: 0.03, attack: 0.4, decay: 1 })
+    }
+};
+
+function startAmbience(name) {
+    const def = AMBIENCES[name];
+    if (!def) return null;
+    const { ctx } = audio;
+    const out = ctx.createGain();
+    out.gain.setValueAtTime(0.0001, ctx.currentTime);
+    out.gain.exponentialRampToValueAtTime(1, ctx.currentTime + AMBIENCE_FADE);
+    out.connect(audio.buses.music);
+    return { def, out, nodes: def.bed ? noiseBed(out, def.bed) : [], wait: 0 };
+}
+
+function stopAmbience(ambience) {
+    if (!ambience) return;
+    const end = audio.ctx.currentTime + AMBIENCE_FADE;
+    ambience.out.gain.setTargetAtTime(0.0001, audio.ctx.currentTime, AMBIENCE_FADE / 4);
+    ambience.nodes.forEach(node => node.stop(end));
+    setTimeout(() => ambience.out.disconnect(), AMBIENCE_FADE * 1000 + 100);
+}
+
+// Footsteps by what the player stands on: a rug, or the room's floor
+const FOOTSTEPS = {
+    wood:  { type: 'bandpass', freq: 420, q: 1.2, decay: 0.11, thump: 95 },
+    stone: { type: 'bandpass', freq: 1500, q: 0.9, decay: 0.06, thump: 150 },
+    rug:   { type: 'lowpass', freq: 260, q: 0.5, decay: 0.09, thump: 0 }
+};
+
+export function playFootstep(surface, loudness) {
+    if (!audio) return;
+    const step = FOOTSTEPS[surface];
+    const vary = 0.85 + Math.random() * 0.3;
+    noiseBurst(audio.buses.effects, { type: step.type, freq: step.freq * vary, q: step.q, gain: 0.3 * loudness, decay: step.decay });
+    if (step.thump) tone(audio.buses.effects, { freq: step.thump * vary, toFreq: step.thump * 0.6, gain: 0.25 * loudness, decay: 0.09 });
+}
+
+// A falling minor arpeggio over a low bell when a clue is found
+export function playSting() {
+    if (!audio) return;
+    const out = audio.buses.effects;
+    tone(out, { freq: 73.4, gain: 0.3, attack: 0.02, decay: 2.5 });
+    [587.3, 440, 349.2, 293.7].forEach((freq, i) => {
+        tone(out, { type: 'triangle', freq, gain: 0.12, decay: 1.4, when: i * 0.11 });
+        tone(out, { freq: freq * 2.76, gain: 0.03, decay: 0.4, when: i * 0.11 });
+    });
+}
+
+// The evidence camera's shutter: a sharp click and the blade closing
+export function playShutter() {
+    if (!audio) return;
+    noiseBurst(audio.buses.effects, { type: 'highpass', freq: 2600, gain: 0.35, decay: 0.025 });
+    noiseBurst(audio.buses.effects, { freq: 1100, gain: 0.2, decay: 0.05, when: 0.08 });
+}
+
+// Called every frame with the current room's ambience and how far away the
+// nearest candle is: follows the room, plays its recurring sounds and lets
+// the candles near the player crackle.
+export function updateAudio(delta, ambienceName, candleDistance) {
+    if (!audio || audio.ctx.state !== 'running') return;
+    if (ambienceName !== audio.room) {
+        audio.room = ambienceName;
+        stopAmbience(audio.ambience);
+        audio.ambience = startAmbience(ambienceName);
+    }
+    const ambience = audio.ambience;
+    if (ambience && (ambience.wait -= delta) <= 0) {
+        const [min, max] = ambience.def.every;
+        ambience.wait = min + Math.random() * (max - min);
+        ambience.def.play(ambience.out);
+    }
+
+    if ((audio.candleWait -= delta) > 0) return;
+    audio.candleWait = 0.1 + Math.random() * 0.4;
+    if (candleDistance < CANDLE_HEARING) {
+        noiseBurst(audio.buses.effects, {
+            type: 'highpass', freq: 2500 + Math.random() * 2500,
+            gain: 0.08 * (1 - candleDistance / CANDLE_HEARING) * Math.random() + 0.0002, decay: 0.015
+        });
+    }
+}
@@ -0,0 +1,228 @@
+import { MODEL_URLS } from './models.js';
+
+// ─── CASE FILE ───
+// A case file (cases/<name>.json) holds one whole mystery: the intro, the
+// clues with their placement, the suspects, the culprit and one ending per
+// suspect. "level" names the floor plan in levels/ the case is played in, and
+// "language" the language its text is written in (Swedish if left out).
+export const CASE_FORMAT = 1;
+export const CLUE_SHAPES = ['letter', 'page', 'newspaper', 'poison_bottle', 'wine_glasses',
+    'doctors_bag', 'muddy_boots', 'pocket_watch', 'box', 'stain', 'writing'];
+
+export function isVec3(v) {
+    return Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && isFinite(n));
+}
+
+export function isVec2(v) {
+    return Array.isArray(v) && v.length === 2 && v.every(n => typeof n === 'number' && isFinite(n));
+}
+
+// A dialogue is { start, nodes: { id: { text, testimony?, options? } } }.
+// Options are { ask, goto, requires?: [clue ids] }; a node without options
+// offers the start node's options again.
+function validateDialogue(dialogue, at, clues, errors) {
+    const nodes = dialogue && dialogue.nodes;
+    if (!nodes || typeof nodes !== 'object') {
+        errors.push(`${at}: "nodes" must be an object`);
+        return;
+    }
+    if (!nodes[dialogue.start]) errors.push(`${at}: "start" must name one of the nodes`);
+    for (const [id, node] of Object.entries(nodes)) {
+        if (typeof node.text !== 'string' || !node.text) errors.push(`${at}.nodes["${id}"]: "text" must be a non-empty string`);
+        if (node.testimony !== undefined && typeof node.testimony !== 'string') errors.push(`${at}.nodes["${id}"]: "testimony" must be a string`);
+        (node.options || []).forEach((o, i) => {
+            const oat = `${at}.nodes["${id}"].options[${i}]`;
+            if (typeof o.ask !== 'string' || !o.ask) errors.push(`${oat}: "ask" must be a non-empty string`);
+            if (!nodes[o.goto]) errors.push(`${oat}: "goto" must name one of the nodes (got ${JSON.stringify(o.goto)})`);
+            (o.requires || []).forEach(clueId => {
+                if (!clues || !clues[clueId]) errors.push(`${oat}: requires unknown clue "${clueId}"`);
+            });
+        });
+    }
+}
+
+// "accusation" lists the clues that prove the culprit's motive, means and
+// opportunity, and rating tiers ({ min, rating, title?, text? }) by score.
+// A tier with its own title and text replaces the culprit's ending.
+export const ACCUSATION_PARTS = ['motive', 'means', 'opportunity'];
+
+function validateAccusation(acc, clues, errors) {
+    ACCUSATION_PARTS.forEach(part => {
+        const p = acc[part];
+        if (!p || typeof p.label !== 'string' || !Array.isArray(p.clues) || p.clues.length === 0) {
+            errors.push(`accusation.${part} needs a "label" and a non-empty "clues" list`);
+            return;
+        }
+        p.clues.forEach(id => {
+            if (!clues || !clues[id]) errors.push(`accusation.${part}: unknown clue "${id}"`);
+        });
+    });
+    if (!Array.isArray(acc.ratings) || acc.ratings.length === 0) {
+        errors.push('accusation.ratings must be a non-empty array');
+        return;
+    }
+    acc.ratings.forEach((r, i) => {
+        if (typeof r.min !== 'number' || typeof r.rating !== 'string') errors.push(`accusation.ratings[${i}] needs a numeric "min" and a "rating"`);
+        if ((r.title === undefined) !== (r.text === undefined)) errors.push(`accusation.ratings[${i}]: give both "title" and "text", or neither`);
+    });
+    if (!acc.ratings.some(r => r.min <= 0)) errors.push('accusation.ratings needs a tier with "min": 0');
+}
+
+// "timeline" is the night reconstructed: events (each unlocked by a clue or a
+// heard testimony [suspect, node]), the correct "order" and, for events with
+// a "suspect", who was behind them. Every event has Edward Bolt's "hint" for
+// when it is out of place. Solving it gives the culprit "ending" in place of
+// the normal one, and with "required": true it must be solved to accuse.
+function validateTimeline(tl, data, errors) {
+    const str = (v) => typeof v === 'string' && v.trim() !== '';
+    const events = tl.events || {};
+    const ids = Object.keys(events);
+    if (ids.length < 2) errors.push('timeline.events needs at least two events');
+    for (const [id, e] of Object.entries(events)) {
+        const at = `timeline.events["${id}"]`;
+        if (!str(e.text) || !str(e.hint)) errors.push(`${at} needs a "text" and a "hint"`);
+        if ((e.clue === undefined) === (e.testimony === undefined)) errors.push(`${at} needs either a "clue" or a "testimony"`);
+        if (e.clue !== undefined && (!data.clues || !data.clues[e.clue])) errors.push(`${at}: unknown clue "${e.clue}"`);
+        if (e.testimony !== undefined) {
+            const [who, node] = Array.isArray(e.testimony) ? e.testimony : [];
+            const suspect = (data.suspects || []).find(s => s.id === who);
+            if (!suspect || !suspect.dialogue || !suspect.dialogue.nodes[node] || !suspect.dialogue.nodes[node].testimony) {
+                errors.push(`${at}: "testimony" must be [suspect id, dialogue node with testimony]`);
+            }
+        }
+        if (e.suspect !== undefined && !(data.suspects || []).some(s => s.id === e.suspect)) errors.push(`${at}: unknown suspect "${e.suspect}"`);
+    }
+    if (!Array.isArray(tl.order) || tl.order.length !== ids.length || !ids.every(id => tl.order.includes(id))) {
+        errors.push('timeline.order must list every event exactly once');
+    }
+    if (tl.ending !== undefined && (!str(tl.ending.title) || !str(tl.ending.text))) errors.push('timeline.ending needs a "title" and a "text"');
+    if (!str(tl.solvedText)) errors.push('timeline needs a "solvedText"');
+}
+
+// Strings the player can tie between clues on the deduction board (their
+// text is "link.<label>" in the language catalog). A "deductions" entry links
+// two clues (optionally with a required label) and gives the insight written
+// to the journal when the player makes that link.
+export const LINK_LABELS = ['same_person', 'supports', 'contradicts', 'leads_to'];
+
+// Returns a list of problems; an empty list means the case can be played
+export function validateCase(data) {
+    const errors = [];
+    const str = (v) => typeof v === 'string' && v.trim() !== '';
+    if (!data || typeof data !== 'object') return ['case file must be a JSON object'];
+
+    if (data.format !== CASE_FORMAT) errors.push(`"format" must be ${CASE_FORMAT} (got ${JSON.stringify(data.format)})`);
+    if (!str(data.id)) errors.push('"id" must be a non-empty string (saves are stored per case id)');
+    if (!str(data.title)) errors.push('"title" must be a non-empty string');
+    if (!str(data.intro)) errors.push('"intro" must be a non-empty string');
+    if (data.level !== undefined && !/^[a-z0-9-]+$/.test(data.level)) errors.push('"level" must be a level file name like "blackwood-manor"');
+    if (data.language !== undefined && !/^[a-z]{2}$/.test(data.language)) errors.push('"language" must be a language code like "sv"');
+
+    const clues = data.clues;
+    if (!clues || typeof clues !== 'object' || Object.keys(clues).length === 0) {
+        errors.push('"clues" must be an object with at least one clue');
+    } else {
+        for (const [id, clue] of Object.entries(clues)) {
+            const at = `clue "${id}"`;
+            for (const key of ['name', 'icon', 'title', 'description', 'room']) {
+                if (!str(clue[key])) errors.push(`${at}: "${key}" must be a non-empty string`);
+            }
+            if (clue.models !== undefined) {
+                if (!Array.isArray(clue.models) || clue.models.length === 0) {
+                    errors.push(`${at}: "models" must be a non-empty array`);
+                } else {
+                    clue.models.forEach((m, i) => {
+                        if (!MODEL_URLS[m.model]) errors.push(`${at}: models[${i}].model "${m.model}" is not one of ${Object.keys(MODEL_URLS).join(', ')}`);
+                        if (!isVec3(m.position)) errors.push(`${at}: models[${i}].position must be [x, y, z]`);
+                    });
+                }
+            } else {
+                if (!CLUE_SHAPES.includes(clue.shape)) errors.push(`${at}: "shape" must be one of ${CLUE_SHAPES.join(', ')}, or give "models" instead`);
+                if (!isVec3(clue.position)) errors.push(`${at}: "position" must be [x, y, z]`);
+            }
+            if (clue.container !== undefined && !str(clue.container)) errors.push(`${at}: "container" must be a furniture id`);
+            // A mark only the UV lamp shows, and a clue found on another one
+            if (clue.uv !== undefined && typeof clue.uv !== 'boolean') errors.push(`${at}: "uv" must be true or false`);
+            if (clue.parent !== undefined && (clue.parent === id || !clues[clue.parent])) errors.push(`${at}: "parent" must be another clue's id`);
+            if (clue.hints !== undefined && !(Array.isArray(clue.hints) && clue.hints.length <= 2 && clue.hints.every(str))) {
+                errors.push(`${at}: "hints" must be up to two strings (a vague nudge, then one naming the room)`);
+            }
+            if (clue.hotspots !== undefined) {
+                for (const [hid, h] of Object.entries(clue.hotspots)) {
+                    if (!isVec3(h.position)) errors.push(`${at}: hotspots["${hid}"].position must be [x, y, z]`);
+                    if (h.radius !== undefined && !(h.radius > 0)) errors.push(`${at}: hotspots["${hid}"].radius must be a positive number`);
+                    if (!str(h.label) || !str(h.text)) errors.push(`${at}: hotspots["${hid}"] needs a "label" and a "text"`);
+                }
+            }
+        }
+    }
+
+    const suspectIds = [];
+    if (!Array.isArray(data.suspects) || data.suspects.length < 2) {
+        errors.push('"suspects" must be an array with at least two suspects');
+    } else {
+        data.suspects.forEach((s, i) => {
+            if (!str(s.id)) errors.push(`suspects[${i}]: "id" must be a non-empty string`);
+            else if (suspectIds.includes(s.id)) errors.push(`suspects[${i}]: duplicate id "${s.id}"`);
+            else suspectIds.push(s.id);
+            if (!str(s.name)) errors.push(`suspects[${i}]: "name" must be a non-empty string`);
+            if (s.position !== undefined && !isVec2(s.position)) errors.push(`suspects[${i}]: "position" must be [x, z]`);
+            if (s.position !== undefined && s.dialogue === undefined) errors.push(`suspects[${i}]: a suspect placed in the house needs a "dialogue"`);
+            if (s.dialogue !== undefined) validateDialogue(s.dialogue, `suspects[${i}].dialogue`, clues, errors);
+        });
+    }
+    if (!suspectIds.includes(data.culprit)) errors.push(`"culprit" must be one of the suspect ids (got ${JSON.stringify(data.culprit)})`);
+    if (data.accusation !== undefined) validateAccusation(data.accusation, clues, errors);
+    if (data.timeline !== undefined) validateTimeline(data.timeline, data, errors);
+    if (data.containers !== undefined) {
+        for (const [id, c] of Object.entries(data.containers)) {
+            const at = `containers["${id}"]`;
+            if (c.name !== undefined && !str(c.name)) errors.push(`${at}: "name" must be a non-empty string`);
+            if (c.lock !== undefined) {
+                const { key, code } = c.lock;
+                if ((key === undefined) === (code === undefined)) errors.push(`${at}: "lock" needs either a "key" or a "code"`);
+                if (key !== undefined && (!clues || !clues[key])) errors.push(`${at}: lock key "${key}" is not a clue`);
+                if (code !== undefined && !/^[0-9]+$/.test(code)) errors.push(`${at}: lock code must be a string of digits`);
+                if (!str(c.lockedText)) errors.push(`${at}: a locked container needs a "lockedText"`);
+            }
+        }
+    }
+    if (data.deductions !== undefined) {
+        for (const [id, d] of Object.entries(data.deductions)) {
+            const at = `deductions["${id}"]`;
+            if (!Array.isArray(d.clues) || d.clues.length !== 2 || d.clues[0] === d.clues[1]) {
+                errors.push(`${at}: "clues" must be two different clue ids`);
+            } else {
+                d.clues.forEach(c => { if (!clues || !clues[c]) errors.push(`${at}: unknown clue "${c}"`); });
+            }
+            if (d.label !== undefined && !LINK_LABELS.includes(d.label)) errors.push(`${at}: "label" must be one of ${LINK_LABELS.join(', ')}`);
+            if (!str(d.title) || !str(d.text)) errors.push(`${at} needs a "title" and a "text"`);
+        }
+    }
+
+    if (!data.endings || typeof data.endings !== 'object') {
+        errors.push('"endings" must be an object keyed by suspect id');
+    } else {
+        suspectIds.forEach(id => {
+            const e = data.endings[id];
+            if (!e || !str(e.title) || !str(e.text)) errors.push(`endings["${id}"] needs a "title" and a "text"`);
+        });
+    }
+    return errors;
+}
+
+// Clues name the room they are found in; catch typos against the level
+export function checkCaseAgainstLevel(caseData, level) {
+    const rooms = level.rooms.map(r => r.name);
+    const furniture = level.rooms.flatMap(r => r.furniture || []).filter(f => f.id).map(f => f.id);
+    const errors = Object.entries(caseData.clues)
+        .filter(([, clue]) => !rooms.includes(clue.room))
+        .map(([id, clue]) => `clue "${id}": room "${clue.room}" is not a room in the level (${rooms.join(', ')})`);
+    Object.entries(caseData.clues)
+        .filter(([, clue]) => clue.container && !furniture.includes(clue.container))
+        .forEach(([id, clue]) => errors.push(`clue "${id}": container "${clue.container}" is not a furniture id in the level`));
+    Object.keys(caseData.containers || {})
+        .filter(id => !furniture.includes(id))
+        .forEach(id => errors.push(`containers["${id}"] is not a furniture id in the level`));
+    if (errors.length) throw new Error(`Case and level do not match:\n- ${errors.join('\n- ')}`);
+}
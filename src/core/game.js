@@ -0,0 +1,539 @@
+import { ACCUSATION_PARTS } from './case.js';
+import { roomAt, storeyAt } from './level.js';
+import { CONTAINER_MODELS } from './models.js';
+import { SAVE_VERSION, emptyProgress, restoreProgress } from './save.js';
+import { buildScorecard, earnedAchievements } from './scorecard.js';
+import { SPAWN, SPEED, SPRINT_FACTOR, CROUCH_FACTOR, STRIDE, buildColliders, slide } from './world.js';
+
+// ─── GAME ───
+// The investigation without a screen: where the player stands, what they
+// have found, heard and worked out, and how the accusation ends. The page
+// draws it and feeds it input; the playthrough tests drive it directly.
+// Nothing here touches the DOM or three.js, so it runs as is under Node.
+// Functions report what happened and leave the wording to the page.
+
+// A stuck player can ask Edward Bolt for help with the first clue not yet
+// found. Each level opens after a while without finding anything: first the
+// clue's vague "hints"[0], then [1] naming the room, finally a marker over
+// the object. Every hint taken lowers the rating at the end.
+export const HINT_TIMES = [60, 150, 240];    // seconds since the last clue, per level
+export const HINT_PENALTY = 0.05;            // off the accusation score per hint
+export const REACH = 4;                      // metres within which a clue can be picked up
+
+// Edward Bolt carries two lamps, one lit at a time. The lantern lights up
+// dark rooms until its oil ("oil" in the state, 1 = full) runs out; the UV
+// lamp shows marks a case file hides with "uv": true, but only those in its
+// beam, within UV_RANGE metres and UV_ANGLE radians of where it points.
+export const LAMPS = ['lantern', 'uv'];
+export const LANTERN_SECONDS = 300;         // seconds of light in a full lantern
+export const UV_RANGE = 3;
+export const UV_ANGLE = 0.3;
+
+// The evidence camera keeps up to MAX_PHOTOS pictures (the page saves them
+// in localStorage, apart from the rest of the progress). A photo remembers
+// the clues it shows: those within PHOTO_RANGE metres and PHOTO_ANGLE
+// radians of the middle of the picture that the player could see there.
+// Attached to the accusation, it stands for those clues.
+export const MAX_PHOTOS = 12;
+export const PHOTO_RANGE = 6;
+export const PHOTO_ANGLE = 0.55;
+export const CAPTION_LENGTH = 80;
+
+export function createGame(caseData, level) {
+    const CLUES = caseData.clues;
+    const SUSPECTS = Object.fromEntries(caseData.suspects.map(s => [s.id, s]));
+    const furniture = Object.fromEntries(level.rooms.flatMap(r => r.furniture || []).filter(f => f.id).map(f => [f.id, f]));
+    const rooms = Object.fromEntries(level.rooms.map(r => [r.name, r]));
+    const candles = Object.fromEntries(level.rooms.flatMap(r => r.candles || []).filter(c => c.id).map(c => [c.id, c]));
+    const colliders = buildColliders(level, caseData);
+    const player = { ...SPAWN };
+    // Where the page's camera is and the way it looks; only the UV lamp needs it
+    const aim = { eye: [SPAWN.x, 1.6, SPAWN.z], dir: [0, 0, -1] };
+    const state = {
+        ...emptyProgress(),
+        solved: false,
+        totalClues: Object.keys(CLUES).length,
+        currentRoom: null
+    };
+
+    // ── Movement ──
+    // y is the height of the player's feet: the floor of the storey they
+    // are on, or part way up the stairs
+    function placePlayer(x, z, y = 0) {
+        player.x = x;
+        player.y = y;
+        player.z = z;
+    }
+
+    // dx, dz is the walking direction on the floor, of length up to 1.
+    // Crouching slows the walk; sprinting only works upright. A long frame
+    // is walked in strides, so it cannot step over a stair's edge.
+    function walk(dx, dz, delta, { sprint = false, crouch = false } = {}) {
+        if (!dx && !dz) return false;
+        const speed = SPEED * (crouch ? CROUCH_FACTOR : sprint ? SPRINT_FACTOR : 1) * delta;
+        const strides = Math.ceil(speed * Math.hypot(dx, dz) / STRIDE);
+        let to = player;
+        for (let i = 0; i < strides; i++) to = slide(to, dx * speed / strides, dz * speed / strides, colliders, level);
+        const moved = to.x !== player.x || to.z !== player.z;
+        placePlayer(to.x, to.z, to.y);
+        return moved;
+    }
+
+    // The room's name, or the level's between rooms; true when it changed
+    function updateRoom() {
+        const room = roomAt(level, player.x, player.z, player.y);
+        const name = room ? room.name : level.name;
+        if (name === state.currentRoom) return false;
+        state.currentRoom = name;
+        if (room && !state.stats.roomsVisited.includes(name)) state.stats.roomsVisited.push(name);
+        return true;
+    }
+
+    // ── Containers ──
+    // A container is furniture built from a model with parts that open.
+    // Case files lock some of them with a key (a clue) or a code.
+    function isContainer(id) {
+        return !!furniture[id] && CONTAINER_MODELS.includes(furniture[id].model);
+    }
+
+    function lockOf(id) {
+        return ((caseData.containers || {})[id] || {}).lock;
+    }
+
+    function isLocked(id) {
+        return !!lockOf(id) && !state.unlocked.includes(id);
+    }
+
+    function isOpen(id) {
+        return state.opened.includes(id);
+    }
+
+    function setOpen(id, open) {
+        state.opened = state.opened.filter(o => o !== id);
+        if (open) state.opened.push(id);
+    }
+
+    // Returns "opened" or "closed"; "unlocked" when a key the player has
+    // found opened it, "code" when the lock asks for a code and "locked"
+    // when it stays shut
+    function useContainer(id) {
+        let unlocked = false;
+        if (isLocked(id)) {
+            const { key, code } = lockOf(id);
+            if (!key || !state.cluesFound.includes(key)) return code ? 'code' : 'locked';
+            state.unlocked.push(id);
+            unlocked = true;
+        }
+        const open = !isOpen(id);
+        setOpen(id, open);
+        return unlocked ? 'unlocked' : open ? 'opened' : 'closed';
+    }
+
+    function enterCode(id, code) {
+        if (String(code).trim() !== lockOf(id).code) return false;
+        state.unlocked.push(id);
+        setOpen(id, true);
+        return true;
+    }
+
+    // ── Light ──
+    // A level room with "dark": true starts with its lights switched off;
+    // its "switch" turns them on and off. Candles with "unlit": true wait for
+    // the player to light them, and a light tied to one ("candle") glows only
+    // then. Other flickering lights are candles that were already burning.
+    function candleLit(id) {
+        return !candles[id] || !candles[id].unlit || state.litCandles.includes(id);
+    }
+
+    // True when it was not lit before
+    function lightCandle(id) {
+        if (candleLit(id)) return false;
+        state.litCandles.push(id);
+        return true;
+    }
+
+    function switchedOn(roomName) {
+        return state.switched[roomName] ?? !rooms[roomName].dark;
+    }
+
+    // Returns whether the room's lights are now on
+    function useSwitch(roomName) {
+        state.switched[roomName] = !switchedOn(roomName);
+        return state.switched[roomName];
+    }
+
+    function lightOn(light, roomName) {
+        if (light.candle) return candleLit(light.candle);
+        return !!light.flicker || switchedOn(roomName);
+    }
+
+    // Only a room that can go dark is ever dark, and not between rooms
+    function roomLit(roomName) {
+        const room = rooms[roomName];
+        if (!room || !(room.dark || room.switch)) return true;
+        return (room.lights || []).some(light => lightOn(light, roomName));
+    }
+
+    function lanternLit() {
+        return state.lamp === 'lantern' && state.oil > 0;
+    }
+
+    // "on", "off", or "empty" for a lantern without oil
+    function toggleLamp(lamp) {
+        if (state.lamp === lamp) {
+            state.lamp = null;
+            return 'off';
+        }
+        if (lamp === 'lantern' && state.oil <= 0) return 'empty';
+        state.lamp = lamp;
+        return 'on';
+    }
+
+    // eye and dir are [x, y, z]; dir need not be of length 1
+    function look(eye, dir) {
+        aim.eye = eye;
+        aim.dir = dir;
+    }
+
+    // Whether a clue is within range metres and angle radians of where the
+    // player looks
+    function inView(id, range, angle) {
+        const to = cluePosition(id).map((v, i) => v - aim.eye[i]);
+        const dist = Math.hypot(...to);
+        const length = Math.hypot(...aim.dir);
+        if (dist > range || !length) return false;
+        if (dist < 1e-6) return true;
+        const cos = to.reduce((sum, v, i) => sum + v * aim.dir[i], 0) / (dist * length);
+        return Math.acos(Math.min(1, cos)) <= angle;
+    }
+
+    function inUvBeam(id) {
+        return state.lamp === 'uv' && inView(id, UV_RANGE, UV_ANGLE);
+    }
+
+    // ── Clues ──
+    function cluePosition(id) {
+        const clue = CLUES[id];
+        return clue.position || clue.models[0].position;
+    }
+
+    // Clues in closed containers can't be reached, nor clues in a dark room
+    // without the lantern. A UV mark shows only in the UV lamp's beam, and a
+    // clue with a "parent" only once that clue is found.
+    function clueReachable(id) {
+        const { container, parent, uv, room } = CLUES[id];
+        if (container && isContainer(container) && !isOpen(container)) return false;
+        if (parent && !state.cluesFound.includes(parent)) return false;
+        return uv ? inUvBeam(id) : roomLit(room) || lanternLit();
+    }
+
+    // The clues the player could pick up standing where they are, on the
+    // same storey
+    function cluesInReach() {
+        const storey = storeyAt(level, player.y).y;
+        return Object.keys(CLUES).filter(id => {
+            const [x, y, z] = cluePosition(id);
+            return clueReachable(id) && storeyAt(level, y).y === storey && Math.hypot(x - player.x, z - player.z) <= REACH;
+        });
+    }
+
+    // True when the clue is new to the journal
+    function collect(id) {
+        if (state.cluesFound.includes(id) || !clueReachable(id)) return false;
+        state.cluesFound.push(id);
+        state.journal.push({ type: 'clue', id });
+        state.sinceClue = 0;
+        state.stats.clueTimes[id] = Math.round(state.stats.playTime);
+        return true;
+    }
+
+    function examinedSpots(id) {
+        return state.examined[id] || [];
+    }
+
+    // A hotspot on a found clue; one with "journal": true is also written
+    // to the journal. True when it is new.
+    function examine(id, hid) {
+        if (examinedSpots(id).includes(hid)) return false;
+        state.examined[id] = [...examinedSpots(id), hid];
+        if (CLUES[id].hotspots[hid].journal) state.journal.push({ type: 'detail', clue: id, id: hid });
+        return true;
+    }
+
+    // ── Evidence camera ──
+    // The clues a photo taken now would show, looking as set by look()
+    function cluesInView() {
+        const storey = storeyAt(level, aim.eye[1]).y;
+        return Object.keys(CLUES).filter(id => clueReachable(id)
+            && storeyAt(level, cluePosition(id)[1]).y === storey && inView(id, PHOTO_RANGE, PHOTO_ANGLE));
+    }
+
+    function photo(id) {
+        return state.photos.find(p => p.id === id);
+    }
+
+    // Keeps the picture (a data: URL) with its caption, the room it was
+    // taken in and the clues in it: those in view now, unless the page
+    // worked them out when the shutter went. Null when the camera is full.
+    function takePhoto(image, caption, shows = cluesInView()) {
+        if (state.photos.length >= MAX_PHOTOS) return null;
+        const next = Math.max(0, ...state.photos.map(p => Number(p.id.replace(/\D/g, '')) || 0)) + 1;
+        const taken = {
+            id: `photo${next}`,
+            image,
+            caption: caption.trim().slice(0, CAPTION_LENGTH),
+            room: state.currentRoom,
+            shows,
+            time: Math.round(state.stats.playTime)
+        };
+        state.photos.push(taken);
+        state.journal.push({ type: 'photo', id: taken.id });
+        return taken;
+    }
+
+    function discardPhoto(id) {
+        state.photos = state.photos.filter(p => p.id !== id);
+        state.journal = state.journal.filter(e => !(e.type === 'photo' && e.id === id));
+    }
+
+    // ── Interrogation ──
+    // Walks a suspect's dialogue tree. Options can require clues the player has
+    // found; nodes with testimony add it to the journal the first time they are heard.
+    function hear(suspectId, nodeId) {
+        const dialogue = SUSPECTS[suspectId].dialogue;
+        const node = dialogue.nodes[nodeId];
+        const heard = state.talked[suspectId] || (state.talked[suspectId] = []);
+        if (!heard.includes(nodeId)) heard.push(nodeId);
+
+        let noted = false;
+        if (node.testimony && !state.journal.some(e => e.type === 'testimony' && e.suspect === suspectId && e.node === nodeId)) {
+            state.journal.push({ type: 'testimony', suspect: suspectId, node: nodeId });
+            noted = true;
+        }
+        const options = (node.options || dialogue.nodes[dialogue.start].options || [])
+            .filter(o => (o.requires || []).every(id => state.cluesFound.includes(id)));
+        return { node, options, noted };
+    }
+
+    function talkTo(suspectId) {
+        return hear(suspectId, SUSPECTS[suspectId].dialogue.start);
+    }
+
+    // ── Deduction board ──
+    function samePair(a, b, x, y) {
+        return (a === x && b === y) || (a === y && b === x);
+    }
+
+    function deductionFor(link) {
+        return Object.entries(caseData.deductions || {}).find(([, d]) =>
+            samePair(link.a, link.b, d.clues[0], d.clues[1]) && (!d.label || d.label === link.label));
+    }
+
+    // One string per pair of cards; a new label replaces the old one.
+    // Returns the [id, deduction] of a new insight, else null.
+    function link(a, b, label) {
+        state.board.links = state.board.links.filter(l => !samePair(l.a, l.b, a, b));
+        const made = { a, b, label };
+        state.board.links.push(made);
+        const match = deductionFor(made);
+        if (!match || state.journal.some(e => e.type === 'insight' && e.id === match[0])) return null;
+        state.journal.push({ type: 'insight', id: match[0] });
+        return match;
+    }
+
+    // ── Hints ──
+    // Also keeps the play time and burns the lantern's oil; map tells whether
+    // the page shows the minimap. True when the lantern has just gone out.
+    function tick(delta, { map = false } = {}) {
+        state.sinceClue += delta;
+        state.stats.playTime += delta;
+        if (map) state.stats.mapTime += delta;
+        if (state.lamp !== 'lantern') return false;
+        state.oil = Math.max(0, state.oil - delta / LANTERN_SECONDS);
+        if (state.oil > 0) return false;
+        state.lamp = null;
+        return true;
+    }
+
+    // The clue the hints are about: one the player can go for now. A clue
+    // found on another waits for it, and UV marks come after the clues that
+    // need no lamp pointed at them.
+    function hintTarget() {
+        const open = Object.keys(CLUES).filter(id => !state.cluesFound.includes(id)
+            && (!CLUES[id].parent || state.cluesFound.includes(CLUES[id].parent)));
+        return open.find(id => !CLUES[id].uv) || open[0];
+    }
+
+    function hintLevel(id) {
+        return state.hints.levels[id] || 0;
+    }
+
+    function hintReady() {
+        const id = hintTarget();
+        if (!id) return false;
+        const next = hintLevel(id) + 1;
+        return next <= HINT_TIMES.length && state.sinceClue >= HINT_TIMES[next - 1];
+    }
+
+    // { id, level, given } for the clue asked about, given false when it is
+    // too early or the clue is already marked; null once every clue is found
+    function requestHint() {
+        const id = hintTarget();
+        if (!id) return null;
+        if (hintLevel(id) >= HINT_TIMES.length || !hintReady()) return { id, level: hintLevel(id), given: false };
+        state.hints.levels[id] = hintLevel(id) + 1;
+        state.hints.used++;
+        return { id, level: hintLevel(id), given: true };
+    }
+
+    // ── Timeline ──
+    // The player orders the events unlocked so far and names who was behind them.
+    function timelineEventKnown(event) {
+        if (event.clue) return state.cluesFound.includes(event.clue);
+        const [who, node] = event.testimony;
+        return (state.talked[who] || []).includes(node);
+    }
+
+    // Keeps the player's order, with newly unlocked events added at the end
+    function timelineOrder() {
+        const events = caseData.timeline.events;
+        const order = state.timeline.order.filter(id => events[id] && timelineEventKnown(events[id]));
+        caseData.timeline.order.forEach(id => {
+            if (!order.includes(id) && timelineEventKnown(events[id])) order.push(id);
+        });
+        state.timeline.order = order;
+        return order;
+    }
+
+    function moveTimelineEvent(i, step) {
+        const order = state.timeline.order;
+        [order[i], order[i + step]] = [order[i + step], order[i]];
+    }
+
+    function blame(eventId, suspectId) {
+        state.timeline.suspects[eventId] = suspectId;
+    }
+
+    // { solved: true }, or the first thing out of place: wrong "order" at
+    // the event that belongs there, or the wrong "suspect" for an event
+    function checkTimeline() {
+        const tl = caseData.timeline;
+        const order = timelineOrder();
+        const wrong = tl.order.findIndex((id, i) => order[i] !== id);
+        if (wrong >= 0) return { solved: false, wrong: 'order', event: tl.order[wrong] };
+        const blamed = tl.order.find(id => tl.events[id].suspect && state.timeline.suspects[id] !== tl.events[id].suspect);
+        if (blamed) return { solved: false, wrong: 'suspect', event: blamed };
+        state.timeline.solved = true;
+        return { solved: true };
+    }
+
+    // ── Accusation ──
+    // Each part scores the share of its supporting clues the player attached,
+    // less one for every unrelated clue attached to it. A photo stands for
+    // the clues it shows. Parts and the total are 0..1.
+    function scoreEvidence(evidence) {
+        const parts = {};
+        const shown = (id) => (photo(id) ? photo(id).shows : [id]);
+        ACCUSATION_PARTS.forEach(part => {
+            const wanted = caseData.accusation[part].clues;
+            const given = evidence[part] || [];
+            const hits = new Set(given.flatMap(shown).filter(id => wanted.includes(id))).size;
+            const unrelated = given.filter(id => !shown(id).some(c => wanted.includes(c))).length;
+            parts[part] = Math.max(0, hits - unrelated) / wanted.length;
+        });
+        const total = ACCUSATION_PARTS.reduce((sum, part) => sum + parts[part], 0) / ACCUSATION_PARTS.length;
+        return { parts, total };
+    }
+
+    function ratingFor(score) {
+        return [...caseData.accusation.ratings].sort((a, b) => b.min - a.min).find(r => score >= r.min);
+    }
+
+    // The accusation opens once every clue is found (and the timeline is solved,
+    // if the case requires it). UV marks and clues found on another clue are
+    // extra evidence: a case can be closed without them.
+    function canAccuse() {
+        const timelineDone = !(caseData.timeline && caseData.timeline.required) || state.timeline.solved;
+        const needed = Object.keys(CLUES).filter(id => !CLUES[id].uv && !CLUES[id].parent);
+        return needed.every(id => state.cluesFound.includes(id)) && timelineDone;
+    }
+
+    // The outcome: whether the case is solved, the ending shown and, for the
+    // right suspect in a case with an "accusation", the rating and its score
+    function accuse(suspect, evidence = {}) {
+        if (!canAccuse()) throw new Error('The accusation is not open yet');
+        const solved = suspect === caseData.culprit;
+        const outcome = { suspect, solved, ending: caseData.endings[suspect], rating: null };
+        // A reconstructed night earns the fuller ending
+        if (solved && state.timeline.solved && caseData.timeline.ending) outcome.ending = caseData.timeline.ending;
+
+        if (solved && caseData.accusation) {
+            const { parts, total } = scoreEvidence(evidence);
+            const penalty = state.hints.used * HINT_PENALTY;
+            const score = Math.max(0, total - penalty);
+            const tier = ratingFor(score);
+            if (tier.title) outcome.ending = tier;
+            Object.assign(outcome, { rating: tier, score, parts, penalty });
+        }
+        if (solved) state.solved = true;
+        else state.stats.wrongAccusations++;
+        return outcome;
+    }
+
+    // ── Statistics ──
+    function noteJournalOpen() {
+        state.stats.journalOpens++;
+    }
+
+    function scorecard() {
+        return buildScorecard(state, level);
+    }
+
+    // Achievement ids earned now and not among "have"; outcome is the
+    // accusation's when there has just been one
+    function achievements(have = [], outcome = null) {
+        return earnedAchievements({ state, caseData, level, outcome }, have);
+    }
+
+    // ── Saves ──
+    // view holds the page's own part of the player, such as where they look
+    function snapshot(view = {}) {
+        const progress = Object.fromEntries(Object.keys(emptyProgress()).map(key => [key, state[key]]));
+        return {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            player: { x: player.x, y: player.y, z: player.z, ...view },
+            room: state.currentRoom,
+            ...progress
+        };
+    }
+
+    function reset() {
+        Object.assign(state, emptyProgress(), { solved: false });
+        placePlayer(SPAWN.x, SPAWN.z, SPAWN.y);
+    }
+
+    // Takes a save already brought up to date by migrateSave; returns its player
+    function restore(data) {
+        Object.assign(state, restoreProgress(caseData, data));
+        const saved = data.player || {};
+        // Saves from before the stairs were built are all on the ground floor
+        if (isFinite(saved.x) && isFinite(saved.z)) placePlayer(saved.x, saved.z, isFinite(saved.y) ? saved.y : 0);
+        return saved;
+    }
+
+    return {
+        state, player, colliders,
+        placePlayer, walk, updateRoom,
+        isContainer, isLocked, isOpen, setOpen, useContainer, enterCode,
+        candleLit, lightCandle, switchedOn, useSwitch, lightOn, roomLit, lanternLit, toggleLamp, look, inUvBeam,
+        cluePosition, clueReachable, cluesInReach, collect, examinedSpots, examine,
+        cluesInView, photo, takePhoto, discardPhoto,
+        hear, talkTo, deductionFor, link,
+        tick, hintTarget, hintLevel, hintReady, requestHint,
+        timelineOrder, moveTimelineEvent, blame, checkTimeline,
+        scoreEvidence, ratingFor, canAccuse, accuse,
+        noteJournalOpen, scorecard, achievements,
+        snapshot, reset, restore
+    };
+}
@@ -0,0 +1,312 @@
+import { ACCUSATION_PARTS, CLUE_SHAPES, LINK_LABELS } from './case.js';
+import { roomAt } from './level.js';
+import { SURFACE_MODELS } from './models.js';
+import { createRandom } from './random.js';
+
+// ─── RANDOM CASES ───
+// A case template (cases/<name>.random.json) turns its case into a new one
+// for every seed: the seed picks the culprit, the accomplice who got hold of
+// the poison and one of the template's motives, and puts the clues listed in
+// "placed" on tables, desks and the like around the house. The template's
+// texts replace the case's wherever the culprit matters. They fill in
+// {culprit} and {accomplice} (short names), {culpritName}, {culpritGenitive}
+// and {culpritInitials} (and the same for the accomplice), {where} in a
+// placed clue, {motive} in the culprit's ending and {suspect},
+// {suspectName} and {cleared} in a suspect's own dialogue and ending.
+export const TEMPLATE_FORMAT = 1;
+export const SEEDS = [1, 999999];       // the seeds players are given and can type in
+export const TEMPLATE_ROLES = ['culprit', 'accomplice', 'innocent'];
+const TOP_MARGIN = 0.25;                // share of a top kept clear along each edge
+const CLUE_SPACING = 0.6;               // metres from a placed clue to anything else
+const PLACE_TRIES = 8;                  // spots tried on a top before moving on
+
+export function isSeed(seed) {
+    return Number.isInteger(seed) && seed >= SEEDS[0] && seed <= SEEDS[1];
+}
+
+// "Victoria Blackwood — Hustrun" is Victoria Blackwood
+export function fullName(suspect) {
+    return suspect.name.split(' — ')[0];
+}
+
+// Returns a list of problems with the template for this case
+export function validateTemplate(template, caseData) {
+    const errors = [];
+    const str = (v) => typeof v === 'string' && v.trim() !== '';
+    const obj = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+    if (!obj(template)) return ['case template must be a JSON object'];
+    const clues = caseData.clues;
+    const knownClue = (id) => !!clues[id];
+
+    if (template.format !== TEMPLATE_FORMAT) errors.push(`"format" must be ${TEMPLATE_FORMAT} (got ${JSON.stringify(template.format)})`);
+    if (!str(template.title)) errors.push('"title" must be a non-empty string');
+    caseData.suspects.forEach(s => {
+        const p = obj(template.people) && template.people[s.id];
+        if (!p || !str(p.genitive) || !str(p.initials) || !str(p.cleared)) {
+            errors.push(`people["${s.id}"] needs a "genitive", "initials" and "cleared"`);
+        }
+    });
+    if (!Array.isArray(template.motives) || template.motives.length === 0) {
+        errors.push('"motives" must be a non-empty array');
+    } else {
+        template.motives.forEach((m, i) => {
+            if (!str(m.id)) errors.push(`motives[${i}]: "id" must be a non-empty string`);
+            if (!str(m.ending)) errors.push(`motives[${i}]: "ending" must be a non-empty string`);
+            Object.keys(m.clues || {}).filter(id => !knownClue(id)).forEach(id => errors.push(`motives[${i}]: unknown clue "${id}"`));
+            if (!Array.isArray(m.evidence) || m.evidence.length === 0 || !m.evidence.every(knownClue)) {
+                errors.push(`motives[${i}]: "evidence" must list clues of the case`);
+            }
+        });
+    }
+    Object.keys(template.clues || {}).filter(id => !knownClue(id)).forEach(id => errors.push(`clues: unknown clue "${id}"`));
+    (template.placed || []).forEach(id => {
+        const clue = clues[id];
+        if (!clue || !CLUE_SHAPES.includes(clue.shape) || clue.container || clue.parent) {
+            errors.push(`placed: "${id}" must be a clue with a "shape" that is not in a container or on another clue`);
+        }
+    });
+    if (!str(template.where) || !str(template.hint)) errors.push('"where" and "hint" must be non-empty strings');
+    if (!obj(template.surfaces) || !Object.keys(template.surfaces).every(m => SURFACE_MODELS[m])) {
+        errors.push(`"surfaces" must name tops of ${Object.keys(SURFACE_MODELS).join(', ')}`);
+    }
+    if (!obj(template.rooms)) errors.push('"rooms" must be an object of room names');
+    for (const [id, nodes] of Object.entries(template.keep || {})) {
+        const suspect = caseData.suspects.find(s => s.id === id);
+        if (!suspect || !suspect.dialogue || !nodes.every(n => suspect.dialogue.nodes[n])) {
+            errors.push(`keep["${id}"] must list dialogue nodes of that suspect`);
+        }
+    }
+    TEMPLATE_ROLES.forEach(role => {
+        const d = template.dialogue && template.dialogue[role];
+        if (!d || !Array.isArray(d.options) || !obj(d.nodes)) errors.push(`dialogue.${role} needs "options" and "nodes"`);
+        const e = template.endings && template.endings[role];
+        if (!e || !str(e.title) || !str(e.text)) errors.push(`endings.${role} needs a "title" and a "text"`);
+    });
+    if (template.ratings !== undefined && (!Array.isArray(template.ratings) || template.ratings.length === 0)) {
+        errors.push('"ratings" must be a non-empty array');
+    }
+    for (const [id, d] of Object.entries(template.deductions || {})) {
+        if (!Array.isArray(d.clues) || !d.clues.every(knownClue) || (d.label !== undefined && !LINK_LABELS.includes(d.label))) {
+            errors.push(`deductions["${id}"] must link two clues of the case`);
+        }
+    }
+    return errors;
+}
+
+function fill(value, vars) {
+    if (typeof value === 'string') return value.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m));
+    if (Array.isArray(value)) return value.map(v => fill(v, vars));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, vars)]));
+    return value;
+}
+
+// Objects merge by key; anything else in "extra" replaces what was there
+function merged(base, extra) {
+    if (extra === undefined) return base;
+    if (!base || !extra || typeof base !== 'object' || typeof extra !== 'object' || Array.isArray(extra)) return extra;
+    const out = { ...base };
+    Object.entries(extra).forEach(([key, value]) => { out[key] = merged(base[key], value); });
+    return out;
+}
+
+// ── Placing clues ──
+// Every top in a room the template has words for, as the room, the model,
+// the furniture and the height of the top
+function surfacesOf(level, template) {
+    return level.rooms
+        .filter(room => template.rooms[room.name])
+        .flatMap(room => (room.furniture || [])
+            .filter(f => template.surfaces[f.model] && f.collider)
+            .map(f => ({ room, furniture: f, top: f.position[1] + SURFACE_MODELS[f.model].top * (f.scale || 1) })));
+}
+
+// What already stands on the tops: clues, loose models and candles
+function occupiedPoints(level, clues) {
+    const points = Object.values(clues).flatMap(c => c.models ? c.models.map(m => m.position) : [c.position]);
+    level.rooms.forEach(room => {
+        (room.furniture || []).filter(f => !f.collider).forEach(f => points.push(f.position));
+        (room.candles || []).forEach(c => points.push(c.position));
+    });
+    return points;
+}
+
+// A spot on a top, inside the margin, turned with the furniture
+function spotOn(surface, random) {
+    const { furniture: f } = surface;
+    const [w, d] = SURFACE_MODELS[f.model].size;
+    const scale = f.scale || 1;
+    const u = (random() - 0.5) * w * (1 - 2 * TOP_MARGIN) * scale;
+    const v = (random() - 0.5) * d * (1 - 2 * TOP_MARGIN) * scale;
+    const rot = f.rotY || 0;
+    const x = f.position[0] + u * Math.cos(rot) + v * Math.sin(rot);
+    const z = f.position[2] - u * Math.sin(rot) + v * Math.cos(rot);
+    return [Math.round(x * 100) / 100, Math.round(surface.top * 100) / 100, Math.round(z * 100) / 100];
+}
+
+// One clue per top, each clear of everything else standing there
+function placeClues(ids, clues, level, template, random) {
+    const occupied = occupiedPoints(level, Object.fromEntries(Object.entries(clues).filter(([id]) => !ids.includes(id))));
+    const free = (p) => occupied.every(q => Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]) >= CLUE_SPACING);
+    const surfaces = random.shuffle(surfacesOf(level, template));
+    const placed = {};
+    ids.forEach(id => {
+        while (surfaces.length) {
+            const surface = surfaces.shift();
+            const tries = Array.from({ length: PLACE_TRIES }, () => spotOn(surface, random));
+            const spot = tries.find(free);
+            if (!spot) continue;
+            occupied.push(spot);
+            placed[id] = { room: surface.room.name, position: spot, surface: surface.furniture.model };
+            return;
+        }
+        throw new Error(`No free top left for clue "${id}"`);
+    });
+    return placed;
+}
+
+// ── The case ──
+// The case for a seed; the same seed, case, template and level always give
+// the same case. Throws when the template cannot make a playable one.
+export function generateCase(caseData, template, level, seed) {
+    if (!isSeed(seed)) throw new Error(`A seed must be a whole number from ${SEEDS[0]} to ${SEEDS[1]} (got ${seed})`);
+    const random = createRandom(seed);
+    // Small seeds start on small numbers; step past them
+    for (let i = 0; i < 3; i++) random();
+
+    const suspects = caseData.suspects;
+    const culprit = random.pick(suspects);
+    const accomplice = random.pick(suspects.filter(s => s !== culprit));
+    const motive = random.pick(template.motives);
+    const roleOf = (s) => s === culprit ? 'culprit' : s === accomplice ? 'accomplice' : 'innocent';
+    const people = template.people;
+    const vars = {
+        seed,
+        culprit: culprit.short || fullName(culprit),
+        culpritName: fullName(culprit),
+        culpritGenitive: people[culprit.id].genitive,
+        culpritInitials: people[culprit.id].initials,
+        accomplice: accomplice.short || fullName(accomplice),
+        accompliceName: fullName(accomplice),
+        accompliceGenitive: people[accomplice.id].genitive,
+        accompliceInitials: people[accomplice.id].initials
+    };
+    const personal = (s) => ({ ...vars, suspect: s.short || fullName(s), suspectName: fullName(s), cleared: people[s.id].cleared });
+
+    // Clues: the template's texts over the case's, then the placed ones moved
+    const clues = {};
+    for (const [id, clue] of Object.entries(caseData.clues)) {
+        clues[id] = merged(merged(clue, template.clues && template.clues[id]), motive.clues && motive.clues[id]);
+    }
+    const placed = placeClues(template.placed || [], clues, level, template, random);
+    for (const [id, clue] of Object.entries(clues)) {
+        const spot = placed[id];
+        if (!spot) {
+            clues[id] = fill(clue, vars);
+            continue;
+        }
+        const where = fill(template.where, { surface: template.surfaces[spot.surface], room: template.rooms[spot.room] });
+        clues[id] = fill({
+            ...clue, room: spot.room, position: spot.position,
+            hints: [...(clue.hints || []).slice(0, 1), template.hint]
+        }, { ...vars, where });
+    }
+
+    // Suspects keep the questions the template names and get their role's
+    const generatedSuspects = suspects.map(s => {
+        if (!s.dialogue) return s;
+        const keep = (template.keep && template.keep[s.id]) || [];
+        const role = fill(template.dialogue[roleOf(s)], personal(s));
+        const start = s.dialogue.nodes[s.dialogue.start];
+        const nodes = Object.fromEntries(keep.map(id => [id, s.dialogue.nodes[id]]));
+        nodes.intro = {
+            text: start.text,
+            options: [...(start.options || []).filter(o => keep.includes(o.goto)), ...role.options]
+        };
+        return { ...s, dialogue: { start: 'intro', nodes: { ...nodes, ...role.nodes } } };
+    });
+
+    const endings = Object.fromEntries(suspects.map(s => [s.id,
+        fill(template.endings[roleOf(s)], { ...personal(s), motive: fill(motive.ending, vars) })]));
+    const accusation = caseData.accusation && {
+        ...caseData.accusation,
+        motive: { ...caseData.accusation.motive, clues: motive.evidence },
+        ratings: fill(template.ratings || caseData.accusation.ratings, vars)
+    };
+    const containers = merged(caseData.containers || {}, fill(template.containers || {}, vars));
+
+    const generated = {
+        ...caseData,
+        id: `${caseData.id}-${seed}`,
+        title: fill(template.title, vars),
+        subtitle: fill(template.subtitle, vars) || caseData.subtitle,
+        seed,
+        clues,
+        suspects: generatedSuspects,
+        culprit: culprit.id,
+        accusation,
+        containers,
+        deductions: fill(template.deductions, vars) || caseData.deductions,
+        endings
+    };
+    // The night as the case tells it no longer holds, so there is no timeline
+    delete generated.timeline;
+    return generated;
+}
+
+// ── Solvable ──
+// What every generated case must be, and the hand-written ones are too:
+// each clue lies in the room it names and can be found (nothing waits on
+// itself through a "parent" or a lock whose key or code only it gives), and
+// the culprit is named in the evidence for more parts of the accusation than
+// any other suspect. Returns a list of problems.
+function clueText(clue) {
+    return [clue.title, clue.description, ...Object.values(clue.hotspots || {}).map(h => h.text)].join('\n');
+}
+
+// "20:47" in a text gives the code 2047
+function codesIn(text) {
+    return (text.match(/\d[\d:.]*\d/g) || []).map(n => n.replace(/\D/g, ''));
+}
+
+export function checkSolvable(caseData, level) {
+    const errors = [];
+    const clues = caseData.clues;
+    const containers = caseData.containers || {};
+
+    for (const [id, clue] of Object.entries(clues)) {
+        const [x, y, z] = clue.position || clue.models[0].position;
+        const room = roomAt(level, x, z, y);
+        if (!room || room.name !== clue.room) errors.push(`clue "${id}" is not in ${clue.room} but in ${room ? room.name : 'no room'}`);
+    }
+
+    // Find what can be found until nothing more opens up
+    const found = new Set();
+    const opens = (container) => {
+        const lock = containers[container] && containers[container].lock;
+        if (!lock) return true;
+        if (lock.key) return found.has(lock.key);
+        return [...found].some(id => codesIn(clueText(clues[id])).includes(lock.code));
+    };
+    let more = true;
+    while (more) {
+        more = false;
+        for (const [id, clue] of Object.entries(clues)) {
+            if (found.has(id) || (clue.parent && !found.has(clue.parent)) || (clue.container && !opens(clue.container))) continue;
+            found.add(id);
+            more = true;
+        }
+    }
+    Object.keys(clues).filter(id => !found.has(id)).forEach(id => errors.push(`clue "${id}" can never be found`));
+
+    if (caseData.accusation) {
+        const named = (s) => ACCUSATION_PARTS.filter(part => caseData.accusation[part].clues.some(id =>
+            [s.short, fullName(s)].some(name => name && clueText(clues[id]).includes(name)))).length;
+        const culprit = caseData.suspects.find(s => s.id === caseData.culprit);
+        const parts = named(culprit);
+        caseData.suspects.filter(s => s !== culprit && named(s) >= parts).forEach(s => {
+            errors.push(`the evidence names ${fullName(s)} as often as the culprit (${parts} of ${ACCUSATION_PARTS.length} parts)`);
+        });
+        if (parts === 0) errors.push('the evidence never names the culprit');
+    }
+    return errors;
+}
@@ -0,0 +1,75 @@
+// ─── LAYOUT EXPORT ───
+// The level editor writes what it moved back into the level and case files.
+// Only the changed values are replaced in the file's text, so the rest of
+// a hand-formatted file (and its diff) stays as it was. A value is found by
+// its path, e.g. ['rooms', 2, 'furniture', 0] or ['clues', 'newspaper', 'position'].
+
+// One line, spaced the way the level and case files write their entries
+export function inlineJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(inlineJSON).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}: ${inlineJSON(v)}`).join(', ')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// edits is a list of { path, value }; throws when a path is not in the file
+export function replaceJSONValues(text, edits) {
+    const wanted = new Map(edits.map(edit => [JSON.stringify(edit.path), edit]));
+    const spans = [];
+    let i = 0;
+
+    const skipSpace = () => { while (/\s/.test(text[i])) i++; };
+    const expect = (c) => {
+        if (text[i] !== c) throw new Error(`Expected "${c}" at offset ${i}`);
+        i++;
+    };
+    const readString = () => {
+        const start = i;
+        expect('"');
+        while (text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+        i++;
+        return JSON.parse(text.slice(start, i));
+    };
+    const readValue = (path) => {
+        skipSpace();
+        const start = i;
+        if (text[i] === '{') {
+            i++;
+            skipSpace();
+            while (text[i] !== '}') {
+                const key = readString();
+                skipSpace();
+                expect(':');
+                readValue([...path, key]);
+                skipSpace();
+                if (text[i] === ',') { i++; skipSpace(); }
+            }
+            i++;
+        } else if (text[i] === '[') {
+            i++;
+            skipSpace();
+            for (let n = 0; text[i] !== ']'; n++) {
+                readValue([...path, n]);
+                skipSpace();
+                if (text[i] === ',') i++;
+                skipSpace();
+            }
+            i++;
+        } else if (text[i] === '"') {
+            readString();
+        } else {
+            while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+        }
+        const edit = wanted.get(JSON.stringify(path));
+        if (edit) spans.push({ start, end: i, value: edit.value, key: JSON.stringify(path) });
+    };
+
+    readValue([]);
+    const found = new Set(spans.map(s => s.key));
+    const missing = [...wanted.keys()].filter(key => !found.has(key));
+    if (missing.length) throw new Error(`Not in the file: ${missing.join(', ')}`);
+    // From the end, so earlier offsets stay valid
+    return spans.sort((a, b) => b.start - a.start)
+        .reduce((out, s) => out.slice(0, s.start) + inlineJSON(s.value) + out.slice(s.end), text);
+}
@@ -0,0 +1,252 @@
+import { MODEL_URLS } from './models.js';
+import { isVec2, isVec3 } from './case.js';
+
+// ─── LEVEL FILE ───
+// A level file (levels/<name>.json) is the single description of the floor
+// plan. Rooms are polygons on the x/z plane (first match wins in roomAt),
+// walls are axis-aligned lines with doorway openings given as [from, to]
+// along the wall, and each room lists its furniture, lights and candles.
+// Walls, colliders, the minimap and room detection are all generated from
+// it. Case files refer to a room by "name"; the player sees its "label"
+// when the level has one. A room with "dark": true starts with its lights
+// off; its wall "switch" ([x, y, z]) or a candle to light brings them back.
+//
+// A house with more than one floor lists its "storeys", each a { name, y }
+// with y the height of its floor; rooms and walls name theirs in "storey"
+// and are otherwise on the one at height 0. Positions in the level and case
+// files are in the house's own coordinates, so upstairs furniture has the
+// storey's height in its y. "stairs" run straight along the x or z axis
+// from their foot ("from", on the "bottom" storey) to their head ("to", on
+// the "top" storey), "width" wide, and cut their footprint out of the top
+// storey's floor and the ceiling below it. A wall can be given a lower
+// "height", e.g. for the railing around a stairwell.
+export const WALL_MATERIALS = ['north', 'south', 'west', 'east', 'interior'];
+// Optional per-room sound: the ambience that plays there and the floor
+// the footsteps sound on (wood when left out)
+export const ROOM_AMBIENCES = ['wind', 'drip', 'fire', 'rain', 'creak', 'clock', 'still'];
+export const FLOOR_SURFACES = ['wood', 'stone'];
+
+export function validateLevel(data) {
+    const errors = [];
+    const str = (v) => typeof v === 'string' && v.trim() !== '';
+    const positive = (v) => typeof v === 'number' && v > 0;
+    if (!data || typeof data !== 'object') return ['level file must be a JSON object'];
+
+    if (data.format !== 1) errors.push(`"format" must be 1 (got ${JSON.stringify(data.format)})`);
+    if (!str(data.name)) errors.push('"name" must be a non-empty string');
+    if (data.language !== undefined && !/^[a-z]{2}$/.test(data.language)) errors.push('"language" must be a language code like "sv"');
+    const b = data.bounds;
+    if (!Array.isArray(b) || b.length !== 4 || !b.every(n => typeof n === 'number') || b[0] >= b[2] || b[1] >= b[3]) {
+        errors.push('"bounds" must be [minX, minZ, maxX, maxZ]');
+    }
+    if (!positive(data.wallHeight)) errors.push('"wallHeight" must be a positive number');
+    if (!positive(data.wallThickness)) errors.push('"wallThickness" must be a positive number');
+
+    const storeyNames = storeysOf(data).map(st => st.name);
+    const onStorey = (at, item) => {
+        if (item.storey !== undefined && !(data.storeys && storeyNames.includes(item.storey))) {
+            errors.push(`${at}: "storey" must be one of the level's storeys (${data.storeys ? storeyNames.join(', ') : 'none'})`);
+        }
+    };
+    if (data.storeys !== undefined) {
+        if (!Array.isArray(data.storeys) || data.storeys.length === 0) {
+            errors.push('"storeys" must be a non-empty array');
+        } else {
+            data.storeys.forEach((st, i) => {
+                const at = `storeys[${i}]`;
+                if (!str(st.name)) errors.push(`${at}: "name" must be a non-empty string`);
+                else if (storeyNames.indexOf(st.name) !== i) errors.push(`${at}: storey name "${st.name}" is used twice`);
+                if (st.label !== undefined && !str(st.label)) errors.push(`${at}: "label" must be a non-empty string`);
+                if (typeof st.y !== 'number' || !isFinite(st.y)) errors.push(`${at}: "y" must be a number`);
+                else if (i > 0 && !(st.y - data.storeys[i - 1].y >= data.wallHeight)) {
+                    errors.push(`${at}: storeys must go from the bottom up, at least "wallHeight" apart`);
+                }
+            });
+            if (!data.storeys.some(st => st.y === 0)) errors.push('"storeys" must have one at "y": 0, where rooms and walls without a "storey" are');
+        }
+    }
+
+    const furnitureIds = new Set();
+    const candleIds = new Set();
+    if (!Array.isArray(data.rooms) || data.rooms.length === 0) {
+        errors.push('"rooms" must be a non-empty array');
+    } else {
+        data.rooms.forEach((room, i) => {
+            const at = `rooms[${i}]${str(room.name) ? ` ("${room.name}")` : ''}`;
+            if (!str(room.name)) errors.push(`${at}: "name" must be a non-empty string`);
+            onStorey(at, room);
+            if (!Array.isArray(room.polygon) || room.polygon.length < 3 || !room.polygon.every(isVec2)) {
+                errors.push(`${at}: "polygon" must be at least three [x, z] points`);
+            }
+            if (room.labelAt !== undefined && !isVec2(room.labelAt)) errors.push(`${at}: "labelAt" must be [x, z]`);
+            if (room.label !== undefined && !str(room.label)) errors.push(`${at}: "label" must be a non-empty string`);
+            if (room.ambience !== undefined && !ROOM_AMBIENCES.includes(room.ambience)) errors.push(`${at}: "ambience" must be one of ${ROOM_AMBIENCES.join(', ')}`);
+            if (room.floor !== undefined && !FLOOR_SURFACES.includes(room.floor)) errors.push(`${at}: "floor" must be one of ${FLOOR_SURFACES.join(', ')}`);
+            if (room.dark !== undefined && typeof room.dark !== 'boolean') errors.push(`${at}: "dark" must be true or false`);
+            if (room.switch !== undefined && !isVec3(room.switch)) errors.push(`${at}: "switch" must be [x, y, z]`);
+            const roomCandles = (room.candles || []).filter(c => c.id).map(c => c.id);
+            if (room.dark && !room.switch && !(room.candles || []).some(c => c.unlit)) {
+                errors.push(`${at}: a dark room needs a "switch" or a candle with "unlit": true, or it can never be lit`);
+            }
+            // A light with "flicker" is a candle flame's glow; with "candle" it
+            // only glows once the player has lit that candle
+            (room.lights || []).forEach((l, j) => {
+                if (!isVec3(l.position)) errors.push(`${at}: lights[${j}].position must be [x, y, z]`);
+                if (typeof l.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(l.color)) errors.push(`${at}: lights[${j}].color must be a colour like "#ffa54f"`);
+                if (!positive(l.intensity)) errors.push(`${at}: lights[${j}].intensity must be a positive number`);
+                if (!positive(l.distance)) errors.push(`${at}: lights[${j}].distance must be a positive number`);
+                if (l.flicker !== undefined && typeof l.flicker !== 'boolean') errors.push(`${at}: lights[${j}].flicker must be true or false`);
+                if (l.candle !== undefined && !roomCandles.includes(l.candle)) errors.push(`${at}: lights[${j}].candle "${l.candle}" is not a candle id in this room`);
+            });
+            // Candles stand on a surface: position is [x, surface height, z]
+            (room.candles || []).forEach((c, j) => {
+                if (!isVec3(c.position)) errors.push(`${at}: candles[${j}].position must be [x, y, z]`);
+                if (c.scale !== undefined && !positive(c.scale)) errors.push(`${at}: candles[${j}].scale must be a positive number`);
+                if (c.id !== undefined) {
+                    if (!str(c.id)) errors.push(`${at}: candles[${j}].id must be a non-empty string`);
+                    else if (candleIds.has(c.id)) errors.push(`${at}: candle id "${c.id}" is used twice`);
+                    candleIds.add(c.id);
+                }
+                if (c.unlit !== undefined && typeof c.unlit !== 'boolean') errors.push(`${at}: candles[${j}].unlit must be true or false`);
+                if (c.unlit && !str(c.id)) errors.push(`${at}: candles[${j}] needs an "id" to be lit by the player`);
+            });
+            (room.furniture || []).forEach((f, j) => {
+                if (!MODEL_URLS[f.model]) errors.push(`${at}: furniture[${j}].model "${f.model}" is not one of ${Object.keys(MODEL_URLS).join(', ')}`);
+                if (!isVec3(f.position)) errors.push(`${at}: furniture[${j}].position must be [x, y, z]`);
+                if (f.id !== undefined) {
+                    if (!str(f.id)) errors.push(`${at}: furniture[${j}].id must be a non-empty string`);
+                    else if (furnitureIds.has(f.id)) errors.push(`${at}: furniture id "${f.id}" is used twice`);
+                    furnitureIds.add(f.id);
+                }
+                if (f.collider !== undefined && !(Array.isArray(f.collider) && f.collider.length === 3 && f.collider.every(positive))) {
+                    errors.push(`${at}: furniture[${j}].collider must be [width, height, depth]`);
+                }
+            });
+        });
+    }
+
+    if (!Array.isArray(data.walls)) {
+        errors.push('"walls" must be an array');
+    } else {
+        data.walls.forEach((wall, i) => {
+            const at = `walls[${i}]`;
+            if (!isVec2(wall.from) || !isVec2(wall.to)) {
+                errors.push(`${at}: "from" and "to" must be [x, z]`);
+                return;
+            }
+            if (wall.from[0] !== wall.to[0] && wall.from[1] !== wall.to[1]) errors.push(`${at}: walls must run along the x or z axis`);
+            onStorey(at, wall);
+            if (wall.height !== undefined && !(positive(wall.height) && wall.height <= data.wallHeight)) {
+                errors.push(`${at}: "height" must be a positive number up to "wallHeight"`);
+            }
+            if (!WALL_MATERIALS.includes(wall.material)) errors.push(`${at}: "material" must be one of ${WALL_MATERIALS.join(', ')}`);
+            const alongX = wall.from[1] === wall.to[1];
+            const lo = Math.min(alongX ? wall.from[0] : wall.from[1], alongX ? wall.to[0] : wall.to[1]);
+            const hi = Math.max(alongX ? wall.from[0] : wall.from[1], alongX ? wall.to[0] : wall.to[1]);
+            (wall.openings || []).forEach((o, j) => {
+                if (!isVec2(o) || o[0] >= o[1] || o[0] < lo || o[1] > hi) {
+                    errors.push(`${at}: openings[${j}] must be [from, to] inside the wall (${lo} to ${hi})`);
+                }
+            });
+        });
+    }
+
+    if (data.stairs !== undefined && !Array.isArray(data.stairs)) {
+        errors.push('"stairs" must be an array');
+    } else {
+        (data.stairs || []).forEach((stair, i) => {
+            const at = `stairs[${i}]`;
+            if (!isVec2(stair.from) || !isVec2(stair.to)) {
+                errors.push(`${at}: "from" and "to" must be [x, z]`);
+            } else if ((stair.from[0] !== stair.to[0]) === (stair.from[1] !== stair.to[1])) {
+                errors.push(`${at}: stairs must run along the x or z axis`);
+            }
+            if (!positive(stair.width)) errors.push(`${at}: "width" must be a positive number`);
+            const bottom = storeysOf(data).find(st => st.name === stair.bottom);
+            const top = storeysOf(data).find(st => st.name === stair.top);
+            if (!bottom || !top) errors.push(`${at}: "bottom" and "top" must name storeys of the level`);
+            else if (top.y <= bottom.y) errors.push(`${at}: the "top" storey must be above the "bottom" one`);
+        });
+    }
+    return errors;
+}
+
+// ─── STOREYS ───
+// A level without "storeys" is one floor at height 0
+export function storeysOf(level) {
+    return level.storeys || [{ name: level.name, y: 0 }];
+}
+
+// The height of a storey's floor by name; rooms and walls without a
+// "storey" are at 0
+export function storeyY(level, name) {
+    const storey = level.storeys && level.storeys.find(st => st.name === name);
+    return storey ? storey.y : 0;
+}
+
+// The storey whose floor is the highest at or just under y, so that the
+// head of the stairs and a clue lying on the floor count as upstairs
+const STOREY_MARGIN = 0.5;
+export function storeyAt(level, y) {
+    const storeys = storeysOf(level);
+    return [...storeys].reverse().find(st => st.y <= y + STOREY_MARGIN) || storeys[0];
+}
+
+// A stair's footprint as [minX, minZ, maxX, maxZ], and the height of its
+// steps at a point in it (climbing evenly from foot to head), or undefined
+// outside it
+export function stairFootprint(stair) {
+    const alongX = stair.from[1] === stair.to[1];
+    const half = stair.width / 2;
+    const [x1, z1] = stair.from, [x2, z2] = stair.to;
+    return alongX
+        ? [Math.min(x1, x2), z1 - half, Math.max(x1, x2), z1 + half]
+        : [x1 - half, Math.min(z1, z2), x1 + half, Math.max(z1, z2)];
+}
+
+export function stairHeight(level, stair, x, z) {
+    const [minX, minZ, maxX, maxZ] = stairFootprint(stair);
+    if (x < minX || x > maxX || z < minZ || z > maxZ) return undefined;
+    const alongX = stair.from[1] === stair.to[1];
+    const axis = alongX ? 0 : 1;
+    const t = ((alongX ? x : z) - stair.from[axis]) / (stair.to[axis] - stair.from[axis]);
+    const bottom = storeyY(level, stair.bottom);
+    return bottom + t * (storeyY(level, stair.top) - bottom);
+}
+
+// Solid stretches of a wall once its doorway openings are cut out,
+// as [[x1, z1], [x2, z2]] line segments
+export function wallSegments(wall) {
+    const alongX = wall.from[1] === wall.to[1];
+    const axis = alongX ? 0 : 1;
+    const lo = Math.min(wall.from[axis], wall.to[axis]);
+    const hi = Math.max(wall.from[axis], wall.to[axis]);
+    const fixed = wall.from[1 - axis];
+    const point = (a) => alongX ? [a, fixed] : [fixed, a];
+    const segments = [];
+    let start = lo;
+    [...(wall.openings || [])].sort((p, q) => p[0] - q[0]).forEach(([from, to]) => {
+        if (from > start) segments.push([point(start), point(from)]);
+        start = Math.max(start, to);
+    });
+    if (hi > start) segments.push([point(start), point(hi)]);
+    return segments;
+}
+
+// ─── ROOM LOOKUP ───
+// Even-odd ray cast against a room polygon of [x, z] points
+export function pointInPolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, zi] = polygon[i], [xj, zj] = polygon[j];
+        if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// The room at a point on the floor of the storey at height y (the ground
+// floor when left out), or undefined between rooms
+export function roomAt(level, x, z, y = 0) {
+    const floor = storeyAt(level, y).y;
+    return level.rooms.find(r => storeyY(level, r.storey) === floor && pointInPolygon(x, z, r.polygon));
+}
@@ -0,0 +1,31 @@
+// Model URLs from poly.pizza (CC0/CC-BY licensed)
+export const MODEL_URLS = {
+    table:       'models/table.glb',
+    chair:       'models/chair.glb',
+    sofa:        'models/sofa.glb',
+    bed:         'models/bed.glb',
+    desk:        'models/desk.glb',
+    bookshelf:   'models/bookshelf.glb',
+    candle:      'models/candle.glb',
+    wineGlass:   'models/wineGlass.glb',
+    wardrobe:    'models/wardrobe.glb',
+    cabinet:     'models/cabinet.glb',
+    drawer:      'models/drawer.glb',
+    armchair:    'models/armchair.glb',
+    potionBottle:'models/potionBottle.glb',
+    chandelier:  'models/chandelier.glb',
+    wineBottle:  'models/wineBottle.glb',
+};
+
+// Models with parts that open (nodes with "open" in model-specs/); furniture
+// built from them is a container the player can open and search
+export const CONTAINER_MODELS = ['wardrobe', 'cabinet', 'drawer', 'desk'];
+
+// Tops that small things can be put on: the height of the top and its size
+// [w, d] at scale 1, before the furniture's rotY (from model-specs/)
+export const SURFACE_MODELS = {
+    table:   { top: 0.8, size: [2, 1.2] },
+    desk:    { top: 0.79, size: [1.6, 0.8] },
+    drawer:  { top: 0.58, size: [0.55, 0.45] },
+    cabinet: { top: 0.94, size: [1.5, 0.55] }
+};
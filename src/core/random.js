@@ -0,0 +1,20 @@
+// ─── SEEDED RANDOM ───
+// The Park–Miller generator the wall textures are painted with: the same
+// seed gives the same numbers, in the same order, on every machine. Seeds
+// are whole numbers from 1 to 2147483646.
+export function createRandom(seed) {
+    let s = seed;
+    const random = () => { s = (s * 16807) % 2147483647; return (s - 1) / 2147483646; };
+    random.int = (n) => Math.floor(random() * n);
+    random.pick = (list) => list[random.int(list.length)];
+    // A shuffled copy; the list itself is left alone
+    random.shuffle = (list) => {
+        const out = [...list];
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = random.int(i + 1);
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    };
+    return random;
+}
@@ -0,0 +1,130 @@
+import { LINK_LABELS } from './case.js';
+import { emptyStats } from './scorecard.js';
+
+// ─── SAVE FORMAT ───
+// What a save holds and how older saves are brought up to date. Where the
+// saves are kept (localStorage slots) is up to the page.
+export const SAVE_VERSION = 10;
+
+// Upgrades a save from version n to n + 1. Add an entry here whenever the
+// save format changes so older saves keep loading.
+const SAVE_MIGRATIONS = {
+    // v2 added interrogations
+    1: (data) => ({ ...data, version: 2, talked: {} }),
+    // v3 added the deduction board
+    2: (data) => ({ ...data, version: 3, board: { cards: {}, links: [] } }),
+    // v4 added inspected hotspots
+    3: (data) => ({ ...data, version: 4, examined: {} }),
+    // v5 added openable containers
+    4: (data) => ({ ...data, version: 5, opened: [], unlocked: [] }),
+    // v6 added the timeline
+    5: (data) => ({ ...data, version: 6, timeline: { order: [], suspects: {}, solved: false } }),
+    // v7 added hints
+    6: (data) => ({ ...data, version: 7, hints: { used: 0, levels: {} }, sinceClue: 0 }),
+    // v8 added the lamps, light switches and candles
+    7: (data) => ({ ...data, version: 8, lamp: null, oil: 1, switched: {}, litCandles: [] }),
+    // v9 added the case statistics
+    8: (data) => ({ ...data, version: 9, stats: emptyStats() }),
+    // v10 added the evidence camera's photos
+    9: (data) => ({ ...data, version: 10, photos: [] })
+};
+
+// Throws when the save cannot be brought to SAVE_VERSION
+export function migrateSave(data) {
+    while (data.version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[data.version];
+        if (!migrate) throw new Error(`No migration for save version ${data.version}`);
+        data = migrate(data);
+    }
+    if (data.version > SAVE_VERSION) throw new Error(`Save is from a newer version (${data.version})`);
+    return data;
+}
+
+// Everything a save remembers about the investigation itself
+export function emptyProgress() {
+    return {
+        cluesFound: [],
+        journal: [],        // entries in the order they were written, e.g. { type: 'clue', id }
+        talked: {},         // dialogue nodes heard, per suspect id
+        board: { cards: {}, links: [] },   // deduction board: card positions (0..1) and strings
+        examined: {},       // hotspots found in the inspect view, per clue id
+        opened: [],         // containers standing open
+        unlocked: [],       // locked containers the player has opened
+        timeline: { order: [], suspects: {}, solved: false },
+        hints: { used: 0, levels: {} },    // hint levels given, per clue id
+        sinceClue: 0,       // seconds of play since the last clue was found
+        lamp: null,         // the lamp in Edward Bolt's hand: 'lantern', 'uv' or null
+        oil: 1,             // oil left in the lantern, 1 = full
+        switched: {},       // rooms whose lights the player has switched, on or off
+        litCandles: [],     // candles the player has lit
+        stats: emptyStats(), // for the scorecard, see core/scorecard.js
+        photos: []          // the evidence camera's, see isPhoto()
+    };
+}
+
+// A photo is { id ("photo" and a number), image (a base64 data: URL),
+// caption, room, shows: [clue ids in the picture], time (play time when
+// taken) }. The page puts them in the journal as they are, so anything
+// else is refused.
+export function isPhoto(p) {
+    return !!p && typeof p.id === 'string' && /^photo\d+$/.test(p.id)
+        && typeof p.image === 'string' && /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/=]*$/.test(p.image)
+        && typeof p.caption === 'string' && (p.room == null || typeof p.room === 'string')
+        && Array.isArray(p.shows) && p.shows.every(id => typeof id === 'string');
+}
+
+// The progress in a (migrated) save, with anything the case file no longer
+// knows about dropped
+export function restoreProgress(caseData, data) {
+    const CLUES = caseData.clues;
+    const SUSPECTS = Object.fromEntries(caseData.suspects.map(s => [s.id, s]));
+    const known = (id) => !!CLUES[id];
+    const heard = (suspect, node) => !!(SUSPECTS[suspect] && SUSPECTS[suspect].dialogue && SUSPECTS[suspect].dialogue.nodes[node]);
+    const spot = (clue, hid) => known(clue) && !!(CLUES[clue].hotspots && CLUES[clue].hotspots[hid]);
+    const photos = (data.photos || []).filter(isPhoto).map(p => ({ ...p, shows: p.shows.filter(known) }));
+    const knownEntry = (e) => e.type === 'testimony' ? heard(e.suspect, e.node)
+        : e.type === 'photo' ? photos.some(p => p.id === e.id)
+        : e.type === 'insight' ? !!(caseData.deductions && caseData.deductions[e.id])
+        : e.type === 'detail' ? spot(e.clue, e.id)
+        : known(e.id);
+    const talked = {};
+    for (const [suspect, nodes] of Object.entries(data.talked || {})) {
+        talked[suspect] = nodes.filter(node => heard(suspect, node));
+    }
+    const saved = data.board || { cards: {}, links: [] };
+    const board = {
+        cards: Object.fromEntries(Object.entries(saved.cards || {}).filter(([id]) => known(id))),
+        links: (saved.links || []).filter(l => known(l.a) && known(l.b) && LINK_LABELS.includes(l.label))
+    };
+    const examined = {};
+    for (const [clue, spots] of Object.entries(data.examined || {})) {
+        if (known(clue)) examined[clue] = spots.filter(hid => spot(clue, hid));
+    }
+    const stats = data.stats || {};
+    return {
+        cluesFound: (data.cluesFound || []).filter(known),
+        journal: (data.journal || []).filter(knownEntry),
+        talked, board, examined,
+        // Unnamed containers are only known once the furniture is placed
+        opened: data.opened || [],
+        unlocked: data.unlocked || [],
+        // timelineOrder() drops events the case no longer has
+        timeline: { order: [], suspects: {}, solved: false, ...data.timeline },
+        hints: {
+            used: (data.hints && data.hints.used) || 0,
+            levels: Object.fromEntries(Object.entries((data.hints && data.hints.levels) || {}).filter(([id]) => known(id)))
+        },
+        sinceClue: data.sinceClue || 0,
+        lamp: ['lantern', 'uv'].includes(data.lamp) ? data.lamp : null,
+        oil: typeof data.oil === 'number' ? Math.min(1, Math.max(0, data.oil)) : 1,
+        // Like containers, rooms and candles are the level's, not the case's
+        switched: data.switched || {},
+        litCandles: data.litCandles || [],
+        stats: {
+            ...emptyStats(), ...stats,
+            clueTimes: Object.fromEntries(Object.entries(stats.clueTimes || {}).filter(([id]) => known(id))),
+            roomsVisited: stats.roomsVisited || []
+        },
+        photos
+    };
+}
@@ -0,0 +1,90 @@
+// ─── SCORECARD AND ACHIEVEMENTS ───
+// The detective's scorecard sums up a playthrough from the stats the game
+// keeps (state.stats): play time, when each clue was found, the rooms
+// visited, wrong accusations, journal opens and time with the minimap
+// shown. Points start at 100 and are lost for what a sharper detective
+// would not have needed; the rank follows the points. Achievements are
+// kept by the page across playthroughs; this only says which are earned.
+// Their names are "achievement.<id>" and ranks "rank.<id>" in the catalogs.
+export const PAR_TIME = 600;            // seconds a case may take before time costs points
+export const QUICK_TIME = 300;          // every clue in under this many seconds earns "quick"
+export const RANKS = [
+    { id: 'chief_inspector', min: 90 },
+    { id: 'inspector', min: 70 },
+    { id: 'sergeant', min: 45 },
+    { id: 'constable', min: 0 }
+];
+
+export function emptyStats() {
+    return {
+        playTime: 0,            // seconds of play, paused time not counted
+        clueTimes: {},          // playTime when each clue was found, per clue id
+        roomsVisited: [],       // room names in the order first entered
+        wrongAccusations: 0,
+        journalOpens: 0,
+        mapTime: 0              // seconds of play with the minimap shown
+    };
+}
+
+function points(stats, hintsUsed, allRooms) {
+    const overtime = Math.max(0, Math.floor((stats.playTime - PAR_TIME) / 60));
+    const score = 100
+        - 15 * stats.wrongAccusations
+        - 8 * hintsUsed
+        - Math.min(30, 2 * overtime)
+        - (stats.mapTime > stats.playTime / 2 ? 10 : 0)
+        - (allRooms ? 0 : 5);
+    return Math.max(0, Math.min(100, score));
+}
+
+export function rankFor(score) {
+    return RANKS.find(r => score >= r.min).id;
+}
+
+export function buildScorecard(state, level) {
+    const { stats } = state;
+    const rooms = level.rooms.map(r => r.name);
+    const visited = rooms.filter(name => stats.roomsVisited.includes(name)).length;
+    const score = points(stats, state.hints.used, visited === rooms.length);
+    return {
+        playTime: stats.playTime,
+        clueOrder: state.cluesFound.map(id => ({ id, time: stats.clueTimes[id] })),
+        cluesFound: state.cluesFound.length,
+        totalClues: state.totalClues,
+        roomsVisited: visited,
+        totalRooms: rooms.length,
+        wrongAccusations: stats.wrongAccusations,
+        hintsUsed: state.hints.used,
+        journalOpens: stats.journalOpens,
+        mapShare: stats.playTime ? Math.min(1, stats.mapTime / stats.playTime) : 0,
+        score,
+        rank: rankFor(score)
+    };
+}
+
+// Each test gets { state, caseData, level, outcome }; outcome is the
+// accusation's, or null while the investigation goes on
+const solved = ({ outcome }) => !!outcome && outcome.solved;
+const allFound = (state) => state.cluesFound.length >= state.totalClues;
+
+export const ACHIEVEMENTS = [
+    { id: 'first_case', test: solved },
+    { id: 'flawless', test: (c) => solved(c) && c.state.stats.wrongAccusations === 0 },
+    { id: 'no_hints', test: (c) => solved(c) && c.state.hints.used === 0 },
+    { id: 'no_map', test: (c) => solved(c) && c.state.stats.mapTime === 0 },
+    { id: 'top_rating', test: (c) => solved(c) && !!c.outcome.rating
+        && c.outcome.rating.min === Math.max(...c.caseData.accusation.ratings.map(r => r.min)) },
+    { id: 'night_rebuilt', test: (c) => solved(c) && c.state.timeline.solved },
+    { id: 'quick', test: ({ state }) => allFound(state)
+        && Object.values(state.stats.clueTimes).every(time => time < QUICK_TIME) },
+    { id: 'explorer', test: ({ state, level }) => level.rooms.every(r => state.stats.roomsVisited.includes(r.name)) },
+    { id: 'uv_marks', test: ({ state, caseData }) => {
+        const marks = Object.keys(caseData.clues).filter(id => caseData.clues[id].uv);
+        return marks.length > 0 && marks.every(id => state.cluesFound.includes(id));
+    } }
+];
+
+// The ids of the achievements earned, of those not in "have" already
+export function earnedAchievements(context, have = []) {
+    return ACHIEVEMENTS.filter(a => !have.includes(a.id) && a.test({ outcome: null, ...context })).map(a => a.id);
+}
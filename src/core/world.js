@@ -0,0 +1,116 @@
+import { wallSegments, storeyY, stairFootprint, stairHeight, pointInPolygon } from './level.js';
+
+// ─── MOVEMENT AND COLLISION ───
+// The player is a box PLAYER_RADIUS to each side of them and 1.8 m tall,
+// standing at height y on a floor or stair. Colliders are plain { min, max }
+// boxes of { x, y, z } (a THREE.Box3 has the same shape), built from the
+// same level and case data as the scene: the walls, furniture with a
+// "collider" and the suspects standing on the ground floor.
+//
+// Floors and stairs are not colliders but surfaces: each step lands on the
+// highest one within STEP_UP of the feet, and is refused when that would
+// mean dropping more than STEP_UP, walking into the solid underside of a
+// stair or putting the head through the floor above.
+export const SPAWN = { x: 0, y: 0, z: 8 };
+export const SPEED = 5;
+export const SPRINT_FACTOR = 1.7;
+export const CROUCH_FACTOR = 0.5;
+export const STRIDE = 0.2;      // metres walked between collision checks
+export const PLAYER_RADIUS = 0.4;
+export const STEP_UP = 0.45;
+const PLAYER_HEIGHT = 1.8;
+const BOUNDS_MARGIN = 0.5;      // how close the player gets to the level bounds
+
+export function boxAround(x, y, z, w, h, d) {
+    return {
+        min: { x: x - w/2, y: y - h/2, z: z - d/2 },
+        max: { x: x + w/2, y: y + h/2, z: z + d/2 }
+    };
+}
+
+export function buildColliders(level, caseData) {
+    const boxes = [];
+    const t = level.wallThickness;
+    level.walls.forEach(wall => {
+        const h = wall.height || level.wallHeight;
+        const y = storeyY(level, wall.storey) + h/2;
+        wallSegments(wall).forEach(([[x1, z1], [x2, z2]]) => {
+            const len = Math.abs(x2 - x1) + Math.abs(z2 - z1);
+            if (z1 === z2) boxes.push(boxAround((x1 + x2) / 2, y, z1, len, h, t));
+            else boxes.push(boxAround(x1, y, (z1 + z2) / 2, t, h, len));
+        });
+    });
+    // A furniture collider stands on the model's base, centred on its position
+    level.rooms.forEach(room => (room.furniture || []).forEach(({ position: [x, y, z], collider }) => {
+        if (collider) boxes.push(boxAround(x, y + collider[1]/2, z, ...collider));
+    }));
+    caseData.suspects.filter(s => s.position).forEach(({ position: [x, z] }) => {
+        boxes.push(boxAround(x, 0.9, z, 0.6, 1.8, 0.6));
+    });
+    return boxes;
+}
+
+// Touching counts as a collision, as with THREE.Box3.intersectsBox, except
+// from above or below: the wall of the storey underneath ends where the
+// player's feet are
+export function collides(x, y, z, colliders, bounds) {
+    const [minX, minZ, maxX, maxZ] = bounds;
+    if (x < minX + BOUNDS_MARGIN || x > maxX - BOUNDS_MARGIN || z < minZ + BOUNDS_MARGIN || z > maxZ - BOUNDS_MARGIN) return true;
+    return colliders.some(box =>
+        x + PLAYER_RADIUS >= box.min.x && x - PLAYER_RADIUS <= box.max.x &&
+        y + PLAYER_HEIGHT > box.min.y && y < box.max.y &&
+        z + PLAYER_RADIUS >= box.min.z && z - PLAYER_RADIUS <= box.max.z);
+}
+
+// The heights of the floors and stairs under a point. A room's floor has a
+// hole where stairs come up through it.
+export function surfacesAt(level, x, z) {
+    const stairs = level.stairs || [];
+    const floors = level.rooms
+        .filter(room => pointInPolygon(x, z, room.polygon))
+        .map(room => storeyY(level, room.storey))
+        .filter(y => !stairs.some(stair => storeyY(level, stair.top) === y && stairHeight(level, stair, x, z) !== undefined));
+    const steps = stairs.map(stair => stairHeight(level, stair, x, z)).filter(y => y !== undefined);
+    return [...floors, ...steps];
+}
+
+// Stairs are solid under their steps: the player's body may not reach into
+// one higher than a step above their feet, unless they are on a storey
+// below its foot
+function underStairs(level, x, y, z) {
+    return (level.stairs || []).some(stair => {
+        const [minX, minZ, maxX, maxZ] = stairFootprint(stair);
+        const nx = Math.min(maxX, Math.max(minX, x)), nz = Math.min(maxZ, Math.max(minZ, z));
+        if (Math.abs(nx - x) > PLAYER_RADIUS || Math.abs(nz - z) > PLAYER_RADIUS) return false;
+        return stairHeight(level, stair, nx, nz) > y + STEP_UP && y >= storeyY(level, stair.bottom) - STEP_UP;
+    });
+}
+
+// The height the player stands at after stepping to x, z from height y,
+// or null when they cannot go there. Between rooms (in a doorway) they
+// keep their height.
+export function stepTo(x, y, z, colliders, level) {
+    const surfaces = surfacesAt(level, x, z);
+    let to = y;
+    if (surfaces.length) {
+        const below = surfaces.filter(h => h <= y + STEP_UP);
+        if (!below.length) return null;
+        to = Math.max(...below);
+        if (to < y - STEP_UP) return null;
+    }
+    // The floor above, where the head would go through it
+    if (surfaces.some(h => h > to + STEP_UP && h < to + PLAYER_HEIGHT)) return null;
+    if (underStairs(level, x, to, z) || collides(x, to, z, colliders, level.bounds)) return null;
+    return to;
+}
+
+// Moves along x and z separately, so the player slides along walls
+// instead of sticking to them
+export function slide(from, dx, dz, colliders, level) {
+    const at = { ...from };
+    const alongX = stepTo(at.x + dx, at.y, at.z, colliders, level);
+    if (alongX !== null) Object.assign(at, { x: at.x + dx, y: alongX });
+    const alongZ = stepTo(at.x, at.y, at.z + dz, colliders, level);
+    if (alongZ !== null) Object.assign(at, { z: at.z + dz, y: alongZ });
+    return at;
+}
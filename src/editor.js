@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { t } from './i18n.js';
+import { replaceJSONValues } from './core/layout.js';
+
+// ─── LEVEL EDITOR ───
+// index.html?editor opens the house without the investigation. The camera
+// flies freely (right mouse button to look, the walking keys to fly, Q/E
+// down and up) and a click picks furniture, clues, candles, lights or light
+// switches, which the gizmo then moves, turns or scales. Furniture colliders are drawn as
+// wireframes; K puts the gizmo on the selected one's box to resize it (or
+// gives it a box the size of the model). Export downloads the level and
+// case files with the changes written in (see core/layout.js).
+const FLY_SPEED = 5;
+const FAST_FACTOR = 3;
+const LOOK_SPEED = 0.002;
+const CLICK_SLOP = 5;           // pixels the pointer may move and still pick
+const MODES = ['translate', 'rotate', 'scale'];
+const KIND_MODES = {
+    furniture: ['translate', 'rotate', 'scale'],
+    clue: ['translate', 'rotate', 'scale'],
+    candle: ['translate', 'scale'],
+    light: ['translate'],
+    switch: ['translate']
+};
+const COLLIDER_COLOR = 0x44ff88;
+
+const round = (n, places) => Number(n.toFixed(places));
+
+// Clues drawn from a "shape" only have a position in the case file, and a
+// room's light switch only one in the level file
+function positionOnly(item) {
+    return (item.kind === 'clue' && !item.entry.model) || item.kind === 'switch';
+}
+
+function modesFor(item) {
+    return positionOnly(item) ? ['translate'] : KIND_MODES[item.kind];
+}
+
+// items come from the page's layout list: { kind, object, entry, file, path }.
+// files maps "level" and "case" to the URLs the entries were loaded from.
+export function startEditor({ scene, camera, renderer, items, files, moveInput, actionHeld, turnView, showNotice }) {
+    const canvas = renderer.domElement;
+    const controls = new TransformControls(camera, canvas);
+    scene.add(controls);
+
+    const pickable = new Map();       // mesh → item
+    const dirty = new Set();
+    const flyKeys = new Set();
+    let selected = null;
+    let editingCollider = false;
+    let mode = 'translate';
+    let looking = false;
+    let pressed = null;
+
+    // Lights get a small ball to click on, in their own colour
+    items.forEach(item => {
+        if (item.kind === 'light') {
+            const handle = new THREE.Mesh(new THREE.SphereGeometry(0.12, 10, 8),
+                new THREE.MeshBasicMaterial({ color: item.entry.color, wireframe: true }));
+            item.object.add(handle);
+            pickable.set(handle, item);
+            return;
+        }
+        item.object.traverse(child => { if (child.isMesh) pickable.set(child, item); });
+    });
+
+    // ── Colliders ──
+    const colliderMat = new THREE.MeshBasicMaterial({ color: COLLIDER_COLOR, wireframe: true });
+    function placeCollider(item) {
+        const [w, h, d] = item.entry.collider;
+        const [x, y, z] = item.entry.position;
+        item.collider.scale.set(w, h, d);
+        item.collider.position.set(x, y + h / 2, z);
+    }
+    function addCollider(item) {
+        item.collider = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), colliderMat);
+        scene.add(item.collider);
+        placeCollider(item);
+    }
+    items.filter(item => item.kind === 'furniture' && item.entry.collider).forEach(addCollider);
+
+    // ── Selection ──
+    const bar = document.getElementById('editor-bar');
+    const label = document.getElementById('editor-selection');
+    const modeButtons = [...bar.querySelectorAll('[data-mode]')];
+    const colliderButton = document.getElementById('editor-collider');
+
+    function describe(item) {
+        const name = item.kind === 'clue' ? item.path[1]
+            : item.kind === 'furniture' ? item.entry.id || item.entry.model
+            : item.kind === 'light' ? item.entry.color
+            : item.kind === 'switch' ? item.entry.room
+            : item.entry.id || '';
+        const at = item.entry.position || item.entry;
+        return `${t(`editor.kind.${item.kind}`)} ${name} · [${at.join(', ')}]${editingCollider ? ` · ${t('editor.colliderSize', { size: item.entry.collider.join(' × ') })}` : ''}`;
+    }
+
+    function refresh() {
+        const allowed = selected ? (editingCollider ? ['scale'] : modesFor(selected)) : [];
+        if (!allowed.includes(mode)) mode = allowed[0] || 'translate';
+        modeButtons.forEach(btn => {
+            btn.disabled = !allowed.includes(btn.dataset.mode);
+            btn.classList.toggle('active', !!selected && btn.dataset.mode === mode);
+        });
+        colliderButton.disabled = !selected || selected.kind !== 'furniture';
+        colliderButton.classList.toggle('active', editingCollider);
+        label.textContent = selected ? describe(selected) : t('editor.none');
+
+        controls.setMode(mode);
+        // Furniture only turns about the vertical; candles scale evenly from the Y handle
+        const evenScale = mode === 'scale' && !editingCollider && selected?.kind === 'candle';
+        controls.showX = controls.showZ = !(mode === 'rotate' || evenScale);
+        controls.showY = true;
+        if (!selected) controls.detach();
+        else controls.attach(editingCollider ? selected.collider : selected.object);
+    }
+
+    function select(item) {
+        selected = item;
+        editingCollider = false;
+        refresh();
+    }
+
+    function setMode(next) {
+        mode = next;
+        refresh();
+    }
+
+    function toggleCollider() {
+        if (!selected || selected.kind !== 'furniture') return;
+        if (!selected.entry.collider) {
+            // Start from the model's own size
+            const size = new THREE.Box3().setFromObject(selected.object).getSize(new THREE.Vector3());
+            selected.entry.collider = [round(size.x, 2), round(size.y, 2), round(size.z, 2)];
+            addCollider(selected);
+            dirty.add(selected);
+        }
+        editingCollider = !editingCollider;
+        refresh();
+    }
+
+    // ── Writing changes back to the entries ──
+    function scaleValue(s) {
+        return s.x === s.y && s.y === s.z ? round(s.x, 3) : [round(s.x, 3), round(s.y, 3), round(s.z, 3)];
+    }
+
+    function objectChanged() {
+        const item = selected;
+        const { entry, object } = item;
+        if (editingCollider) {
+            const s = item.collider.scale;
+            entry.collider = [round(s.x, 2), round(s.y, 2), round(s.z, 2)];
+            placeCollider(item);
+        } else {
+            const p = object.position;
+            // Clues bob around their base height
+            if (object.userData.baseY !== undefined) object.userData.baseY = p.y;
+            entry.position = [round(p.x, 2), round(p.y, 2), round(p.z, 2)];
+            if (mode === 'rotate') entry.rotY = round(object.rotation.y, 4);
+            if (mode === 'scale') {
+                if (item.kind === 'candle') object.scale.setScalar(object.scale.y);
+                entry.scale = scaleValue(object.scale);
+            }
+            if (item.collider) placeCollider(item);
+        }
+        dirty.add(item);
+        label.textContent = describe(item);
+    }
+
+    controls.addEventListener('objectChange', objectChanged);
+
+    // ── Mouse: left click picks, right button looks ──
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (e.button === 2) {
+            looking = true;
+            return;
+        }
+        // The gizmo has already taken presses on its handles
+        if (e.button === 0 && !controls.dragging) pressed = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointermove', (e) => {
+        if (looking) turnView(e.movementX * LOOK_SPEED, e.movementY * LOOK_SPEED);
+    });
+    window.addEventListener('pointerup', (e) => {
+        if (e.button === 2) looking = false;
+        if (e.button !== 0 || !pressed) return;
+        const click = Math.hypot(e.clientX - pressed.x, e.clientY - pressed.y) < CLICK_SLOP;
+        pressed = null;
+        if (!click) return;
+        const rect = canvas.getBoundingClientRect();
+        pointer.set((e.clientX - rect.left) / rect.width * 2 - 1, -(e.clientY - rect.top) / rect.height * 2 + 1);
+        raycaster.setFromCamera(pointer, camera);
+        const hit = raycaster.intersectObjects([...pickable.keys()], false)[0];
+        select(hit ? pickable.get(hit.object) : null);
+    });
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    // ── Keys ──
+    document.addEventListener('keydown', (e) => {
+        if (e.target.tagName === 'INPUT') return;
+        if (e.code === 'KeyQ' || e.code === 'KeyE') flyKeys.add(e.code);
+        const next = MODES[['Digit1', 'Digit2', 'Digit3'].indexOf(e.code)];
+        if (next && selected && modesFor(selected).includes(next) && !editingCollider) setMode(next);
+        if (e.code === 'KeyK') toggleCollider();
+        if (e.code === 'Escape') select(null);
+    });
+    document.addEventListener('keyup', (e) => flyKeys.delete(e.code));
+    window.addEventListener('blur', () => flyKeys.clear());
+
+    modeButtons.forEach(btn => btn.addEventListener('click', () => setMode(btn.dataset.mode)));
+    colliderButton.addEventListener('click', toggleCollider);
+
+    // ── Export ──
+    async function exportFiles() {
+        if (!dirty.size) {
+            showNotice(t('editor.nothing'));
+            return;
+        }
+        const written = [];
+        try {
+            for (const [file, url] of Object.entries(files)) {
+                const edits = [...dirty].filter(item => item.file === file)
+                    .map(item => ({ path: item.path, value: positionOnly(item) ? item.entry.position : item.entry }));
+                if (!edits.length) continue;
+                const res = await fetch(url, { cache: 'no-store' });
+                if (!res.ok) throw new Error(`Could not fetch ${url}: HTTP ${res.status}`);
+                download(url.replaceAll('/', '-'), replaceJSONValues(await res.text(), edits));
+                written.push(url);
+            }
+        } catch (err) {
+            console.error('Export failed', err);
+            showNotice(t('editor.failed', { error: err.message }), 6000);
+            return;
+        }
+        dirty.clear();
+        showNotice(t('editor.exported', { files: written.join(', ') }), 6000);
+    }
+
+    function download(name, text) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    document.getElementById('editor-export').addEventListener('click', exportFiles);
+    window.addEventListener('beforeunload', (e) => {
+        if (dirty.size) e.preventDefault();
+    });
+
+    refresh();
+
+    // ── Flying ──
+    const forward = new THREE.Vector3();
+    const right = new THREE.Vector3();
+
+    return {
+        update(delta) {
+            const move = moveInput();
+            const rise = (flyKeys.has('KeyE') ? 1 : 0) - (flyKeys.has('KeyQ') ? 1 : 0);
+            const speed = FLY_SPEED * (actionHeld('sprint') ? FAST_FACTOR : 1) * delta;
+            camera.getWorldDirection(forward);
+            right.crossVectors(forward, camera.up).normalize();
+            camera.position.addScaledVector(forward, move.y * speed)
+                .addScaledVector(right, move.x * speed)
+                .addScaledVector(camera.up, rise * speed);
+        }
+    };
+}
@@ -0,0 +1,81 @@
+// ─── GRAPHICS SETTINGS ───
+// Quality presets for everything that costs frame time on a phone. "auto"
+// starts from the level it last settled on and steps down (or back up) by
+// measuring the frame time. Antialiasing is fixed when the renderer is
+// created, so a change to it takes effect on the next load.
+export const GRAPHICS_LEVELS = ['low', 'medium', 'high'];
+export const GRAPHICS_PRESETS = {
+    low:    { shadows: false, softShadows: false, shadowLights: 0, shadowMapSize: 256, pixelRatio: 1, fogFar: 18, antialias: false, minimapFps: 4, lodScale: 0.6 },
+    medium: { shadows: true, softShadows: false, shadowLights: 3, shadowMapSize: 512, pixelRatio: 1.5, fogFar: 24, antialias: false, minimapFps: 10, lodScale: 0.8 },
+    high:   { shadows: true, softShadows: true, shadowLights: 12, shadowMapSize: 512, pixelRatio: 2, fogFar: 30, antialias: true, minimapFps: 60, lodScale: 1 }
+};
+const GRAPHICS_KEY = 'edwardBolt:graphics';
+const AUTO_SAMPLE = 3;          // seconds of frames per measurement
+const AUTO_SLOW = 28;           // ms per frame (about 35 fps) that steps quality down
+const AUTO_FAST = 18;           // ms per frame (about 55 fps) that may step it back up
+
+function loadGraphicsSettings() {
+    // Touch devices are mostly phones: let them start in the middle
+    const settings = { mode: 'auto', autoLevel: navigator.maxTouchPoints > 0 ? 'medium' : 'high' };
+    try {
+        const saved = JSON.parse(localStorage.getItem(GRAPHICS_KEY)) || {};
+        if (saved.mode === 'auto' || GRAPHICS_PRESETS[saved.mode]) settings.mode = saved.mode;
+        if (GRAPHICS_PRESETS[saved.autoLevel]) settings.autoLevel = saved.autoLevel;
+    } catch (err) {
+        console.warn('Ignoring unreadable graphics settings:', err);
+    }
+    return settings;
+}
+
+export const graphics = loadGraphicsSettings();
+
+export function graphicsLevel() {
+    return graphics.mode === 'auto' ? graphics.autoLevel : graphics.mode;
+}
+
+export function quality() {
+    return GRAPHICS_PRESETS[graphicsLevel()];
+}
+
+export function saveGraphicsSettings() {
+    // Auto mode saves from the frame loop; a full localStorage must not stop it
+    try {
+        localStorage.setItem(GRAPHICS_KEY, JSON.stringify(graphics));
+    } catch (err) {
+        console.warn('Could not save graphics settings', err);
+    }
+}
+
+const autoQuality = { time: 0, frames: 0, holdUp: 0 };
+
+// Auto mode (called each frame of play): average the frame time over a few seconds of play and move one
+// level when it is clearly too slow or has room to spare. After a step down
+// it waits a while before trying the higher level again.
+// Returns true when it moved to another level.
+export function stepAutoQuality(delta) {
+    autoQuality.time += delta;
+    autoQuality.frames++;
+    autoQuality.holdUp -= delta;
+    if (autoQuality.time < AUTO_SAMPLE) return false;
+    const frameMs = autoQuality.time / autoQuality.frames * 1000;
+    autoQuality.time = 0;
+    autoQuality.frames = 0;
+    const at = GRAPHICS_LEVELS.indexOf(graphics.autoLevel);
+    let next = at;
+    if (frameMs > AUTO_SLOW && at > 0) {
+        next = at - 1;
+        autoQuality.holdUp = 30;
+    } else if (frameMs < AUTO_FAST && at < GRAPHICS_LEVELS.length - 1 && autoQuality.holdUp <= 0) {
+        next = at + 1;
+        autoQuality.holdUp = 10;
+    }
+    if (next === at) return false;
+    graphics.autoLevel = GRAPHICS_LEVELS[next];
+    saveGraphicsSettings();
+    return true;
+}
+
+// A new mode starts measuring afresh
+export function resetAutoQuality() {
+    autoQuality.time = autoQuality.frames = autoQuality.holdUp = 0;
+}
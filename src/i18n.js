@@ -0,0 +1,74 @@
+// ─── LANGUAGE ───
+// Player-facing text lives in lang/<code>.json; t() looks a key up and fills
+// in {placeholders}. Swedish is the original, so a key missing from another
+// catalog falls back to it. Case and level files are written in one language
+// and may have a <name>.<code>.json translation next to them.
+export const LANGUAGES = { sv: 'Svenska', en: 'English' };
+export const LANG_KEY = 'edwardBolt:lang';
+
+function pickLanguage() {
+    const saved = localStorage.getItem(LANG_KEY);
+    if (LANGUAGES[saved]) return saved;
+    return (navigator.language || '').toLowerCase().startsWith('sv') ? 'sv' : 'en';
+}
+
+export const LANG = pickLanguage();
+let STRINGS = {};
+
+export function t(key, vars = {}) {
+    const text = STRINGS[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m));
+}
+
+export async function loadStrings() {
+    const base = await fetchJSON('lang/sv.json');
+    STRINGS = LANG === 'sv' ? base : { ...base, ...await fetchJSON(`lang/${LANG}.json`) };
+}
+
+// A translation mirrors the parts of the file it translates: objects merge
+// by key, arrays by position (suspects, dialogue options, hints, ratings)
+export function mergeTranslation(base, extra) {
+    if (Array.isArray(base) && Array.isArray(extra)) {
+        return Array.from({ length: Math.max(base.length, extra.length) },
+            (_, i) => (i in extra ? mergeTranslation(base[i], extra[i]) : base[i]));
+    }
+    if (base && extra && typeof base === 'object' && typeof extra === 'object') {
+        const merged = { ...base };
+        Object.entries(extra).forEach(([key, value]) => { merged[key] = mergeTranslation(base[key], value); });
+        return merged;
+    }
+    return extra;
+}
+
+export async function withTranslation(data, url) {
+    if ((data.language || 'sv') === LANG) return data;
+    try {
+        return mergeTranslation(data, await fetchJSON(url.replace(/\.json$/, `.${LANG}.json`)));
+    } catch (err) {
+        console.warn(`No ${LANGUAGES[LANG]} translation of ${url}, using the original: ${err.message}`);
+        return data;
+    }
+}
+
+// vars fills in placeholders such as the bound keys ({interact}, {journal}...)
+export function applyStaticText(vars) {
+    document.documentElement.lang = LANG;
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n, vars); });
+    document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = t(el.dataset.i18nHtml, vars); });
+    if (LANG !== 'sv') document.getElementById('manifest-link').href = `manifest.${LANG}.json`;
+}
+
+export async function fetchJSON(url) {
+    let res;
+    try {
+        res = await fetch(url);
+    } catch (err) {
+        throw new Error(`Could not fetch ${url}: ${err.message}`);
+    }
+    if (!res.ok) throw new Error(`Could not fetch ${url}: HTTP ${res.status}`);
+    try {
+        return await res.json();
+    } catch (err) {
+        throw new Error(`${url} is not valid JSON: ${err.message}`);
+    }
+}
@@ -0,0 +1,3918 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { ACCUSATION_PARTS, LINK_LABELS, validateCase, checkCaseAgainstLevel } from './core/case.js';
+import { validateLevel, wallSegments, roomAt, storeysOf, storeyY, storeyAt, stairFootprint, pointInPolygon } from './core/level.js';
+import { MODEL_URLS } from './core/models.js';
+import { createRandom } from './core/random.js';
+import { migrateSave } from './core/save.js';
+import { SEEDS, isSeed, validateTemplate, generateCase, checkSolvable } from './core/generate.js';
+import { createGame, HINT_TIMES, REACH, UV_RANGE, UV_ANGLE, MAX_PHOTOS, CAPTION_LENGTH } from './core/game.js';
+import { ACHIEVEMENTS } from './core/scorecard.js';
+import { LANG, LANGUAGES, LANG_KEY, t, loadStrings, withTranslation, applyStaticText, fetchJSON } from './i18n.js';
+import { GRAPHICS_LEVELS, graphics, quality, saveGraphicsSettings, stepAutoQuality, resetAutoQuality } from './graphics.js';
+import { AUDIO_BUSES, audioSettings, applyAudioSettings, saveAudioSettings, playFootstep, playSting, playShutter, updateAudio } from './audio.js';
+import { accessibility, applyAccessibility, saveAccessibilitySettings, announce } from './accessibility.js';
+
+// ─── CASE FILE ───
+// The case and level formats are checked in core/case.js and core/level.js.
+// ?case=<name> picks another case file; the default is Blackwood Manor.
+function caseUrl() {
+    const name = new URLSearchParams(location.search).get('case') || 'blackwood-manor';
+    if (!/^[a-z0-9-]+$/.test(name)) throw new Error(`Invalid case name "${name}"`);
+    return `cases/${name}.json`;
+}
+
+function levelUrl(caseData) {
+    return `levels/${caseData.level || 'blackwood-manor'}.json`;
+}
+
+async function loadCase(url) {
+    const data = await withTranslation(await fetchJSON(url), url);
+    const errors = validateCase(data);
+    if (errors.length) throw new Error(`${url} is not a valid case file:\n- ${errors.join('\n- ')}`);
+    return data;
+}
+
+// ?seed=<n> plays the case its template (cases/<name>.random.json) makes
+// for that seed instead; see core/generate.js
+function caseSeed() {
+    const param = new URLSearchParams(location.search).get('seed');
+    if (param == null) return null;
+    const seed = Number(param);
+    if (!isSeed(seed)) throw new Error(`Invalid seed "${param}" (a whole number from ${SEEDS[0]} to ${SEEDS[1]})`);
+    return seed;
+}
+
+async function loadRandomCase(caseData, level, seed) {
+    const url = caseUrl().replace(/\.json$/, '.random.json');
+    const template = await withTranslation(await fetchJSON(url), url);
+    const errors = validateTemplate(template, caseData);
+    if (errors.length) throw new Error(`${url} is not a valid case template:\n- ${errors.join('\n- ')}`);
+    const data = generateCase(caseData, template, level, seed);
+    const problems = [...validateCase(data), ...checkSolvable(data, level)];
+    if (problems.length) throw new Error(`Seed ${seed} does not make a solvable case:\n- ${problems.join('\n- ')}`);
+    return data;
+}
+
+async function loadLevel(url) {
+    const data = await withTranslation(await fetchJSON(url), url);
+    const errors = validateLevel(data);
+    if (errors.length) throw new Error(`${url} is not a valid level file:\n- ${errors.join('\n- ')}`);
+    return data;
+}
+
+// ─── LANGUAGE ───
+// Switching language reloads the game; the running investigation is saved first
+function renderLanguagePicker() {
+    const picker = document.getElementById('language-picker');
+    Object.entries(LANGUAGES).forEach(([code, name]) => {
+        const btn = document.createElement('button');
+        btn.textContent = name;
+        btn.classList.toggle('active', code === LANG);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (code === LANG) return;
+            localStorage.setItem(LANG_KEY, code);
+            saveGame();
+            location.reload();
+        });
+        picker.appendChild(btn);
+    });
+}
+
+// The room the player sees; saves and case files use the room's name
+function roomLabel(name) {
+    const room = LEVEL.rooms.find(r => r.name === name);
+    return room ? room.label || room.name : name;
+}
+
+applyAccessibility();
+
+let CASE, LEVEL;
+try {
+    await loadStrings();
+    applyStaticText();
+    CASE = await loadCase(caseUrl());
+    LEVEL = await loadLevel(levelUrl(CASE));
+    const seed = caseSeed();
+    if (seed != null) CASE = await loadRandomCase(CASE, LEVEL, seed);
+    checkCaseAgainstLevel(CASE, LEVEL);
+} catch (err) {
+    console.error(err);
+    const text = document.getElementById('loading-text');
+    text.style.whiteSpace = 'pre-line';
+    text.style.textAlign = 'left';
+    text.textContent = `${t('loading.error')}\n\n${err.message}`;
+    throw err;
+}
+const CLUES = CASE.clues;
+
+// ─── GAME STATE ───
+// The investigation itself runs in core/game.js; the page adds what only
+// matters on screen
+const game = createGame(CASE, LEVEL);
+const state = Object.assign(game.state, {
+    slot: null,         // save slot of the running investigation
+    paused: false,
+    locked: true,
+    showingClue: false
+});
+
+document.title = `Edward Bolt — ${CASE.title}`;
+document.getElementById('loading-title').textContent = t('loading.title', { name: LEVEL.name.toUpperCase() });
+document.getElementById('start-text').textContent = t('start.enter', { name: LEVEL.name });
+document.getElementById('case-title').textContent = CASE.title;
+document.getElementById('case-subtitle').textContent = CASE.subtitle || t('case.subtitle');
+document.getElementById('case-intro').textContent = CASE.intro;
+document.getElementById('clue-total').textContent = state.totalClues;
+
+// ─── SCENE SETUP ───
+const scene = new THREE.Scene();
+scene.background = new THREE.Color(0x0e0c14);
+scene.fog = new THREE.Fog(0x0e0c14, 8, 30);
+
+const camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 100);
+const EYE_HEIGHT = 1.7;
+camera.position.set(game.player.x, game.player.y + EYE_HEIGHT, game.player.z);
+
+// ─── RENDERER ───
+// Quality presets and the Auto mode are in graphics.js
+const renderer = new THREE.WebGLRenderer({ antialias: quality().antialias });
+renderer.setSize(window.innerWidth, window.innerHeight);
+renderer.toneMapping = THREE.ACESFilmicToneMapping;
+renderer.toneMappingExposure = 5.0;
+document.body.appendChild(renderer.domElement);
+// Ensure the canvas aligns with the viewport (ignore body padding/safe-area insets)
+renderer.domElement.style.position = 'fixed';
+renderer.domElement.style.top = '0';
+renderer.domElement.style.left = '0';
+renderer.domElement.style.width = '100%';
+renderer.domElement.style.height = '100%';
+renderer.domElement.style.zIndex = '0';
+
+// ─── LAYOUT ───
+// Everything placed from the level and case files, with the entry it came
+// from and where that entry sits in its file; the level editor moves these
+const layoutItems = [];
+function addLayoutItem(kind, object, entry, file, path) {
+    layoutItems.push({ kind, object, entry, file, path });
+}
+
+// index.html?editor opens the level editor instead of the investigation.
+// It is loaded only then, so players never download it.
+const EDITOR = new URLSearchParams(location.search).has('editor');
+let editor = null;
+
+async function openEditor() {
+    const { startEditor } = await import('./editor.js');
+    document.body.classList.add('editor');
+    blocker.classList.add('hidden');
+    editor = startEditor({
+        scene, camera, renderer, items: layoutItems,
+        files: { level: levelUrl(CASE), case: caseUrl() },
+        moveInput, actionHeld, turnView, showNotice
+    });
+}
+
+// ─── LIGHTING ───
+const ambientLight = new THREE.AmbientLight(0x4a4040, 8.4);
+scene.add(ambientLight);
+
+// Cool moonlight fill from above — gives depth and unease
+const hemiLight = new THREE.HemisphereLight(0x3040608, 0x1a0a04, 4.2);
+scene.add(hemiLight);
+
+// Directional moonlight through windows — dramatic shadows
+const moonlight = new THREE.DirectionalLight(0x2233557, 2.2);
+moonlight.position.set(-5, 8, 3);
+moonlight.castShadow = true;
+scene.add(moonlight);
+
+// Which of these cast shadows is up to the graphics settings
+const pointLights = [];
+function addPointLight(x, y, z, color, intensity, distance) {
+    const light = new THREE.PointLight(color, intensity, distance);
+    light.position.set(x, y, z);
+    scene.add(light);
+    pointLights.push(light);
+    return light;
+}
+
+// Room lights and flickering candle lights from the level file
+const candleLights = [];
+const roomLights = [];      // { light, entry, room }, switched by updateRoomLights
+LEVEL.rooms.forEach((room, i) => (room.lights || []).forEach((entry, j) => {
+    const light = addPointLight(...entry.position, entry.color, entry.intensity, entry.distance);
+    if (entry.flicker) candleLights.push(light);
+    roomLights.push({ light, entry, room: room.name });
+    addLayoutItem('light', light, entry, 'level', ['rooms', i, 'lights', j]);
+}));
+
+// ─── LIGHT SWITCHES AND DARK ROOMS ───
+// Lights that are off keep their place with intensity 0, so switching
+// never changes the number of lights (and never rebuilds the shaders).
+// Standing in a dark room dims the ambient light as well.
+const DARK_AMBIENT = 0.15;      // share of the ambient light left in a dark room
+const AMBIENT_INTENSITY = ambientLight.intensity;
+const HEMI_INTENSITY = hemiLight.intensity;
+let ambientLevel = 1;
+
+// Candles the player lights, by id: the group from addDetailedCandle
+const candleGroups = {};
+
+function updateRoomLights() {
+    roomLights.forEach(({ light, entry, room }) => {
+        light.userData.on = game.lightOn(entry, room);
+        if (!entry.flicker) light.intensity = light.userData.on ? entry.intensity : 0;
+    });
+    Object.entries(candleGroups).forEach(([id, group]) => { group.userData.flame.visible = game.candleLit(id); });
+}
+updateRoomLights();
+
+function updateDarkness(delta) {
+    const target = game.roomLit(state.currentRoom) ? 1 : DARK_AMBIENT;
+    ambientLevel += (target - ambientLevel) * Math.min(1, delta * 2);
+    ambientLight.intensity = AMBIENT_INTENSITY * ambientLevel;
+    hemiLight.intensity = HEMI_INTENSITY * ambientLevel;
+}
+
+// ─── LAMPS ───
+// The lantern and the UV lamp hang from the camera and point where the
+// player looks. A lantern low on oil gutters.
+const LANTERN_INTENSITY = 5;
+const UV_INTENSITY = 4;
+const LOW_OIL = 0.15;
+const lantern = new THREE.SpotLight(0xffc67a, 0, 12, 0.7, 0.6, 1);
+const uvLamp = new THREE.SpotLight(0x7a3cff, 0, UV_RANGE + 1, UV_ANGLE, 0.3, 1);
+[lantern, uvLamp].forEach(lamp => {
+    lamp.position.set(0.2, -0.15, 0);
+    lamp.target.position.set(0, -0.15, -1);
+    camera.add(lamp, lamp.target);
+});
+scene.add(camera);
+const lookDirection = new THREE.Vector3();
+
+function updateLamps() {
+    const gutter = state.oil < LOW_OIL ? (accessibility.reducedMotion ? 0.75 : 0.5 + Math.random() * 0.5) : 1;
+    lantern.intensity = game.lanternLit() ? LANTERN_INTENSITY * gutter : 0;
+    uvLamp.intensity = state.lamp === 'uv' ? UV_INTENSITY : 0;
+    camera.getWorldDirection(lookDirection);
+    game.look(camera.position.toArray(), lookDirection.toArray());
+    // UV marks only show in the beam (always in the editor, to place them)
+    clueObjects.forEach(obj => {
+        if (CLUES[obj.userData.id].uv) obj.visible = !!editor || game.clueReachable(obj.userData.id);
+    });
+    const status = document.getElementById('lamp-status');
+    const text = t('hud.oil', { oil: Math.ceil(state.oil * 100) });
+    if (status.textContent !== text) status.textContent = text;
+    status.classList.toggle('low', state.oil < LOW_OIL);
+}
+
+function useLamp(lamp) {
+    if (!gameStarted || state.paused || state.locked) return;
+    if (game.toggleLamp(lamp) === 'empty') showNotice(t('lamp.empty'));
+}
+
+// The shadow budget goes to the lights nearest the player, re-picked as
+// they walk. The number of casters stays the same, so no shader rebuilds.
+function updateShadowCasters() {
+    const q = quality();
+    const budget = q.shadows ? q.shadowLights : 0;
+    const distance = (light) => light.position.distanceToSquared(camera.position);
+    const nearest = [...pointLights].sort((a, b) => distance(a) - distance(b)).slice(0, budget);
+    pointLights.forEach(light => { light.castShadow = nearest.includes(light); });
+}
+
+function applyGraphics() {
+    const q = quality();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, q.pixelRatio));
+    const shadowType = q.softShadows ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    if (renderer.shadowMap.enabled !== q.shadows || renderer.shadowMap.type !== shadowType) {
+        renderer.shadowMap.enabled = q.shadows;
+        renderer.shadowMap.type = shadowType;
+        // Materials compile shadow support in; make them rebuild
+        scene.traverse(obj => {
+            if (obj.material) [].concat(obj.material).forEach(m => { m.needsUpdate = true; });
+        });
+    }
+    moonlight.castShadow = q.shadows;
+    pointLights.forEach(light => {
+        if (light.shadow.mapSize.x === q.shadowMapSize) return;
+        light.shadow.mapSize.set(q.shadowMapSize, q.shadowMapSize);
+        if (light.shadow.map) {
+            light.shadow.map.dispose();
+            light.shadow.map = null;
+        }
+    });
+    updateShadowCasters();
+    // Nothing past the fog can be seen, so it need not be drawn either
+    scene.fog.far = q.fogFar;
+    camera.far = q.fogFar + 5;
+    camera.updateProjectionMatrix();
+}
+
+// Auto mode steps the quality up or down while the player is in the house
+function updateAutoQuality(delta) {
+    if (graphics.mode !== 'auto' || !gameStarted || state.paused || state.locked) return;
+    if (!stepAutoQuality(delta)) return;
+    applyGraphics();
+    if (graphicsPanel.style.display === 'block') renderGraphicsPanel();
+}
+
+applyGraphics();
+
+// ─── MATERIALS ───
+const wallMat = new THREE.MeshStandardMaterial({ color: 0x3a2a1a, roughness: 0.9, metalness: 0 });
+const wallMat2 = new THREE.MeshStandardMaterial({ color: 0x2a1a0a, roughness: 0.95, metalness: 0 });
+const floorMat = new THREE.MeshStandardMaterial({ color: 0x1a1008, roughness: 0.8, metalness: 0.05 });
+const ceilingMat = new THREE.MeshStandardMaterial({ color: 0x2a2018, roughness: 0.95, metalness: 0 });
+const furnitureMat = new THREE.MeshStandardMaterial({ color: 0x2a1808, roughness: 0.7, metalness: 0.05 });
+const furnitureMat2 = new THREE.MeshStandardMaterial({ color: 0x3a2010, roughness: 0.75, metalness: 0.05 });
+const rugMat = new THREE.MeshStandardMaterial({ color: 0x4a1a1a, roughness: 1, metalness: 0 });
+const bedMat = new THREE.MeshStandardMaterial({ color: 0x1a2a3a, roughness: 0.9, metalness: 0 });
+const metalMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.3, metalness: 0.8 });
+const glassMat = new THREE.MeshStandardMaterial({ color: 0x334455, roughness: 0.1, metalness: 0, transparent: true, opacity: 0.3 });
+const clueMat = new THREE.MeshStandardMaterial({ color: 0xffcc44, roughness: 0.5, metalness: 0.3, emissive: 0xaa8800, emissiveIntensity: 0.5 });
+const bodyMat = new THREE.MeshStandardMaterial({ color: 0x333344, roughness: 0.9, metalness: 0 });
+const skinMat = new THREE.MeshStandardMaterial({ color: 0x998877, roughness: 0.9, metalness: 0 });
+
+// ─── PROCEDURAL WALL TEXTURES ───
+function createPanelWallCanvas(seed) {
+    const W = 1024, H = 512;
+    const c = document.createElement('canvas');
+    c.width = W; c.height = H;
+    const g = c.getContext('2d');
+    const R = createRandom(seed);
+
+    // Warm plaster base — rich Victorian cream
+    g.fillStyle = '#6b5540';
+    g.fillRect(0, 0, W, H);
+    // Fine grain noise
+    for (let i = 0; i < 8000; i++) {
+        const v = 85 + (R() * 30) | 0;
+        g.fillStyle = `rgba(${v},${v - 8},${v - 16},0.15)`;
+        g.fillRect(R() * W, R() * H, 1 + R() * 3, 1 + R() * 2);
+    }
+
+    // ── Upper 62%: wallpaper with damask motifs ──
+    const wpH = H * 0.62;
+    // Tinted wallpaper overlay
+    g.fillStyle = 'rgba(90,68,50,0.15)';
+    g.fillRect(0, 0, W, wpH);
+    const cols = 8, rows = 3, mw = W / cols, mh = wpH / rows;
+    g.save();
+    for (let r = 0; r < rows; r++) {
+        for (let ci = -1; ci <= cols; ci++) {
+            const off = (r % 2) ? mw * 0.5 : 0;
+            const mx = ci * mw + mw / 2 + off, my = r * mh + mh / 2;
+            // Ogee diamond frame
+            g.globalAlpha = 0.22; g.fillStyle = '#8a6848';
+            g.beginPath();
+            g.moveTo(mx, my - mh * 0.42);
+            g.quadraticCurveTo(mx + mw * 0.38, my - mh * 0.15, mx + mw * 0.28, my);
+            g.quadraticCurveTo(mx + mw * 0.38, my + mh * 0.15, mx, my + mh * 0.42);
+            g.quadraticCurveTo(mx - mw * 0.38, my + mh * 0.15, mx - mw * 0.28, my);
+            g.quadraticCurveTo(mx - mw * 0.38, my - mh * 0.15, mx, my - mh * 0.42);
+            g.fill();
+            // Inner diamond highlight
+            g.globalAlpha = 0.1; g.fillStyle = '#a08060';
+            g.beginPath();
+            g.moveTo(mx, my - mh * 0.32);
+            g.quadraticCurveTo(mx + mw * 0.28, my - mh * 0.1, mx + mw * 0.2, my);
+            g.quadraticCurveTo(mx + mw * 0.28, my + mh * 0.1, mx, my + mh * 0.32);
+            g.quadraticCurveTo(mx - mw * 0.28, my + mh * 0.1, mx - mw * 0.2, my);
+            g.quadraticCurveTo(mx - mw * 0.28, my - mh * 0.1, mx, my - mh * 0.32);
+            g.fill();
+            // Rosette center
+            g.globalAlpha = 0.25; g.fillStyle = '#7a5838';
+            g.beginPath(); g.arc(mx, my, mh * 0.1, 0, Math.PI * 2); g.fill();
+            g.globalAlpha = 0.15; g.fillStyle = '#a08060';
+            g.beginPath(); g.arc(mx, my, mh * 0.05, 0, Math.PI * 2); g.fill();
+            // Leaf sprays
+            g.globalAlpha = 0.18; g.fillStyle = '#7a5838';
+            for (let a = 0; a < 8; a++) {
+                const ang = a * Math.PI / 4, d = mh * 0.2;
+                g.beginPath();
+                g.ellipse(mx + Math.cos(ang) * d, my + Math.sin(ang) * d, mh * 0.06, mh * 0.025, ang, 0, Math.PI * 2);
+                g.fill();
+            }
+            // Petal ring
+            g.globalAlpha = 0.12; g.strokeStyle = '#906840'; g.lineWidth = 1.2;
+            for (let a = 0; a < 6; a++) {
+                const ang = a * Math.PI / 3 + 0.26, d1 = mh * 0.12, d2 = mh * 0.18;
+                g.beginPath();
+                g.moveTo(mx + Math.cos(ang) * d1, my + Math.sin(ang) * d1);
+                g.quadraticCurveTo(mx + Math.cos(ang + 0.3) * d2 * 1.4, my + Math.sin(ang + 0.3) * d2 * 1.4,
+                    mx + Math.cos(ang + 0.5) * d1, my + Math.sin(ang + 0.5) * d1);
+                g.stroke();
+            }
+            // Connecting tendrils between motifs
+            g.globalAlpha = 0.1; g.strokeStyle = '#8a6848'; g.lineWidth = 1.5;
+            g.beginPath();
+            g.moveTo(mx, my - mh * 0.42);
+            g.quadraticCurveTo(mx + mw * 0.15, my - mh * 0.55, mx + mw * 0.5, my - mh * 0.42);
+            g.stroke();
+        }
+    }
+    g.restore();
+
+    // ── Chair rail ──
+    const ry = wpH;
+    g.fillStyle = '#5a3e24'; g.fillRect(0, ry - 2, W, 16);
+    g.fillStyle = '#7a5a38'; g.fillRect(0, ry, W, 3);
+    g.fillStyle = '#6a4a2c'; g.fillRect(0, ry + 6, W, 4);
+    g.fillStyle = '#4a3018'; g.fillRect(0, ry + 12, W, 2);
+
+    // ── Wainscoting panels ──
+    const pT = ry + 17, pB = H - 18, np = 8, gap = 10;
+    const pw = (W - (np + 1) * gap) / np;
+    g.fillStyle = '#4a3820'; g.fillRect(0, pT - 2, W, H - pT + 2);
+    for (let i = 0; i < np; i++) {
+        const px = gap + i * (pw + gap), ph = pB - pT;
+        // Outer frame
+        g.fillStyle = '#5a4428'; g.fillRect(px, pT, pw, ph);
+        // Recess shadow
+        g.fillStyle = '#3a2814'; g.fillRect(px + 5, pT + 5, pw - 10, ph - 10);
+        // Inner raised panel
+        g.fillStyle = '#5e4830'; g.fillRect(px + 8, pT + 8, pw - 16, ph - 16);
+        // Panel highlight (top-left light)
+        g.fillStyle = 'rgba(140,110,75,0.15)'; g.fillRect(px + 8, pT + 8, pw - 16, 2);
+        g.fillStyle = 'rgba(140,110,75,0.1)'; g.fillRect(px + 8, pT + 8, 2, ph - 16);
+        // Panel shadow (bottom-right)
+        g.fillStyle = 'rgba(30,18,8,0.2)'; g.fillRect(px + 8, pT + ph - 18, pw - 16, 2);
+        g.fillStyle = 'rgba(30,18,8,0.15)'; g.fillRect(px + pw - 10, pT + 8, 2, ph - 16);
+        // Wood grain
+        g.strokeStyle = 'rgba(80,58,32,0.25)'; g.lineWidth = 0.7;
+        for (let j = 0; j < 6; j++) {
+            const gy = pT + 12 + R() * (ph - 24);
+            g.beginPath(); g.moveTo(px + 10, gy);
+            g.bezierCurveTo(px + pw * 0.3, gy + R() * 4 - 2, px + pw * 0.7, gy + R() * 4 - 2, px + pw - 10, gy + R() * 3 - 1);
+            g.stroke();
+        }
+    }
+    // Baseboard
+    g.fillStyle = '#6a4c30'; g.fillRect(0, H - 20, W, 4);
+    g.fillStyle = '#3a2818'; g.fillRect(0, H - 16, W, 16);
+    g.fillStyle = '#4a3420'; g.fillRect(0, H - 16, W, 2);
+
+    // ── Aging effects ──
+    g.save();
+    // Water stains from ceiling
+    for (let i = 0; i < 3; i++) {
+        const sx = R() * W, sr = 40 + R() * 70;
+        const gr = g.createRadialGradient(sx, 0, 0, sx, sr * 2, sr);
+        gr.addColorStop(0, 'rgba(50,35,20,0.06)'); gr.addColorStop(1, 'transparent');
+        g.fillStyle = gr; g.fillRect(sx - sr, 0, sr * 2, sr * 3);
+    }
+    // Soot near ceiling
+    const soot = g.createLinearGradient(0, 0, 0, 50);
+    soot.addColorStop(0, 'rgba(30,20,10,0.1)'); soot.addColorStop(1, 'transparent');
+    g.fillStyle = soot; g.fillRect(0, 0, W, 50);
+    // Dirt near floor
+    const dirt = g.createLinearGradient(0, H - 40, 0, H);
+    dirt.addColorStop(0, 'transparent'); dirt.addColorStop(1, 'rgba(40,25,12,0.08)');
+    g.fillStyle = dirt; g.fillRect(0, H - 40, W, 40);
+    g.restore();
+    // Hairline cracks
+    g.strokeStyle = 'rgba(50,30,15,0.15)'; g.lineWidth = 0.7;
+    for (let cr = 0; cr < 3; cr++) {
+        let cx = R() * W, cy = R() * wpH * 0.4;
+        g.beginPath(); g.moveTo(cx, cy);
+        for (let seg = 0; seg < 3 + (R() * 5 | 0); seg++) {
+            cx += R() * 14 - 7; cy += R() * 10 + 2; g.lineTo(cx, cy);
+        }
+        g.stroke();
+    }
+    return c;
+}
+
+function createPanelBumpCanvas() {
+    const W = 1024, H = 512;
+    const c = document.createElement('canvas');
+    c.width = W; c.height = H;
+    const g = c.getContext('2d');
+    const R = createRandom(99);
+    g.fillStyle = '#808080'; g.fillRect(0, 0, W, H);
+    // Damask area slight bump
+    const wpH = H * 0.62;
+    const cols = 8, rows = 3, mw = W / cols, mh = wpH / rows;
+    for (let r = 0; r < rows; r++) {
+        for (let ci = -1; ci <= cols; ci++) {
+            const off = (r % 2) ? mw * 0.5 : 0;
+            const mx = ci * mw + mw / 2 + off, my = r * mh + mh / 2;
+            g.fillStyle = '#989898'; g.beginPath();
+            g.moveTo(mx, my - mh * 0.42);
+            g.quadraticCurveTo(mx + mw * 0.38, my - mh * 0.15, mx + mw * 0.28, my);
+            g.quadraticCurveTo(mx + mw * 0.38, my + mh * 0.15, mx, my + mh * 0.42);
+            g.quadraticCurveTo(mx - mw * 0.38, my + mh * 0.15, mx - mw * 0.28, my);
+            g.quadraticCurveTo(mx - mw * 0.38, my - mh * 0.15, mx, my - mh * 0.42);
+            g.fill();
+        }
+    }
+    // Chair rail
+    g.fillStyle = '#d0d0d0'; g.fillRect(0, wpH - 2, W, 16);
+    // Panels
+    const pT = wpH + 17, pB = H - 18, np = 8, gap = 10;
+    const pw = (W - (np + 1) * gap) / np;
+    for (let i = 0; i < np; i++) {
+        const px = gap + i * (pw + gap), ph = pB - pT;
+        g.fillStyle = '#585858'; g.fillRect(px + 5, pT + 5, pw - 10, ph - 10);
+        g.fillStyle = '#b0b0b0'; g.fillRect(px + 8, pT + 8, pw - 16, ph - 16);
+    }
+    g.fillStyle = '#c0c0c0'; g.fillRect(0, H - 20, W, 4);
+    g.fillStyle = '#555555'; g.fillRect(0, H - 16, W, 16);
+    // Noise
+    for (let i = 0; i < 4000; i++) {
+        const v = 120 + ((R() * 20) | 0) - 10;
+        g.fillStyle = `rgb(${v},${v},${v})`;
+        g.fillRect(R() * W, R() * H, 1 + R() * 2, 1 + R() * 2);
+    }
+    return c;
+}
+
+function makeWallMat(seed) {
+    const tex = new THREE.CanvasTexture(createPanelWallCanvas(seed));
+    tex.colorSpace = THREE.SRGBColorSpace;
+    return new THREE.MeshStandardMaterial({
+        map: tex, bumpMap: panelBumpTex, bumpScale: 0.04, roughness: 0.85, metalness: 0
+    });
+}
+
+const panelBumpTex = new THREE.CanvasTexture(createPanelBumpCanvas());
+const northWallMat = makeWallMat(42);
+const southWallMat = makeWallMat(73);
+const westWallMat  = makeWallMat(137);
+const eastWallMat  = makeWallMat(211);
+const intWallMat   = makeWallMat(301);
+
+// ─── WALLS AND FLOORS ───
+// Only the looks: what the player bumps into is game.colliders, built from
+// the same level file in core/world.js
+function addWall(x, y, z, w, h, d, mat) {
+    const geo = new THREE.BoxGeometry(w, h, d);
+    const mesh = new THREE.Mesh(geo, mat || wallMat);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    return mesh;
+}
+
+// A slab the shape of a room polygon, "thick" deep below height y, with the
+// stairwells in "holes" ([minX, minZ, maxX, maxZ]) cut out
+function addSlab(polygon, holes, y, thick, mat) {
+    // The shape's second axis is -z so that it lies on the x/z plane once
+    // turned flat
+    const shape = new THREE.Shape(polygon.map(([x, z]) => new THREE.Vector2(x, -z)));
+    holes.forEach(([minX, minZ, maxX, maxZ]) => {
+        shape.holes.push(new THREE.Path([
+            new THREE.Vector2(minX, -minZ), new THREE.Vector2(minX, -maxZ),
+            new THREE.Vector2(maxX, -maxZ), new THREE.Vector2(maxX, -minZ)
+        ]));
+    });
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: thick, bevelEnabled: false });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.y = y - thick;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    return mesh;
+}
+
+// ─── BUILD HOUSE ───
+const WALL_H = LEVEL.wallHeight;
+const WALL_T = LEVEL.wallThickness;
+const FLOOR_T = 0.1;
+const CEILING_T = 0.15;
+const STEPS_PER_METRE = 5;      // steps per metre of height on the stairs
+const [MIN_X, MIN_Z, MAX_X, MAX_Z] = LEVEL.bounds;
+const levelWallMats = {
+    north: northWallMat, south: southWallMat, west: westWallMat, east: eastWallMat, interior: intWallMat
+};
+
+// Floors and ceilings, room by room, with the stairwells left open: a
+// stair comes up through the floor of its top storey and the ceiling of
+// its bottom one
+const STAIRS = LEVEL.stairs || [];
+function stairwells(room, side) {
+    return STAIRS.filter(stair => stair[side] === (room.storey || storeyAt(LEVEL, 0).name))
+        .map(stairFootprint)
+        .filter(([minX, minZ, maxX, maxZ]) => pointInPolygon((minX + maxX) / 2, (minZ + maxZ) / 2, room.polygon));
+}
+LEVEL.rooms.forEach(room => {
+    const y = storeyY(LEVEL, room.storey);
+    addSlab(room.polygon, stairwells(room, 'top'), y, FLOOR_T, floorMat);
+    addSlab(room.polygon, stairwells(room, 'bottom'), y + WALL_H + CEILING_T / 2, CEILING_T, ceilingMat);
+});
+
+// Walls
+LEVEL.walls.forEach(wall => {
+    const mat = levelWallMats[wall.material];
+    const y = storeyY(LEVEL, wall.storey);
+    const h = wall.height || WALL_H;
+    wallSegments(wall).forEach(([[x1, z1], [x2, z2]]) => {
+        const len = Math.abs(x2 - x1) + Math.abs(z2 - z1);
+        if (z1 === z2) addWall((x1 + x2) / 2, y + h/2, z1, len, h, WALL_T, mat);
+        else addWall(x1, y + h/2, (z1 + z2) / 2, WALL_T, h, len, mat);
+    });
+});
+
+// Stairs: solid steps from the floor below, each as high as the slope the
+// player walks on (core/level.js stairHeight()) at its middle
+STAIRS.forEach(stair => {
+    const bottom = storeyY(LEVEL, stair.bottom);
+    const rise = storeyY(LEVEL, stair.top) - bottom;
+    const alongX = stair.from[1] === stair.to[1];
+    const axis = alongX ? 0 : 1;
+    const start = stair.from[axis], run = stair.to[axis] - start;
+    const steps = Math.max(2, Math.round(rise * STEPS_PER_METRE));
+    const tread = Math.abs(run) / steps;
+    for (let i = 0; i < steps; i++) {
+        const h = (i + 0.5) * rise / steps;
+        const along = start + Math.sign(run) * (i + 0.5) * tread;
+        const x = alongX ? along : stair.from[0];
+        const z = alongX ? stair.from[1] : along;
+        addWall(x, bottom + h / 2, z, alongX ? tread : stair.width, h, alongX ? stair.width : tread, floorMat);
+    }
+});
+
+// ── Rugs ──
+const rugGeo = new THREE.BoxGeometry(4, 0.02, 3);
+const rug1 = new THREE.Mesh(rugGeo, rugMat);
+rug1.position.set(0, 0.01, 6); scene.add(rug1);
+const rug2 = new THREE.Mesh(new THREE.BoxGeometry(6, 0.02, 5), rugMat);
+rug2.position.set(0, 0.01, -1.5); scene.add(rug2);
+
+// ─── 3D MODEL LOADING SYSTEM ───
+const gltfLoader = new GLTFLoader();
+const loadingBar = document.getElementById('loading-bar-inner');
+const loadingText = document.getElementById('loading-text');
+const loadingScreen = document.getElementById('loading-screen');
+
+// Cache loaded models
+const modelCache = {};
+let modelsLoaded = 0;
+const totalModels = Object.keys(MODEL_URLS).length;
+
+function updateLoadingProgress(name) {
+    modelsLoaded++;
+    const pct = Math.round((modelsLoaded / totalModels) * 100);
+    loadingBar.style.width = pct + '%';
+    loadingText.textContent = t('loading.model', { name, done: modelsLoaded, total: totalModels });
+}
+
+function loadModel(key) {
+    return new Promise((resolve) => {
+        gltfLoader.load(MODEL_URLS[key], (gltf) => {
+            modelCache[key] = gltf.scene;
+            updateLoadingProgress(key);
+            resolve(gltf.scene);
+        }, undefined, (err) => {
+            console.warn(`Failed to load model: ${key}`, err);
+            modelCache[key] = null;
+            updateLoadingProgress(key);
+            resolve(null);
+        });
+    });
+}
+
+// Place a loaded model into the scene — with fallback box if model failed
+// Models with detail levels (see generate-models.mjs) show one level at a
+// time, chosen by distance in updateLods()
+const lodModels = [];
+const lodPosition = new THREE.Vector3();
+
+function updateLods() {
+    const lodScale = quality().lodScale;
+    lodModels.forEach(entry => {
+        const distance = entry.model.getWorldPosition(lodPosition).distanceTo(camera.position) / lodScale;
+        let level = 0;
+        while (level + 1 < entry.distances.length && distance >= entry.distances[level + 1]) level++;
+        if (level === entry.level) return;
+        entry.level = level;
+        entry.levels.forEach(obj => { obj.visible = obj.userData.lod === level; });
+    });
+}
+
+function placeModel(key, x, y, z, scale, rotY, tint, fallback) {
+    const template = modelCache[key];
+    if (!template) {
+        // Create visible fallback box furniture
+        if (fallback) {
+            const geo = new THREE.BoxGeometry(fallback[0], fallback[1], fallback[2]);
+            const mat = (furnitureMat).clone();
+            mat.color.set(fallback[3] || 0x2a1808);
+            const mesh = new THREE.Mesh(geo, mat);
+            mesh.position.set(x + (fallback[0]/2 || 0) * 0, y + fallback[1]/2, z);
+            mesh.position.set(x, y + fallback[1]/2, z);
+            if (rotY) mesh.rotation.y = rotY;
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            scene.add(mesh);
+            return mesh;
+        }
+        return null;
+    }
+    const model = template.clone();
+    model.position.set(x, y, z);
+    if (model.userData.lods) {
+        const levels = [];
+        model.traverse(child => { if (child.userData.lod !== undefined) levels.push(child); });
+        lodModels.push({ model, distances: model.userData.lods, levels, level: -1 });
+    }
+    if (typeof scale === 'number') model.scale.setScalar(scale);
+    else model.scale.set(scale[0], scale[1], scale[2]);
+    if (rotY) model.rotation.y = rotY;
+    // Tint all meshes darker for manor mood
+    if (tint) {
+        model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                child.material = child.material.clone();
+                child.material.color.multiplyScalar(tint);
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+    } else {
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+    }
+    scene.add(model);
+    return model;
+}
+
+// Furniture entry from the level file
+function placeFurniture(entry, path) {
+    const { id, model, position: [x, y, z], scale, rotY, tint } = entry;
+    const placed = placeModel(model, x, y, z, scale || 1, rotY || 0, tint);
+    if (!placed) return;
+    registerContainer(id || `${model}@${x},${z}`, model, placed);
+    addLayoutItem('furniture', placed, entry, 'level', path);
+}
+
+// ─── CONTAINERS ───
+// Furniture whose model has movable parts (see generate-models.mjs) can be
+// opened with interact(). The parts carry their motion in userData.open.
+// A case file can lock a container ("containers": { <furniture id>: {
+// "lock": { "key": <clue id> } or { "code": "1234" }, "lockedText" } }) and
+// put clues inside it with "container": <furniture id>.
+const CONTAINER_SPEED = 2.5;      // full open/close per 0.4 s
+const containers = {};
+
+function registerContainer(id, model, object) {
+    const parts = [];
+    object.traverse(child => {
+        if (child.userData.open) {
+            parts.push({ obj: child, open: child.userData.open, rotY: child.rotation.y, z: child.position.z });
+        }
+    });
+    if (!parts.length) return;
+    const spec = (CASE.containers || {})[id] || {};
+    containers[id] = {
+        id, parts, riders: [],
+        name: spec.name || t(`container.${model}`),
+        lock: spec.lock, lockedText: spec.lockedText,
+        open: false, progress: 0
+    };
+    object.traverse(child => {
+        if (child.isMesh) {
+            child.userData = { type: 'container', id };
+            interactables.push(child);
+        }
+    });
+}
+
+// Clues stored in a drawer ride along when it slides out
+function seatClues() {
+    clueObjects.forEach(obj => {
+        const c = containers[CLUES[obj.userData.id].container];
+        if (!c) return;
+        const world = new THREE.Vector3();
+        let nearest = null, best = Infinity;
+        c.parts.filter(p => p.open.slideZ).forEach(p => {
+            const d = p.obj.getWorldPosition(world).distanceTo(obj.position);
+            if (d < best) { best = d; nearest = p; }
+        });
+        if (nearest) c.riders.push({ obj, part: nearest, base: obj.position.clone(), from: nearest.obj.getWorldPosition(new THREE.Vector3()) });
+    });
+}
+
+function useContainer(id) {
+    const c = containers[id];
+    const result = game.useContainer(id);
+    if (result === 'code') {
+        openCodeLock(id);
+        return;
+    }
+    if (result === 'locked') {
+        showNotice(`🔒 ${c.lockedText}`);
+        return;
+    }
+    if (result === 'unlocked') {
+        const key = CLUES[c.lock.key];
+        showNotice(t('container.unlock', { container: c.name.toLowerCase(), key: key.name.toLowerCase() }));
+    }
+    setContainerOpen(id, game.isOpen(id));
+    saveGame();
+}
+
+// Moves the doors and drawers to match; instant skips the animation
+function setContainerOpen(id, open, instant) {
+    const c = containers[id];
+    c.open = open;
+    game.setOpen(id, open);
+    if (instant) {
+        c.progress = open ? 1 : 0;
+        poseContainer(c);
+    }
+}
+
+function poseContainer(c) {
+    const t = c.progress * c.progress * (3 - 2 * c.progress);   // smoothstep
+    c.parts.forEach(p => {
+        if (p.open.rotateY) p.obj.rotation.y = p.rotY + p.open.rotateY * t;
+        if (p.open.slideZ) p.obj.position.z = p.z + p.open.slideZ * t;
+    });
+    const world = new THREE.Vector3();
+    c.riders.forEach(r => {
+        r.obj.position.copy(r.base).add(r.part.obj.getWorldPosition(world).sub(r.from));
+        r.obj.userData.baseY = r.obj.position.y;
+    });
+}
+
+function updateContainers(delta) {
+    Object.values(containers).forEach(c => {
+        const target = c.open ? 1 : 0;
+        if (c.progress === target) return;
+        const step = CONTAINER_SPEED * delta;
+        c.progress = target > c.progress ? Math.min(target, c.progress + step) : Math.max(target, c.progress - step);
+        poseContainer(c);
+    });
+}
+
+// Containers locked with a code ask for it in a small panel
+let codeLockTarget = null;
+const codeLockInput = document.getElementById('code-lock-input');
+
+function openCodeLock(id) {
+    const c = containers[id];
+    codeLockTarget = id;
+    state.paused = true;
+    if (document.pointerLockElement) document.exitPointerLock();
+    document.getElementById('code-lock-name').textContent = `🔒 ${c.name}`;
+    document.getElementById('code-lock-text').textContent = c.lockedText;
+    document.getElementById('code-lock-error').textContent = '';
+    codeLockInput.value = '';
+    codeLockInput.maxLength = c.lock.code.length;
+    document.getElementById('code-lock').style.display = 'block';
+    setTimeout(() => codeLockInput.focus(), 50);
+}
+
+function tryCode() {
+    const id = codeLockTarget;
+    if (!game.enterCode(id, codeLockInput.value)) {
+        document.getElementById('code-lock-error').textContent = t('lock.wrong');
+        codeLockInput.select();
+        return;
+    }
+    closePopups();
+    setContainerOpen(id, true);
+    showNotice(t('lock.opened'));
+    saveGame();
+}
+
+document.getElementById('code-lock-open').addEventListener('click', tryCode);
+document.getElementById('code-lock-cancel').addEventListener('click', () => closePopups());
+codeLockInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') tryCode();
+});
+
+function showNotice(text, duration) {
+    const notice = document.getElementById('notice');
+    notice.textContent = text;
+    notice.style.display = 'block';
+    announce(text);
+    clearTimeout(showNotice.timer);
+    showNotice.timer = setTimeout(() => { notice.style.display = 'none'; }, duration || 3500);
+}
+
+// ─── LOAD ALL MODELS THEN PLACE FURNITURE ───
+async function initModels() {
+    // Load all models in parallel
+    await Promise.all(Object.keys(MODEL_URLS).map(key => loadModel(key)));
+
+    loadingText.textContent = t('loading.furniture');
+
+    // Furniture from the level file, room by room
+    LEVEL.rooms.forEach((room, i) => (room.furniture || []).forEach((entry, j) => placeFurniture(entry, ['rooms', i, 'furniture', j])));
+    // Decorative candles; unlit ones wait for the player
+    LEVEL.rooms.forEach((room, i) => (room.candles || []).forEach((entry, j) => {
+        const group = addDetailedCandle(...entry.position, entry.scale);
+        addLayoutItem('candle', group, entry, 'level', ['rooms', i, 'candles', j]);
+        if (!entry.unlit) return;
+        candleGroups[entry.id] = group;
+        group.traverse(child => {
+            if (child.isMesh && child !== group.userData.flame) {
+                child.userData = { type: 'candle', id: entry.id };
+                interactables.push(child);
+            }
+        });
+    }));
+    updateRoomLights();
+    // Clues built from models (e.g. the wine glasses on the table)
+    placeModelClues();
+    seatClues();
+    // A save may have been resumed before the furniture existed
+    state.opened.forEach(id => { if (containers[id]) setContainerOpen(id, true, true); });
+
+    // ─── DONE LOADING ───
+    loadingText.textContent = t('loading.welcome', { name: LEVEL.name });
+    loadingBar.style.width = '100%';
+    setTimeout(() => {
+        loadingScreen.classList.add('fade-out');
+        setTimeout(() => { loadingScreen.style.display = 'none'; }, 800);
+    }, 500);
+    if (EDITOR) openEditor();
+}
+
+// Start loading
+initModels();
+
+// ─── DEAD BODIES (3 in dining room) ───
+function createBody(x, z, rotation) {
+    const group = new THREE.Group();
+    // Torso
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.2, 0.9), bodyMat);
+    torso.position.y = 0.1;
+    group.add(torso);
+    // Head
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.15, 8, 8), skinMat);
+    head.position.set(0, 0.15, -0.55);
+    group.add(head);
+    // Legs
+    const leg = new THREE.Mesh(new THREE.BoxGeometry(0.18, 0.15, 0.7), bodyMat);
+    leg.position.set(0.15, 0.08, 0.6);
+    group.add(leg);
+    const leg2 = leg.clone();
+    leg2.position.x = -0.15;
+    group.add(leg2);
+
+    group.position.set(x, 0, z);
+    group.rotation.y = rotation;
+    scene.add(group);
+    return group;
+}
+
+createBody(-1.5, -1, 0.3);
+createBody(1, -2.5, -0.5);
+createBody(0.5, 0.5, 2.1);
+
+// ─── SUSPECTS (standing figures you can question) ───
+const SUSPECTS = Object.fromEntries(CASE.suspects.map(s => [s.id, s]));
+
+function createSuspect(suspect) {
+    const [x, z] = suspect.position;
+    const clothMat = new THREE.MeshStandardMaterial({ color: suspect.color || 0x2a2a30, roughness: 0.9, metalness: 0 });
+    const group = new THREE.Group();
+    // Legs
+    const leg = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.85, 0.18), clothMat);
+    leg.position.set(0.11, 0.425, 0);
+    const leg2 = leg.clone();
+    leg2.position.x = -0.11;
+    // Torso
+    const torso = new THREE.Mesh(new THREE.BoxGeometry(0.46, 0.65, 0.26), clothMat);
+    torso.position.y = 1.18;
+    // Arms
+    const arm = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.6, 0.14), clothMat);
+    arm.position.set(0.3, 1.18, 0);
+    const arm2 = arm.clone();
+    arm2.position.x = -0.3;
+    // Head
+    const head = new THREE.Mesh(new THREE.SphereGeometry(0.13, 10, 10), skinMat);
+    head.position.y = 1.64;
+    const parts = [leg, leg2, torso, arm, arm2, head];
+    parts.forEach(m => {
+        m.castShadow = true;
+        m.userData = { type: 'suspect', id: suspect.id };
+        group.add(m);
+        interactables.push(m);
+    });
+
+    group.position.set(x, 0, z);
+    group.rotation.y = suspect.rotY || 0;
+    scene.add(group);
+    return group;
+}
+
+// ─── CLUE OBJECTS ───
+const clueObjects = [];
+const interactables = [];
+
+function addClueGroup(id, x, y, z, meshes, isStatic) {
+    const group = new THREE.Group();
+    meshes.forEach(m => group.add(m));
+    group.position.set(x, y, z);
+    group.userData = { type: 'clue', id, static: !!isStatic, baseY: y };
+    scene.add(group);
+    clueObjects.push(group);
+    meshes.forEach(m => {
+        m.userData = { type: 'clue', id };
+        interactables.push(m);
+    });
+    return group;
+}
+
+function addClueObject(id, x, y, z, shape) {
+    const mat = clueMat.clone();
+
+    if (shape === 'letter') {
+        // Torn parchment letter with curled corner + wax seal
+        const page = new THREE.Mesh(new THREE.PlaneGeometry(0.3, 0.38), mat);
+        page.rotation.x = -Math.PI / 2;
+        const corner = new THREE.Mesh(new THREE.PlaneGeometry(0.1, 0.1), mat);
+        corner.rotation.x = -Math.PI / 2 + 0.6;
+        corner.position.set(0.1, 0.03, -0.14);
+        const sealMat = new THREE.MeshStandardMaterial({ color: 0xaa2222, roughness: 0.4, emissive: 0x881111, emissiveIntensity: 0.4 });
+        const seal = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.01, 8), sealMat);
+        seal.position.set(-0.05, 0.005, 0.08);
+        return addClueGroup(id, x, y, z, [page, corner, seal], true);
+
+    } else if (shape === 'page') {
+        // Flat diary page
+        const page = new THREE.Mesh(new THREE.PlaneGeometry(0.28, 0.36), mat);
+        page.rotation.x = -Math.PI / 2;
+        page.position.set(x, y, z);
+        page.userData = { type: 'clue', id, static: true, baseY: y };
+        page.castShadow = true;
+        scene.add(page);
+        clueObjects.push(page);
+        interactables.push(page);
+        return page;
+
+    } else if (shape === 'newspaper') {
+        // Folded newspaper with layered sheets + headline
+        const paperMat = mat;
+        const textMat = new THREE.MeshStandardMaterial({ color: 0xccbb88, roughness: 0.9, emissive: 0x887722, emissiveIntensity: 0.3 });
+        const sheet1 = new THREE.Mesh(new THREE.PlaneGeometry(0.4, 0.3), paperMat);
+        sheet1.rotation.x = -Math.PI / 2;
+        const sheet2 = new THREE.Mesh(new THREE.PlaneGeometry(0.38, 0.14), paperMat);
+        sheet2.rotation.x = -Math.PI / 2;
+        sheet2.position.set(0.01, 0.003, -0.04);
+        const sheet3 = new THREE.Mesh(new THREE.PlaneGeometry(0.2, 0.25), textMat);
+        sheet3.rotation.x = -Math.PI / 2 + 0.08;
+        sheet3.position.set(-0.05, 0.006, 0.02);
+        sheet3.rotation.z = 0.05;
+        const headline = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.003, 0.02),
+            new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.8, emissive: 0x111111, emissiveIntensity: 0.2 }));
+        headline.position.set(0, 0.004, -0.08);
+        return addClueGroup(id, x, y, z, [sheet1, sheet2, sheet3, headline], true);
+
+    } else if (shape === 'poison_bottle') {
+        // Small glass poison bottle with cork
+        const glassMat = new THREE.MeshStandardMaterial({
+            color: 0x2a5a3a, roughness: 0.15, metalness: 0.1,
+            emissive: 0x1a3a2a, emissiveIntensity: 0.5,
+            transparent: true, opacity: 0.75
+        });
+        // Body — slightly tapered cylinder
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.04, 0.12, 8), glassMat);
+        body.position.y = 0.06;
+        // Neck
+        const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.025, 0.04, 8), glassMat);
+        neck.position.y = 0.14;
+        // Cork
+        const corkMat = new THREE.MeshStandardMaterial({ color: 0x8b6b42, roughness: 0.9, emissive: 0x5a4a2a, emissiveIntensity: 0.3 });
+        const cork = new THREE.Mesh(new THREE.CylinderGeometry(0.017, 0.015, 0.025, 6), corkMat);
+        cork.position.y = 0.17;
+        // Label
+        const labelMat = new THREE.MeshStandardMaterial({ color: 0xddcc99, roughness: 0.8, emissive: 0x887722, emissiveIntensity: 0.3 });
+        const label = new THREE.Mesh(new THREE.PlaneGeometry(0.04, 0.035), labelMat);
+        label.position.set(0, 0.07, 0.04);
+        // Skull symbol on label (tiny red dot)
+        const skull = new THREE.Mesh(new THREE.SphereGeometry(0.005, 6, 6),
+            new THREE.MeshStandardMaterial({ color: 0xaa0000, emissive: 0x880000, emissiveIntensity: 0.8 }));
+        skull.position.set(0, 0.07, 0.042);
+        return addClueGroup(id, x, y, z, [body, neck, cork, label, skull], true);
+
+    } else if (shape === 'wine_glasses') {
+        // Three wine glasses with residue
+        const glassMat = new THREE.MeshStandardMaterial({
+            color: 0xccccdd, roughness: 0.1, metalness: 0.15,
+            emissive: 0x887766, emissiveIntensity: 0.3,
+            transparent: true, opacity: 0.6
+        });
+        const residueMat = new THREE.MeshStandardMaterial({
+            color: 0x5a1020, roughness: 0.5, emissive: 0x3a0810, emissiveIntensity: 0.5
+        });
+        const parts = [];
+        const offsets = [[-0.06, 0, -0.03], [0.06, 0, -0.02], [0, 0, 0.05]];
+        offsets.forEach(([ox, oy, oz]) => {
+            // Stem
+            const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.005, 0.005, 0.07, 6), glassMat);
+            stem.position.set(ox, 0.035, oz);
+            // Base
+            const base = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 0.005, 8), glassMat);
+            base.position.set(ox, 0.003, oz);
+            // Bowl (open top = use lathe)
+            const bowl = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.012, 0.055, 8, 1, true), glassMat);
+            bowl.position.set(ox, 0.095, oz);
+            // Wine residue at bottom of bowl
+            const residue = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.012, 0.008, 8), residueMat);
+            residue.position.set(ox, 0.073, oz);
+            parts.push(stem, base, bowl, residue);
+        });
+        return addClueGroup(id, x, y, z, parts, true);
+
+    } else if (shape === 'doctors_bag') {
+        // Gladstone-style doctor's bag — wider at top, narrows at bottom
+        const leatherMat = new THREE.MeshStandardMaterial({
+            color: 0x3a2218, roughness: 0.8, emissive: 0x2a1810, emissiveIntensity: 0.4
+        });
+        const leatherDark = new THREE.MeshStandardMaterial({
+            color: 0x261510, roughness: 0.85, emissive: 0x1a0e08, emissiveIntensity: 0.3
+        });
+        const metalMat = new THREE.MeshStandardMaterial({
+            color: 0xccaa44, roughness: 0.3, metalness: 0.7, emissive: 0x887722, emissiveIntensity: 0.4
+        });
+        // Bottom — narrow rectangular base
+        const base = new THREE.Mesh(new THREE.BoxGeometry(0.22, 0.04, 0.12), leatherDark);
+        base.position.y = 0.02;
+        // Left side panel — tapered (wider at top)
+        const lPanel = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.14, 0.13), leatherMat);
+        lPanel.position.set(-0.12, 0.10, 0);
+        lPanel.rotation.z = 0.15; // lean outward slightly
+        // Right side panel
+        const rPanel = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.14, 0.13), leatherMat);
+        rPanel.position.set(0.12, 0.10, 0);
+        rPanel.rotation.z = -0.15;
+        // Front panel
+        const fPanel = new THREE.Mesh(new THREE.BoxGeometry(0.26, 0.14, 0.02), leatherMat);
+        fPanel.position.set(0, 0.10, 0.065);
+        // Back panel
+        const bPanel = new THREE.Mesh(new THREE.BoxGeometry(0.26, 0.14, 0.02), leatherMat);
+        bPanel.position.set(0, 0.10, -0.065);
+        // Left flap (hinged open) — rotated outward
+        const lFlap = new THREE.Mesh(new THREE.BoxGeometry(0.14, 0.02, 0.14), leatherMat);
+        lFlap.position.set(-0.05, 0.19, 0);
+        lFlap.rotation.z = 0.35;
+        // Right flap (hinged open)
+        const rFlap = new THREE.Mesh(new THREE.BoxGeometry(0.14, 0.02, 0.14), leatherMat);
+        rFlap.position.set(0.05, 0.19, 0);
+        rFlap.rotation.z = -0.35;
+        // Metal frame at top opening — two bars
+        const frameL = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.012, 0.012), metalMat);
+        frameL.position.set(-0.06, 0.175, 0);
+        const frameR = new THREE.Mesh(new THREE.BoxGeometry(0.15, 0.012, 0.012), metalMat);
+        frameR.position.set(0.06, 0.175, 0);
+        // Clasp in center
+        const clasp = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.02, 0.025), metalMat);
+        clasp.position.set(0, 0.18, 0.065);
+        // Handle — arch on top
+        const handleMat = new THREE.MeshStandardMaterial({ color: 0x2a1810, roughness: 0.7, emissive: 0x1a1008, emissiveIntensity: 0.3 });
+        const handle = new THREE.Mesh(new THREE.TorusGeometry(0.035, 0.008, 6, 12, Math.PI), handleMat);
+        handle.rotation.z = Math.PI;
+        handle.position.set(0, 0.22, 0);
+        // Strap/buckle details
+        const strap = new THREE.Mesh(new THREE.BoxGeometry(0.025, 0.08, 0.005), leatherDark);
+        strap.position.set(0, 0.10, 0.073);
+        const buckle = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.015, 0.008), metalMat);
+        buckle.position.set(0, 0.12, 0.074);
+        return addClueGroup(id, x, y, z, [base, lPanel, rPanel, fPanel, bPanel,
+            lFlap, rFlap, frameL, frameR, clasp, handle, strap, buckle], true);
+
+    } else if (shape === 'muddy_boots') {
+        // Pair of muddy boots
+        const bootMat = new THREE.MeshStandardMaterial({
+            color: 0x3a2a1a, roughness: 0.85, emissive: 0x2a1a0a, emissiveIntensity: 0.4
+        });
+        const mudMat = new THREE.MeshStandardMaterial({
+            color: 0x4a3a20, roughness: 1.0, emissive: 0x3a2a10, emissiveIntensity: 0.3
+        });
+        const soleMat = new THREE.MeshStandardMaterial({ color: 0x1a1008, roughness: 0.95 });
+        const parts = [];
+        [-0.06, 0.06].forEach((ox, i) => {
+            // Boot shaft (tall cylinder)
+            const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.04, 0.16, 8), bootMat);
+            shaft.position.set(ox, 0.08, 0);
+            // Foot / toe (stretched box)
+            const foot = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.05, 0.14), bootMat);
+            foot.position.set(ox, 0.025, 0.03);
+            // Sole
+            const sole = new THREE.Mesh(new THREE.BoxGeometry(0.075, 0.015, 0.15), soleMat);
+            sole.position.set(ox, 0.008, 0.03);
+            // Mud splotches
+            const mud1 = new THREE.Mesh(new THREE.SphereGeometry(0.02, 6, 6), mudMat);
+            mud1.scale.y = 0.3;
+            mud1.position.set(ox - 0.01, 0.015, 0.07);
+            const mud2 = new THREE.Mesh(new THREE.SphereGeometry(0.015, 6, 6), mudMat);
+            mud2.scale.y = 0.3;
+            mud2.position.set(ox + 0.02, 0.015, 0.01);
+            parts.push(shaft, foot, sole, mud1, mud2);
+            // Slight angle for natural look
+            if (i === 1) {
+                shaft.rotation.z = 0.05;
+                foot.rotation.y = 0.1;
+            }
+        });
+        return addClueGroup(id, x, y, z, parts, true);
+
+    } else if (shape === 'pocket_watch') {
+        // Round pocket watch with chain
+        const caseMat = new THREE.MeshStandardMaterial({
+            color: 0xccaa44, roughness: 0.25, metalness: 0.8,
+            emissive: 0x887722, emissiveIntensity: 0.5
+        });
+        const faceMat = new THREE.MeshStandardMaterial({
+            color: 0xeeeedd, roughness: 0.4, emissive: 0xccccaa, emissiveIntensity: 0.3
+        });
+        const darkMat = new THREE.MeshStandardMaterial({
+            color: 0x222222, roughness: 0.6, emissive: 0x111111, emissiveIntensity: 0.2
+        });
+        // Case back
+        const caseBack = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.008, 16), caseMat);
+        caseBack.rotation.x = -Math.PI / 2 + 0.1;
+        caseBack.position.y = 0.003;
+        // Watch face
+        const face = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.035, 0.004, 16), faceMat);
+        face.rotation.x = -Math.PI / 2 + 0.1;
+        face.position.y = 0.009;
+        // Rim
+        const rim = new THREE.Mesh(new THREE.TorusGeometry(0.04, 0.004, 8, 24), caseMat);
+        rim.rotation.x = -Math.PI / 2 + 0.1;
+        rim.position.y = 0.006;
+        // Crown / winder knob
+        const crown = new THREE.Mesh(new THREE.SphereGeometry(0.007, 6, 6), caseMat);
+        crown.position.set(0, 0.01, -0.045);
+        // Hour hand
+        const hour = new THREE.Mesh(new THREE.BoxGeometry(0.003, 0.002, 0.02), darkMat);
+        hour.position.set(-0.005, 0.012, -0.005);
+        hour.rotation.y = 0.5;
+        // Minute hand
+        const minute = new THREE.Mesh(new THREE.BoxGeometry(0.002, 0.002, 0.028), darkMat);
+        minute.position.set(0.003, 0.013, 0.005);
+        minute.rotation.y = -0.8;
+        // Chain links (small torus segments)
+        const chainMat = new THREE.MeshStandardMaterial({ color: 0xaa8833, roughness: 0.3, metalness: 0.7, emissive: 0x665522, emissiveIntensity: 0.3 });
+        const chainParts = [];
+        for (let i = 0; i < 6; i++) {
+            const link = new THREE.Mesh(new THREE.TorusGeometry(0.006, 0.002, 4, 6), chainMat);
+            link.position.set(0.01 * i + 0.02, 0.003, -0.045 + 0.005 * Math.sin(i));
+            link.rotation.y = i * 0.3;
+            chainParts.push(link);
+        }
+        return addClueGroup(id, x, y, z, [caseBack, face, rim, crown, hour, minute, ...chainParts], true);
+
+    } else if (shape === 'stain') {
+        // A trail of drops that glow under the UV lamp
+        const glowMat = new THREE.MeshBasicMaterial({ color: 0xc080ff, transparent: true, opacity: 0.85, depthWrite: false });
+        const drops = [[-0.25, 0.04, 0.012], [-0.15, 0.02, 0.009], [-0.06, 0.05, 0.014], [0.04, 0, 0.01], [0.13, 0.03, 0.012], [0.22, -0.02, 0.016]]
+            .map(([dx, dz, r]) => {
+                const drop = new THREE.Mesh(new THREE.CircleGeometry(r, 10), glowMat);
+                drop.rotation.x = -Math.PI / 2;
+                drop.position.set(dx, 0.002, dz);
+                return drop;
+            });
+        return addClueGroup(id, x, y, z, drops, true);
+
+    } else if (shape === 'writing') {
+        // Lines of invisible ink, scrawled onto a canvas
+        const canvas = document.createElement('canvas');
+        canvas.width = 256; canvas.height = 96;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = '#d0a0ff';
+        ctx.lineWidth = 3;
+        for (let line = 0; line < 3; line++) {
+            ctx.beginPath();
+            for (let px = 10; px < (line === 2 ? 150 : 246); px += 4) {
+                const py = 22 + line * 28 + Math.sin(px * 0.45 + line) * 6 * Math.sin(px * 0.07);
+                if (px === 10) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            }
+            ctx.stroke();
+        }
+        const inkMat = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true, depthWrite: false });
+        const ink = new THREE.Mesh(new THREE.PlaneGeometry(0.32, 0.12), inkMat);
+        ink.rotation.x = -Math.PI / 2;
+        ink.position.y = 0.002;
+        return addClueGroup(id, x, y, z, [ink], true);
+    }
+
+    // Fallback
+    const geo = new THREE.BoxGeometry(0.2, 0.2, 0.2);
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(x, y, z);
+    mesh.userData = { type: 'clue', id, baseY: y };
+    mesh.castShadow = true;
+    scene.add(mesh);
+    clueObjects.push(mesh);
+    interactables.push(mesh);
+    return mesh;
+}
+
+// Clues placed as models — runs from initModels once the GLBs are cached
+function placeModelClues() {
+    for (const [id, clue] of Object.entries(CLUES)) {
+        if (!clue.models) continue;
+        clue.models.forEach((entry, k) => {
+            const { model, position: [x, y, z], scale, rotY, tint } = entry;
+            const m = placeModel(model, x, y, z, scale || 1, rotY || 0, tint || 0.8);
+            if (!m) return;
+            addLayoutItem('clue', m, entry, 'case', ['clues', id, 'models', k]);
+            m.userData = { type: 'clue', id, static: true, baseY: m.position.y };
+            m.traverse(child => {
+                if (child.isMesh) {
+                    child.userData = { type: 'clue', id };
+                    interactables.push(child);
+                }
+            });
+            clueObjects.push(m);
+        });
+    }
+}
+
+// Place clues from the case file
+for (const [id, clue] of Object.entries(CLUES)) {
+    if (clue.shape) addLayoutItem('clue', addClueObject(id, ...clue.position, clue.shape), clue, 'case', ['clues', id, 'position']);
+}
+
+// Suspects that have a place in the house
+CASE.suspects.filter(s => s.position).forEach(createSuspect);
+
+// ─── Solve desk (appears once the accusation opens, see canAccuse()) ───
+const solveDeskMat = new THREE.MeshStandardMaterial({ color: 0xaa7722, roughness: 0.5, emissive: 0x553311, emissiveIntensity: 0.3 });
+const solveDesk = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.6, 0.6), solveDeskMat);
+solveDesk.position.set(0, 0.8, 7);
+solveDesk.userData = { type: 'solve' };
+solveDesk.visible = false;
+scene.add(solveDesk);
+interactables.push(solveDesk);
+
+// ─── Light switches, on the walls of rooms that can go dark ───
+const switchMat = new THREE.MeshStandardMaterial({ color: 0xb08a40, roughness: 0.4, metalness: 0.6 });
+LEVEL.rooms.forEach((room, i) => {
+    if (!room.switch) return;
+    const plate = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.13, 0.08), switchMat);
+    plate.position.fromArray(room.switch);
+    plate.userData = { type: 'switch', room: room.name };
+    scene.add(plate);
+    interactables.push(plate);
+    addLayoutItem('switch', plate, { room: room.name, position: room.switch }, 'level', ['rooms', i, 'switch']);
+});
+
+// ─── WINDOW GLOW ───
+function addWindow(x, y, z, w, h, rotY) {
+    const geo = new THREE.PlaneGeometry(w, h);
+    const mat = new THREE.MeshStandardMaterial({
+        color: 0x1a2040, emissive: 0x0a1030, emissiveIntensity: 0.3,
+        transparent: true, opacity: 0.5, side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(x, y, z);
+    mesh.rotation.y = rotY;
+    scene.add(mesh);
+}
+addWindow(-11.8, 1.8, 3, 2, 1.5, Math.PI/2);
+addWindow(-11.8, 1.8, -9, 2, 1.5, Math.PI/2);
+addWindow(11.8, 1.8, 3, 2, 1.5, Math.PI/2);
+addWindow(11.8, 1.8, -9, 2, 1.5, Math.PI/2);
+addWindow(8, 1.8, 11.8, 2.5, 1.5, 0);
+
+// ─── DECORATIVE CANDLES (GLB models with bright pulsating flames) ───
+const flames = [];
+const flameMat = new THREE.MeshStandardMaterial({
+    color: 0xffcc00, emissive: 0xff6600, emissiveIntensity: 3,
+    transparent: true, opacity: 0.9
+});
+// Candle and flame share a group standing on the surface, so they move and
+// scale together
+function addDetailedCandle(x, surfaceY, z, scale) {
+    const group = new THREE.Group();
+    group.position.set(x, surfaceY, z);
+    group.scale.setScalar(scale || 1.0);
+    scene.add(group);
+    const candle = placeModel('candle', 0, 0, 0, 1, 0, 0.8);
+    if (candle) group.add(candle);
+    // Add a separate bright flame sphere on top of the candle
+    // Candle model flame center is at local y=0.39
+    const flame = new THREE.Mesh(new THREE.SphereGeometry(0.03, 6, 6), flameMat.clone());
+    flame.position.set(0, 0.39, 0);
+    group.add(flame);
+    flames.push(flame);
+    group.userData.flame = flame;
+    return group;
+}
+
+// ─── PAINTING FRAMES ───
+function addPainting(x, y, z, w, h, rotY, color) {
+    const frame = new THREE.Mesh(new THREE.BoxGeometry(w + 0.1, h + 0.1, 0.05),
+        new THREE.MeshStandardMaterial({ color: 0x4a3520, roughness: 0.6 }));
+    frame.position.set(x, y, z); frame.rotation.y = rotY;
+    scene.add(frame);
+    const canvas = new THREE.Mesh(new THREE.PlaneGeometry(w, h),
+        new THREE.MeshStandardMaterial({ color: color, roughness: 0.9, side: THREE.DoubleSide }));
+    canvas.position.set(x, y, z + (rotY === 0 ? -0.03 : 0));
+    canvas.rotation.y = rotY;
+    if (Math.abs(rotY) > 0.1) canvas.position.z = z;
+    if (Math.abs(rotY) > 0.1) canvas.position.x = x + (rotY > 0 ? -0.03 : 0.03);
+    scene.add(canvas);
+}
+addPainting(-10.8, 2, 11.7, 1.5, 1, 0, 0x2a3a2a);
+addPainting(-11.7, 2, -2, 1.2, 0.9, Math.PI/2, 0x3a2a2a);
+addPainting(11.7, 2, -2, 1.2, 0.9, -Math.PI/2, 0x2a2a3a);
+
+// ─── CONTROLS ───
+const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const direction = new THREE.Vector3();
+const CROUCH_HEIGHT = 1.1;
+let eyeHeight = EYE_HEIGHT;
+let isPointerLocked = false;
+let gameStarted = false;
+let isMouseDown = false;
+let pointerLockSupported = false;
+
+// Pointer lock
+const blocker = document.getElementById('blocker');
+
+function startGame() {
+    blocker.classList.add('hidden');
+    state.locked = false;
+    gameStarted = true;
+
+    if (isMobile) {
+        // Android/Chrome: use Fullscreen API (works on Android)
+        const el = document.documentElement;
+        const rfs = el.requestFullscreen || el.webkitRequestFullscreen || el.msRequestFullscreen;
+        if (rfs) {
+            rfs.call(el).catch(() => {});
+        }
+
+        // iOS Safari: scroll trick to minimize address bar
+        const isIOS = /iPhone|iPad|iPod/.test(navigator.userAgent);
+        const isStandalone = window.navigator.standalone === true;
+        if (isIOS && !isStandalone) {
+            // Briefly make page taller so scroll hides chrome
+            const orig = document.body.style.cssText;
+            document.body.style.position = 'relative';
+            document.body.style.height = (window.innerHeight + 100) + 'px';
+            document.body.style.overflow = 'auto';
+            setTimeout(() => {
+                window.scrollTo(0, 1);
+                setTimeout(() => {
+                    document.body.style.cssText = orig;
+                    document.body.style.position = 'fixed';
+                    handleResize();
+                }, 400);
+            }, 50);
+
+            // Show "Add to Home Screen" tip (only once)
+            if (!localStorage.getItem('iosBannerDismissed')) {
+                const banner = document.getElementById('ios-banner');
+                banner.style.display = 'block';
+                document.getElementById('dismiss-ios').addEventListener('click', () => {
+                    banner.style.display = 'none';
+                    localStorage.setItem('iosBannerDismissed', '1');
+                });
+                // Auto-hide after 8 seconds
+                setTimeout(() => { banner.style.display = 'none'; }, 8000);
+            }
+        }
+
+        // Trigger resize to fit actual visible viewport
+        setTimeout(handleResize, 200);
+    }
+}
+
+function requestLock() {
+    const target = renderer.domElement;
+    if (target.requestPointerLock) {
+        try {
+            const result = target.requestPointerLock();
+            if (result && result.then) {
+                result.then(() => { pointerLockSupported = true; }).catch(() => { pointerLockSupported = false; });
+            }
+        } catch(e) {
+            pointerLockSupported = false;
+        }
+    }
+}
+
+blocker.addEventListener('click', () => {
+    beginSession();
+    startGame();
+    setTimeout(requestLock, 100);
+});
+
+renderer.domElement.addEventListener('click', () => {
+    if (gameStarted && !isPointerLocked && !state.paused) {
+        requestLock();
+    }
+});
+
+document.addEventListener('pointerlockchange', () => {
+    isPointerLocked = !!document.pointerLockElement;
+    if (isPointerLocked) {
+        pointerLockSupported = true;
+        blocker.classList.add('hidden');
+        state.locked = false;
+        gameStarted = true;
+    } else if (pointerLockSupported && !state.showingClue && !state.paused) {
+        saveGame();
+        renderSaveMenu();
+        blocker.classList.remove('hidden');
+        state.locked = true;
+    } else if (state.paused) {
+        // Pointer lock exited for a popup — don't show blocker
+    }
+});
+
+// Mouse look — works with pointer lock OR click-and-drag fallback
+renderer.domElement.addEventListener('mousedown', (e) => {
+    if (gameStarted && !isPointerLocked && e.button === 0) {
+        isMouseDown = true;
+    }
+});
+document.addEventListener('mouseup', () => { isMouseDown = false; });
+
+document.addEventListener('mousemove', (e) => {
+    if (state.paused) return;
+    // Accept movement from pointer lock OR mouse drag
+    const canLook = isPointerLocked || (gameStarted && isMouseDown && !state.locked);
+    if (!canLook) return;
+
+    turnView((e.movementX || 0) * 0.002, (e.movementY || 0) * 0.002);
+});
+
+// Every look input (mouse, touch, gamepad) turns the view through here
+function turnView(yaw, pitch) {
+    euler.setFromQuaternion(camera.quaternion);
+    euler.y -= yaw;
+    euler.x -= pitch;
+    euler.x = Math.max(-Math.PI / 2.2, Math.min(Math.PI / 2.2, euler.x));
+    camera.quaternion.setFromEuler(euler);
+}
+
+// ─── INPUT ───
+// Keyboard, mouse, the touch joystick and gamepads all feed the same actions.
+// Held actions (walking, sprint, crouch) are read every frame; the others
+// fire once per press. Keys and gamepad buttons can be rebound in the
+// controls panel; the bindings and the gamepad look settings are kept in
+// localStorage. Each action has two key slots and one gamepad button.
+const ACTIONS = ['forward', 'backward', 'left', 'right', 'sprint', 'crouch', 'interact', 'lantern', 'uv', 'camera', 'journal', 'hint', 'map', 'menu'];
+const HELD_ACTIONS = ['forward', 'backward', 'left', 'right', 'sprint', 'crouch'];
+// Button names in the browser's standard gamepad mapping
+const PAD_BUTTONS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', '↑', '↓', '←', '→', 'Home'];
+const PAD_DEADZONE = 0.2;
+const PAD_LOOK_SPEED = 2.5;     // radians per second at full tilt and sensitivity 1
+const INPUT_KEY = 'edwardBolt:input';
+const DEFAULT_INPUT = {
+    keys: {
+        forward: ['KeyW', 'ArrowUp'], backward: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'], right: ['KeyD', 'ArrowRight'],
+        sprint: ['ShiftLeft', 'ShiftRight'], crouch: ['KeyC', 'ControlLeft'],
+        interact: ['KeyE', null], lantern: ['KeyF', null], uv: ['KeyG', null], camera: ['KeyP', null],
+        journal: ['KeyJ', null], hint: ['KeyH', null], map: ['KeyM', null], menu: ['Escape', null]
+    },
+    pad: {
+        forward: [12], backward: [13], left: [14], right: [15], sprint: [10], crouch: [1],
+        interact: [0], lantern: [4], uv: [5], camera: [7], journal: [3], hint: [2], map: [8], menu: [9]
+    },
+    padSensitivity: 1,
+    padInvert: false
+};
+
+function loadInputSettings() {
+    const settings = structuredClone(DEFAULT_INPUT);
+    try {
+        const saved = JSON.parse(localStorage.getItem(INPUT_KEY)) || {};
+        Object.assign(settings.keys, saved.keys);
+        Object.assign(settings.pad, saved.pad);
+        if (typeof saved.padSensitivity === 'number') settings.padSensitivity = saved.padSensitivity;
+        if (typeof saved.padInvert === 'boolean') settings.padInvert = saved.padInvert;
+    } catch (err) {
+        console.warn('Ignoring unreadable control settings:', err);
+    }
+    return settings;
+}
+
+let inputSettings = loadInputSettings();
+const heldKeys = new Set();
+const padHeld = new Set();              // gamepad buttons down this frame
+const touchMove = { x: 0, y: 0 };       // virtual joystick, -1..1
+const padMove = { x: 0, y: 0 };         // gamepad left stick, -1..1
+let padPressed = [];                    // last frame's buttons, to find new presses
+let padConnected = false;
+let rebinding = null;                   // { action, kind: 'keys' | 'pad', slot } while the panel waits
+
+function saveInputSettings() {
+    localStorage.setItem(INPUT_KEY, JSON.stringify(inputSettings));
+    renderControlsHelp();
+}
+
+function actionHeld(action) {
+    return inputSettings.keys[action].some(code => heldKeys.has(code))
+        || inputSettings.pad[action].some(button => padHeld.has(button));
+}
+
+const ACTION_HANDLERS = {
+    interact: () => interact(),
+    lantern: () => useLamp('lantern'),
+    uv: () => useLamp('uv'),
+    camera: () => takePhoto(),
+    journal: () => toggleJournal(),
+    hint: () => requestHint(),
+    map: () => toggleMinimap(),
+    menu: () => openMenu()
+};
+
+// Menu closes whatever is open; during play it goes back to the start screen
+function openMenu() {
+    if (settingsOpen()) {
+        closeSettings();
+        return;
+    }
+    if (state.paused || state.showingClue) {
+        closePopups();
+        return;
+    }
+    if (!gameStarted || state.locked) return;
+    if (document.pointerLockElement) {
+        // pointerlockchange shows the start screen
+        document.exitPointerLock();
+        return;
+    }
+    saveGame();
+    renderSaveMenu();
+    blocker.classList.remove('hidden');
+    state.locked = true;
+}
+
+// Walking direction from every source: x to the right, y forward, length up to 1
+function moveInput() {
+    const held = (action) => (actionHeld(action) ? 1 : 0);
+    let x = held('right') - held('left') + touchMove.x + padMove.x;
+    let y = held('forward') - held('backward') + touchMove.y + padMove.y;
+    const length = Math.hypot(x, y);
+    if (length > 1) { x /= length; y /= length; }
+    return { x, y };
+}
+
+document.addEventListener('keydown', (e) => {
+    if (rebinding) {
+        rebindKey(e);
+        return;
+    }
+    // While a panel is up, Tab and the arrow keys move between what can be
+    // pressed in it, like the d-pad; sliders and lists keep their arrows
+    const panel = editor ? null : activePanel();
+    const field = e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT';
+    if (panel && (e.code === 'Tab' || (FOCUS_KEYS[e.code] && !field))) {
+        e.preventDefault();
+        moveFocus(panel, e.code === 'Tab' ? (e.shiftKey ? -1 : 1) : FOCUS_KEYS[e.code]);
+        return;
+    }
+    // Typing a lock code is not walking around
+    if (e.target.tagName === 'INPUT' && e.code !== 'Escape') return;
+    const action = ACTIONS.find(a => inputSettings.keys[a].includes(e.code));
+    if (!action) return;
+    e.preventDefault();
+    heldKeys.add(e.code);
+    // The editor has keys of its own; only walking and sprint fly it
+    if (!HELD_ACTIONS.includes(action) && !e.repeat && !editor) ACTION_HANDLERS[action]();
+});
+
+document.addEventListener('keyup', (e) => { heldKeys.delete(e.code); });
+// Keys released while the window was in the background never send keyup
+window.addEventListener('blur', () => heldKeys.clear());
+
+// ─── GAMEPAD ───
+// Polled every frame. While a panel or the start screen is up, the d-pad
+// moves between its buttons and A presses the focused one.
+const PANELS = ['controls-panel', 'graphics-panel', 'audio-panel', 'access-panel', 'achievements-panel', 'ending', 'code-lock', 'photo-panel', 'dialogue', 'solve-panel', 'photo-view', 'journal'];
+// What focus can move to: buttons and fields, and the journal's entries,
+// board cards and strings
+const FOCUSABLE = 'button, select, input, [tabindex="0"]';
+const FOCUS_KEYS = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 };
+
+function activePanel() {
+    const open = PANELS.map(id => document.getElementById(id)).find(el => getComputedStyle(el).display !== 'none');
+    return open || (blocker.classList.contains('hidden') ? null : blocker);
+}
+
+function moveFocus(panel, step) {
+    const items = [...panel.querySelectorAll(FOCUSABLE)].filter(b => !b.disabled && b.offsetParent !== null);
+    if (!items.length) return;
+    const at = items.indexOf(document.activeElement);
+    const next = at < 0 ? (step > 0 ? 0 : items.length - 1) : (at + step + items.length) % items.length;
+    items[next].focus();
+}
+
+function padPress(button) {
+    if (rebinding) {
+        if (rebinding.kind === 'pad') bindInput('pad', rebinding.action, rebinding.slot, button);
+        return;
+    }
+    const panel = activePanel();
+    if (panel) {
+        if (button >= 12 && button <= 15) {
+            moveFocus(panel, button === 12 || button === 14 ? -1 : 1);
+            return;
+        }
+        const focused = document.activeElement;
+        if (button === 0 && panel.contains(focused) && focused.matches(FOCUSABLE)) {
+            // Cards and strings on the board take Enter, as from the keyboard
+            if (focused.tagName === 'BUTTON') focused.click();
+            else focused.dispatchEvent(new KeyboardEvent('keydown', { code: 'Enter', key: 'Enter', bubbles: true }));
+            return;
+        }
+        if (button === 0 && panel === blocker) {
+            blocker.click();
+            return;
+        }
+    }
+    const action = ACTIONS.find(a => inputSettings.pad[a].includes(button));
+    if (action && !HELD_ACTIONS.includes(action) && !editor) ACTION_HANDLERS[action]();
+}
+
+function pollGamepad(delta) {
+    padHeld.clear();
+    padMove.x = padMove.y = 0;
+    const pad = [...(navigator.getGamepads ? navigator.getGamepads() : [])].find(p => p && p.connected);
+    if (!pad) return;
+
+    const pressed = pad.buttons.map(b => b.pressed);
+    pressed.forEach((down, i) => {
+        if (!down) return;
+        padHeld.add(i);
+        if (!padPressed[i]) padPress(i);
+    });
+    padPressed = pressed;
+
+    const axis = (i) => (Math.abs(pad.axes[i] || 0) < PAD_DEADZONE ? 0 : pad.axes[i]);
+    padMove.x = axis(0);
+    padMove.y = -axis(1);
+    const lookX = axis(2), lookY = axis(3);
+    if (gameStarted && !state.paused && !state.locked && (lookX || lookY)) {
+        const speed = PAD_LOOK_SPEED * inputSettings.padSensitivity * delta;
+        turnView(lookX * speed, lookY * speed * (inputSettings.padInvert ? -1 : 1));
+    }
+}
+
+window.addEventListener('gamepadconnected', () => {
+    padConnected = true;
+    renderControlsHelp();
+    showNotice(t('controls.padConnected'));
+});
+window.addEventListener('gamepaddisconnected', () => {
+    padConnected = [...navigator.getGamepads()].some(p => p && p.connected);
+    renderControlsHelp();
+});
+
+// ─── CONTROLS PANEL ───
+const controlsPanel = document.getElementById('controls-panel');
+
+function keyName(code) {
+    if (!code) return '—';
+    if (code === 'Space') return t('key.space');
+    const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+    return names[code] || code.replace(/^(Key|Digit)/, '').replace(/(Left|Right)$/, '');
+}
+
+function padName(button) {
+    return button == null ? '—' : PAD_BUTTONS[button] || `#${button}`;
+}
+
+// What to press for each action, for the help line and the prompts
+function actionKeys() {
+    return Object.fromEntries(ACTIONS.map(a => [a, padConnected
+        ? padName(inputSettings.pad[a][0])
+        : keyName(inputSettings.keys[a].find(Boolean))]));
+}
+
+function renderControlsHelp() {
+    const keys = actionKeys();
+    const walk = padConnected ? t('controls.movePad') : [keys.forward, keys.left, keys.backward, keys.right].join(' ');
+    const look = t(padConnected ? 'controls.lookPad' : 'controls.look');
+    document.getElementById('controls-help').innerHTML = `${walk} — ${t('controls.walk')} &nbsp;|&nbsp; ${look}<br>`
+        + ['sprint', 'crouch', 'interact', 'lantern', 'uv', 'camera', 'journal', 'hint', 'map', 'menu']
+            .map(a => `${keys[a]} — ${t(`action.${a}`)}`).join(' &nbsp;|&nbsp; ');
+    applyStaticText(keys);
+}
+
+function renderControlsPanel() {
+    const table = document.getElementById('bindings');
+    table.innerHTML = `<tr><th></th><th colspan="2">${t('controls.keys')}</th><th>${t('controls.pad')}</th></tr>`;
+    ACTIONS.forEach(action => {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = t(`action.${action}`);
+        row.appendChild(name);
+        [['keys', 0], ['keys', 1], ['pad', 0]].forEach(([kind, slot]) => {
+            const cell = document.createElement('td');
+            const btn = document.createElement('button');
+            const listening = rebinding && rebinding.action === action && rebinding.kind === kind && rebinding.slot === slot;
+            const bound = inputSettings[kind][action][slot];
+            btn.textContent = listening ? t(kind === 'keys' ? 'controls.pressKey' : 'controls.pressButton')
+                : kind === 'keys' ? keyName(bound) : padName(bound);
+            btn.classList.toggle('listening', !!listening);
+            btn.addEventListener('click', () => {
+                rebinding = { action, kind, slot };
+                renderControlsPanel();
+            });
+            cell.appendChild(btn);
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    });
+    document.getElementById('pad-sensitivity').value = inputSettings.padSensitivity;
+    document.getElementById('pad-invert').checked = inputSettings.padInvert;
+}
+
+// A key or button can only do one thing: binding it takes it from any other action
+function bindInput(kind, action, slot, value) {
+    if (value != null) {
+        ACTIONS.forEach(a => {
+            const list = inputSettings[kind][a];
+            if (list.includes(value)) list[list.indexOf(value)] = null;
+        });
+    }
+    inputSettings[kind][action][slot] = value;
+    rebinding = null;
+    saveInputSettings();
+    renderControlsPanel();
+}
+
+function rebindKey(e) {
+    e.preventDefault();
+    if (rebinding.kind !== 'keys' || e.code === 'Escape') {
+        rebinding = null;
+        renderControlsPanel();
+        return;
+    }
+    const clear = e.code === 'Delete' || e.code === 'Backspace';
+    bindInput('keys', rebinding.action, rebinding.slot, clear ? null : e.code);
+}
+
+// Closes whichever settings panel is open
+function closeSettings() {
+    rebinding = null;
+    document.querySelectorAll('.settings-panel').forEach(panel => { panel.style.display = 'none'; });
+}
+
+function settingsOpen() {
+    return [...document.querySelectorAll('.settings-panel')].some(panel => panel.style.display === 'block');
+}
+
+document.getElementById('controls-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    renderControlsPanel();
+    controlsPanel.style.display = 'block';
+});
+document.getElementById('controls-close').addEventListener('click', closeSettings);
+document.getElementById('controls-reset').addEventListener('click', () => {
+    inputSettings = structuredClone(DEFAULT_INPUT);
+    rebinding = null;
+    saveInputSettings();
+    renderControlsPanel();
+});
+document.getElementById('pad-sensitivity').addEventListener('input', (e) => {
+    inputSettings.padSensitivity = Number(e.target.value);
+    saveInputSettings();
+});
+document.getElementById('pad-invert').addEventListener('change', (e) => {
+    inputSettings.padInvert = e.target.checked;
+    saveInputSettings();
+});
+
+renderControlsHelp();
+
+// ─── GRAPHICS PANEL ───
+const graphicsPanel = document.getElementById('graphics-panel');
+
+function renderGraphicsPanel() {
+    const modes = document.getElementById('graphics-modes');
+    modes.innerHTML = '';
+    ['auto', ...GRAPHICS_LEVELS].forEach(mode => {
+        const btn = document.createElement('button');
+        btn.textContent = t(`graphics.${mode}`);
+        btn.classList.toggle('active', graphics.mode === mode);
+        btn.addEventListener('click', () => {
+            graphics.mode = mode;
+            resetAutoQuality();
+            saveGraphicsSettings();
+            applyGraphics();
+            renderGraphicsPanel();
+        });
+        modes.appendChild(btn);
+    });
+
+    const q = quality();
+    const onOff = (on) => t(on ? 'graphics.on' : 'graphics.off');
+    const rows = [
+        ['graphics.shadows', q.shadows ? t(q.softShadows ? 'graphics.soft' : 'graphics.on') : onOff(false)],
+        ['graphics.shadowLights', q.shadows ? Math.min(q.shadowLights, pointLights.length) : 0],
+        ['graphics.pixelRatio', `× ${Math.min(window.devicePixelRatio, q.pixelRatio)}`],
+        ['graphics.fog', `${q.fogFar} m`],
+        ['graphics.antialias', onOff(q.antialias)],
+        ['graphics.minimap', t('graphics.fps', { fps: q.minimapFps })]
+    ];
+    const summary = document.getElementById('graphics-summary');
+    summary.innerHTML = graphics.mode === 'auto'
+        ? `<tr><th colspan="2">${t('graphics.autoNow', { level: t(`graphics.${graphics.autoLevel}`) })}</th></tr>` : '';
+    rows.forEach(([key, value]) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${t(key)}</td><td>${value}</td>`;
+        summary.appendChild(row);
+    });
+}
+
+document.getElementById('graphics-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    renderGraphicsPanel();
+    graphicsPanel.style.display = 'block';
+});
+document.getElementById('graphics-close').addEventListener('click', closeSettings);
+
+// ─── MOBILE TOUCH CONTROLS ───
+const isTouchDevice = ('ontouchstart' in window) || navigator.maxTouchPoints > 0;
+const isMobile = isTouchDevice && /Android|iPhone|iPad|iPod|webOS|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+if (isMobile) document.body.classList.add('is-touch');
+
+// Virtual joystick
+const joystickZone = document.getElementById('joystick-zone');
+const joystickKnob = document.getElementById('joystick-knob');
+let joystickTouchId = null;
+let joystickCenter = { x: 0, y: 0 };
+const JOYSTICK_RADIUS = 45;
+
+joystickZone.addEventListener('touchstart', (e) => {
+    e.preventDefault();
+    if (joystickTouchId !== null) return;
+    const touch = e.changedTouches[0];
+    joystickTouchId = touch.identifier;
+    const rect = joystickZone.getBoundingClientRect();
+    joystickCenter.x = rect.left + rect.width / 2;
+    joystickCenter.y = rect.top + rect.height / 2;
+    handleJoystickMove(touch);
+}, { passive: false });
+
+joystickZone.addEventListener('touchmove', (e) => {
+    e.preventDefault();
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === joystickTouchId) {
+            handleJoystickMove(touch);
+            break;
+        }
+    }
+}, { passive: false });
+
+function resetJoystick() {
+    joystickTouchId = null;
+    joystickKnob.style.transform = 'translate(-50%, -50%)';
+    touchMove.x = touchMove.y = 0;
+}
+
+joystickZone.addEventListener('touchend', (e) => {
+    e.preventDefault();
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === joystickTouchId) { resetJoystick(); break; }
+    }
+}, { passive: false });
+
+joystickZone.addEventListener('touchcancel', (e) => {
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === joystickTouchId) { resetJoystick(); break; }
+    }
+}, { passive: false });
+
+function handleJoystickMove(touch) {
+    let dx = touch.clientX - joystickCenter.x;
+    let dy = touch.clientY - joystickCenter.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist > JOYSTICK_RADIUS) {
+        dx = (dx / dist) * JOYSTICK_RADIUS;
+        dy = (dy / dist) * JOYSTICK_RADIUS;
+    }
+    joystickKnob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+    const deadzone = 0.25;
+    const nx = dx / JOYSTICK_RADIUS;
+    const ny = dy / JOYSTICK_RADIUS;
+    touchMove.x = Math.abs(nx) > deadzone ? nx : 0;
+    touchMove.y = Math.abs(ny) > deadzone ? -ny : 0;
+}
+
+// Touch look (drag anywhere outside joystick)
+let lookTouchId = null;
+let lastLookX = 0, lastLookY = 0;
+
+renderer.domElement.addEventListener('touchstart', (e) => {
+    if (!gameStarted || state.paused) return;
+    // Find a touch that's NOT on the joystick or buttons
+    for (const touch of e.changedTouches) {
+        const el = document.elementFromPoint(touch.clientX, touch.clientY);
+        if (el && (el.closest('#joystick-zone') || el.closest('.touch-btn'))) continue;
+        if (lookTouchId === null) {
+            lookTouchId = touch.identifier;
+            lastLookX = touch.clientX;
+            lastLookY = touch.clientY;
+        }
+    }
+}, { passive: true });
+
+renderer.domElement.addEventListener('touchmove', (e) => {
+    if (lookTouchId === null || state.paused) return;
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === lookTouchId) {
+            const dx = touch.clientX - lastLookX;
+            const dy = touch.clientY - lastLookY;
+            lastLookX = touch.clientX;
+            lastLookY = touch.clientY;
+            turnView(dx * 0.004, dy * 0.004);
+            break;
+        }
+    }
+}, { passive: true });
+
+renderer.domElement.addEventListener('touchend', (e) => {
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === lookTouchId) {
+            lookTouchId = null;
+            break;
+        }
+    }
+}, { passive: true });
+
+// Touch buttons
+document.getElementById('interaction-prompt').addEventListener('touchstart', (e) => {
+    e.preventDefault(); ACTION_HANDLERS.interact();
+}, { passive: false });
+
+document.getElementById('btn-journal').addEventListener('touchstart', (e) => {
+    e.preventDefault(); ACTION_HANDLERS.journal();
+}, { passive: false });
+
+document.getElementById('btn-map').addEventListener('touchstart', (e) => {
+    e.preventDefault(); ACTION_HANDLERS.map();
+}, { passive: false });
+
+['lantern', 'uv', 'camera'].forEach(action => {
+    document.getElementById(`btn-${action}`).addEventListener('touchstart', (e) => {
+        e.preventDefault(); ACTION_HANDLERS[action]();
+    }, { passive: false });
+});
+
+// Tap-to-close for journal & solve panel (distinguish tap from scroll)
+(function() {
+    function addTapToClose(el, closeFn) {
+        let startY = 0, startX = 0, moved = false, startTarget = null;
+        el.addEventListener('touchstart', (e) => {
+            moved = false;
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            startTarget = e.target;
+        }, { passive: true });
+        el.addEventListener('touchmove', (e) => {
+            const dx = e.touches[0].clientX - startX;
+            const dy = e.touches[0].clientY - startY;
+            if (Math.abs(dx) > 10 || Math.abs(dy) > 10) moved = true;
+        }, { passive: true });
+        el.addEventListener('touchend', (e) => {
+            // Don't close if tap was on a button, the evidence form, the board or the timeline (let the click go to it instead)
+            if (startTarget && startTarget.closest('button, #evidence-form, #deduction-board, #timeline, .entry.photo')) return;
+            if (!moved) closeFn();
+        }, { passive: true });
+    }
+    addTapToClose(document.getElementById('journal'), () => toggleJournal());
+    addTapToClose(document.getElementById('solve-panel'), () => closePopups());
+})();
+
+// Also start game on touch for mobile
+blocker.addEventListener('touchstart', (e) => {
+    // Let taps on the save menu buttons through as clicks
+    if (e.target.closest('#save-menu button, #start-options button, #seed-options button')) return;
+    e.preventDefault();
+    beginSession();
+    startGame();
+}, { passive: false });
+
+// ─── RAYCASTER ───
+const raycaster = new THREE.Raycaster();
+raycaster.far = REACH;
+const screenCenter = new THREE.Vector2(0, 0);
+let hoveredObject = null;
+let spokenPrompt = '';
+
+// Compute raycast NDC from the actual crosshair DOM position so
+// the ray aligns with the visual center even when safe-area insets
+// or PWA fullscreen change the viewport offset. Layout only changes
+// on resize, so this runs from handleResize rather than every frame.
+function updateScreenCenter() {
+    try {
+        const cross = document.getElementById('crosshair');
+        const ch = cross.getBoundingClientRect();
+        const canv = renderer.domElement.getBoundingClientRect();
+        if (canv.width > 0 && canv.height > 0) {
+            const cx = ch.left + ch.width * 0.5;
+            const cy = ch.top + ch.height * 0.5;
+            const ndcX = ((cx - canv.left) / canv.width) * 2 - 1;
+            const ndcY = -(((cy - canv.top) / canv.height) * 2 - 1);
+            screenCenter.set(ndcX, ndcY);
+        } else {
+            screenCenter.set(0, 0);
+        }
+    } catch (err) {
+        screenCenter.set(0, 0);
+    }
+}
+updateScreenCenter();
+
+function updateRaycast() {
+    raycaster.setFromCamera(screenCenter, camera);
+    // Clues in closed containers or the dark can't be reached; a lit candle is done with
+    const hits = raycaster.intersectObjects(interactables)
+        .filter(h => h.object.userData.type !== 'clue' || game.clueReachable(h.object.userData.id))
+        .filter(h => h.object.userData.type !== 'candle' || !game.candleLit(h.object.userData.id));
+    const prompt = document.getElementById('interaction-prompt');
+
+    if (hits.length > 0 && hits[0].object.visible) {
+        const obj = hits[0].object;
+        hoveredObject = obj;
+        if (obj.userData.type === 'clue') {
+            const clue = CLUES[obj.userData.id];
+            if (state.cluesFound.includes(obj.userData.id)) {
+                prompt.textContent = t('prompt.collected', clue);
+            } else {
+                prompt.textContent = t(isMobile ? 'prompt.examineTouch' : 'prompt.examine', { ...clue, ...actionKeys() });
+            }
+            prompt.style.display = 'block';
+        } else if (obj.userData.type === 'container') {
+            const c = containers[obj.userData.id];
+            const key = c.open ? 'prompt.close' : 'prompt.open';
+            const label = `${game.isLocked(c.id) ? '🔒' : '🗄️'} ${c.name}`;
+            prompt.textContent = t(isMobile ? `${key}Touch` : key, { label, ...actionKeys() });
+            prompt.style.display = 'block';
+        } else if (obj.userData.type === 'suspect') {
+            const who = SUSPECTS[obj.userData.id];
+            prompt.textContent = t(isMobile ? 'prompt.talkTouch' : 'prompt.talk', { name: who.short || who.name, ...actionKeys() });
+            prompt.style.display = 'block';
+        } else if (obj.userData.type === 'solve') {
+            prompt.textContent = t(isMobile ? 'prompt.accuseTouch' : 'prompt.accuse', actionKeys());
+            prompt.style.display = 'block';
+        } else if (obj.userData.type === 'switch') {
+            const key = game.switchedOn(obj.userData.room) ? 'prompt.switchOff' : 'prompt.switchOn';
+            prompt.textContent = t(isMobile ? `${key}Touch` : key, actionKeys());
+            prompt.style.display = 'block';
+        } else if (obj.userData.type === 'candle') {
+            prompt.textContent = t(isMobile ? 'prompt.lightCandleTouch' : 'prompt.lightCandle', actionKeys());
+            prompt.style.display = 'block';
+        }
+    } else {
+        hoveredObject = null;
+        prompt.style.display = 'none';
+    }
+    // Screen readers hear each new prompt once
+    const shown = prompt.style.display === 'block' ? prompt.textContent : '';
+    if (shown !== spokenPrompt) {
+        spokenPrompt = shown;
+        announce(shown);
+    }
+}
+
+// ─── INTERACTION ───
+function interact() {
+    // Close popups first — must be checked before paused gate
+    if (state.showingClue) {
+        closeInspect();
+        return;
+    }
+
+    if (state.paused || state.locked) return;
+
+    if (!hoveredObject) return;
+
+    if (hoveredObject.userData.type === 'clue') {
+        collectClue(hoveredObject);
+    } else if (hoveredObject.userData.type === 'container') {
+        useContainer(hoveredObject.userData.id);
+    } else if (hoveredObject.userData.type === 'suspect') {
+        openDialogue(hoveredObject.userData.id);
+    } else if (hoveredObject.userData.type === 'solve') {
+        openSolvePanel();
+    } else if (hoveredObject.userData.type === 'switch') {
+        game.useSwitch(hoveredObject.userData.room);
+        updateRoomLights();
+        saveGame();
+    } else if (hoveredObject.userData.type === 'candle') {
+        game.lightCandle(hoveredObject.userData.id);
+        updateRoomLights();
+        saveGame();
+    }
+}
+
+function collectClue(obj) {
+    const id = obj.userData.id;
+    if (!game.collect(id)) {
+        // Look at it again
+        openInspect(id);
+        return;
+    }
+
+    // Glow effect then shrink
+    obj.material.emissiveIntensity = 2;
+    playSting();
+
+    openInspect(id);
+    updateHUD();
+    checkAchievements();
+    saveGame();
+
+    updateSolveDesk();
+}
+
+// ─── CLUE INSPECTION ───
+// A found clue is copied into its own small scene and drawn in front of the
+// (dimmed) house, where it can be turned and zoomed. Case files can give a
+// clue "hotspots": spots in the clue's own coordinates (relative to its
+// position, or its first model) that reveal an extra fact when tapped. A
+// hotspot with "journal": true is also written to the journal.
+const inspectScene = new THREE.Scene();
+const inspectCamera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.01, 20);
+inspectScene.add(inspectCamera);
+inspectScene.add(new THREE.AmbientLight(0xfff0d8, 1.2));
+const inspectKey = new THREE.DirectionalLight(0xfff0d8, 2.5);
+inspectKey.position.set(1, 2, 3);
+inspectScene.add(inspectKey);
+// Dark veil over the house, kept behind the clue
+const inspectVeil = new THREE.Mesh(new THREE.PlaneGeometry(40, 40),
+    new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.75, depthWrite: false }));
+inspectVeil.position.z = -10;
+inspectVeil.renderOrder = -1;
+inspectCamera.add(inspectVeil);
+
+const inspectPivot = new THREE.Group();
+inspectPivot.position.y = 0.22;     // sit above the text panel
+inspectScene.add(inspectPivot);
+const INSPECT_ZOOM = [0.9, 3.5];
+let inspecting = null;   // { id, hotspots: [mesh] }
+let inspectDistance = 2.4;
+let inspectDrag = null;  // { x, y, moved }
+let inspectPinch = null;
+
+function openInspect(id) {
+    const clue = CLUES[id];
+    state.showingClue = true;
+    state.paused = true;
+    if (document.pointerLockElement) document.exitPointerLock();
+
+    // Copy every object of this clue (the wine glasses are three models)
+    const parts = clueObjects.filter(o => o.userData.id === id);
+    const anchor = parts[0].position.clone();
+    const holder = new THREE.Group();
+    parts.forEach(o => {
+        const copy = o.clone();
+        copy.position.sub(anchor);
+        // UV marks stay readable once found
+        copy.visible = true;
+        // Up close, so always the most detailed level
+        copy.traverse(c => { if (c.userData.lod !== undefined) c.visible = c.userData.lod === 0; });
+        holder.add(copy);
+    });
+    const box = new THREE.Box3().setFromObject(holder);
+    const fit = 1 / Math.max(...box.getSize(new THREE.Vector3()).toArray(), 0.01);
+
+    const hotspots = Object.entries(clue.hotspots || {}).map(([hid, h]) => {
+        const spot = new THREE.Mesh(new THREE.SphereGeometry(h.radius || 0.012, 12, 12),
+            new THREE.MeshBasicMaterial({ color: 0xffcc44, transparent: true, opacity: 0.45, depthWrite: false }));
+        spot.position.fromArray(h.position);
+        spot.userData = { hotspot: hid };
+        spot.visible = game.examinedSpots(id).includes(hid);
+        holder.add(spot);
+        return spot;
+    });
+
+    holder.scale.setScalar(fit);
+    holder.position.copy(box.getCenter(new THREE.Vector3())).multiplyScalar(-fit);
+    inspectPivot.clear();
+    inspectPivot.add(holder);
+    // Tilt flat things (letters, pages) towards the viewer
+    inspectPivot.rotation.set(0.6, 0, 0);
+    inspectDistance = 2.4;
+    inspecting = { id, hotspots };
+
+    document.getElementById('inspect-title').textContent = `${clue.icon} ${clue.title}`;
+    document.getElementById('inspect-text').textContent = clue.description;
+    renderInspectDetails();
+    document.getElementById('inspect').style.display = 'block';
+    document.getElementById('inspect-close').focus();
+    announce(`${clue.title}. ${clue.description}`);
+}
+
+function renderInspectDetails() {
+    const clue = CLUES[inspecting.id];
+    const details = document.getElementById('inspect-details');
+    const spots = Object.entries(clue.hotspots || {});
+    if (!spots.length) {
+        details.innerHTML = '';
+        return;
+    }
+    const found = game.examinedSpots(inspecting.id);
+    details.innerHTML = spots.filter(([hid]) => found.includes(hid))
+        .map(([, h]) => `<div>🔍 <strong>${h.label}:</strong> ${h.text}</div>`).join('')
+        + `<div class="count">${t('inspect.found', { found: found.length, total: spots.length })}</div>`;
+}
+
+function closeInspect() {
+    state.showingClue = false;
+    state.paused = false;
+    inspecting = null;
+    inspectPivot.clear();
+    document.getElementById('inspect').style.display = 'none';
+    if (pointerLockSupported) setTimeout(requestLock, 100);
+}
+
+// A tap on the clue: the first thing under the pointer must be a hotspot,
+// so spots on the back only count once the clue is turned around
+function probeInspect(clientX, clientY) {
+    const pointer = new THREE.Vector2(
+        (clientX / window.innerWidth) * 2 - 1,
+        -(clientY / window.innerHeight) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, inspectCamera);
+    const hit = raycaster.intersectObject(inspectPivot, true)[0];
+    if (!hit || !hit.object.userData.hotspot) return;
+    if (!game.examine(inspecting.id, hit.object.userData.hotspot)) return;
+    hit.object.visible = true;
+    const spot = CLUES[inspecting.id].hotspots[hit.object.userData.hotspot];
+    announce(`${spot.label}: ${spot.text}`);
+    renderInspectDetails();
+    saveGame();
+}
+
+function turnInspect(dx, dy) {
+    inspectPivot.rotation.y += dx * 0.01;
+    inspectPivot.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, inspectPivot.rotation.x + dy * 0.01));
+}
+
+function zoomInspect(factor) {
+    inspectDistance = Math.max(INSPECT_ZOOM[0], Math.min(INSPECT_ZOOM[1], inspectDistance * factor));
+}
+
+const inspectEl = document.getElementById('inspect');
+const onInspectPanel = (e) => e.target.closest('.panel, #inspect-close');
+inspectEl.addEventListener('mousedown', (e) => {
+    if (onInspectPanel(e)) return;
+    inspectDrag = { x: e.clientX, y: e.clientY, moved: false };
+});
+document.addEventListener('mousemove', (e) => {
+    if (!inspectDrag) return;
+    if (Math.abs(e.clientX - inspectDrag.x) + Math.abs(e.clientY - inspectDrag.y) > 4) inspectDrag.moved = true;
+    turnInspect(e.movementX || 0, e.movementY || 0);
+});
+document.addEventListener('mouseup', (e) => {
+    if (inspectDrag && !inspectDrag.moved) probeInspect(e.clientX, e.clientY);
+    inspectDrag = null;
+});
+inspectEl.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    zoomInspect(e.deltaY > 0 ? 1.1 : 0.9);
+}, { passive: false });
+
+const pinchLength = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+inspectEl.addEventListener('touchstart', (e) => {
+    if (onInspectPanel(e)) return;
+    e.preventDefault();
+    if (e.touches.length === 2) {
+        inspectDrag = null;
+        inspectPinch = pinchLength(e.touches);
+    } else if (e.touches.length === 1) {
+        const t = e.touches[0];
+        inspectDrag = { x: t.clientX, y: t.clientY, lastX: t.clientX, lastY: t.clientY, moved: false };
+    }
+}, { passive: false });
+inspectEl.addEventListener('touchmove', (e) => {
+    if (onInspectPanel(e)) return;
+    e.preventDefault();
+    if (inspectPinch && e.touches.length === 2) {
+        const length = pinchLength(e.touches);
+        zoomInspect(inspectPinch / length);
+        inspectPinch = length;
+    } else if (inspectDrag && e.touches.length === 1) {
+        const t = e.touches[0];
+        if (Math.abs(t.clientX - inspectDrag.x) + Math.abs(t.clientY - inspectDrag.y) > 6) inspectDrag.moved = true;
+        turnInspect(t.clientX - inspectDrag.lastX, t.clientY - inspectDrag.lastY);
+        inspectDrag.lastX = t.clientX;
+        inspectDrag.lastY = t.clientY;
+    }
+}, { passive: false });
+inspectEl.addEventListener('touchend', (e) => {
+    if (onInspectPanel(e)) return;
+    if (inspectDrag && !inspectDrag.moved && e.touches.length === 0) {
+        const t = e.changedTouches[0];
+        probeInspect(t.clientX, t.clientY);
+    }
+    if (e.touches.length < 2) inspectPinch = null;
+    if (e.touches.length === 0) inspectDrag = null;
+});
+document.getElementById('inspect-close').addEventListener('click', closeInspect);
+document.getElementById('inspect-close').setAttribute('aria-label', t('inspect.close'));
+
+function toggleJournal() {
+    const journal = document.getElementById('journal');
+    if (journal.style.display === 'block') {
+        journal.style.display = 'none';
+        closePhotoPanels();
+        state.paused = false;
+        if (pointerLockSupported) setTimeout(requestLock, 100);
+    } else {
+        updateJournal();
+        journal.style.display = 'block';
+        game.noteJournalOpen();
+        if (journalTab === 'board') renderBoard();
+        if (journalTab === 'timeline') renderTimeline();
+        journal.querySelector('.tabs button.active').focus();
+        state.paused = true;
+        if (document.pointerLockElement) document.exitPointerLock();
+    }
+}
+
+function updateJournal() {
+    const entries = document.getElementById('journal-entries');
+    if (state.journal.length === 0) {
+        entries.innerHTML = `<p class="empty">${t('journal.empty')}</p>`;
+        return;
+    }
+    entries.innerHTML = state.journal.map(entry => {
+        if (entry.type === 'testimony') {
+            const who = SUSPECTS[entry.suspect];
+            const said = who.dialogue.nodes[entry.node].testimony;
+            return `<div class="entry" tabindex="0"><h4>🗣️ ${who.short || who.name} <small>[${t('journal.testimony')}]</small></h4><p>${said}</p></div>`;
+        }
+        if (entry.type === 'detail') {
+            const c = CLUES[entry.clue];
+            const h = c.hotspots[entry.id];
+            return `<div class="entry" tabindex="0"><h4>🔍 ${h.label} <small>[${c.name}]</small></h4><p>${h.text}</p></div>`;
+        }
+        if (entry.type === 'photo') {
+            const p = game.photo(entry.id);
+            // Everything here comes from localStorage
+            const caption = escapeHTML(p.caption);
+            return `<div class="entry photo" tabindex="0" role="button" data-photo="${escapeHTML(p.id)}"><h4>📷 ${caption} <small>[${escapeHTML(photoPlace(p))}]</small></h4><img src="${escapeHTML(p.image)}" alt="${caption}"></div>`;
+        }
+        if (entry.type === 'insight') {
+            const d = CASE.deductions[entry.id];
+            return `<div class="entry" tabindex="0"><h4>💡 ${d.title} <small>[${t('journal.insight')}]</small></h4><p>${d.text}</p></div>`;
+        }
+        const c = CLUES[entry.id];
+        const where = c.parent ? `${roomLabel(c.room)} · ${t('journal.foundOn', { name: CLUES[c.parent].name })}` : roomLabel(c.room);
+        return `<div class="entry" tabindex="0"><h4>${c.icon} ${c.title} <small>[${where}]</small></h4><p>${c.description}</p></div>`;
+    }).join('');
+}
+
+// ─── EVIDENCE CAMERA ───
+// A snapshot of the view, kept in the journal with a caption. The HUD is
+// HTML over the canvas, so only the hint marker has to be hidden for it.
+// The game remembers which clues are in the picture; attached to the
+// accusation, the photo stands for them.
+const PHOTO_WIDTH = 480;
+const photoPanel = document.getElementById('photo-panel');
+const photoCaption = document.getElementById('photo-caption');
+const photoView = document.getElementById('photo-view');
+let pendingPhoto = null;    // { image, shows } while the caption is asked for
+let viewedPhoto = null;
+photoCaption.maxLength = CAPTION_LENGTH;
+
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+function photoPlace(p) {
+    return p.room ? roomLabel(p.room) : t('photo.noRoom');
+}
+
+function takePhoto() {
+    if (!gameStarted || state.paused || state.locked || editor) return;
+    if (state.photos.length >= MAX_PHOTOS) {
+        showNotice(t('photo.full', { count: MAX_PHOTOS }));
+        return;
+    }
+    const marker = hintMarker.visible;
+    hintMarker.visible = false;
+    renderer.render(scene, camera);
+    // Copied in the same task as the render, before the buffer is cleared
+    const view = renderer.domElement;
+    const shot = document.createElement('canvas');
+    shot.width = PHOTO_WIDTH;
+    shot.height = Math.round(PHOTO_WIDTH * view.height / view.width);
+    shot.getContext('2d').drawImage(view, 0, 0, shot.width, shot.height);
+    hintMarker.visible = marker;
+    pendingPhoto = { image: shot.toDataURL('image/jpeg', 0.6), shows: game.cluesInView() };
+
+    playShutter();
+    if (!accessibility.reducedMotion) {
+        const flash = document.getElementById('photo-flash');
+        flash.classList.remove('on');
+        void flash.offsetWidth;     // restart the fade
+        flash.classList.add('on');
+    }
+    state.paused = true;
+    if (document.pointerLockElement) document.exitPointerLock();
+    document.getElementById('photo-preview').src = pendingPhoto.image;
+    photoCaption.value = '';
+    photoCaption.placeholder = t('photo.caption');
+    photoPanel.style.display = 'block';
+    setTimeout(() => photoCaption.focus(), 50);
+}
+
+function keepPhoto() {
+    const caption = photoCaption.value.trim() || t('photo.untitled', { room: state.currentRoom ? roomLabel(state.currentRoom) : t('photo.noRoom') });
+    const taken = game.takePhoto(pendingPhoto.image, caption, pendingPhoto.shows);
+    closePopups();
+    if (!taken) return;
+    if (!savePhotos()) {
+        // localStorage is full: the photo goes, the investigation is still saved
+        game.discardPhoto(taken.id);
+        saveGame();
+        showNotice(t('photo.notSaved'));
+        return;
+    }
+    saveGame();
+    showNotice(t('photo.saved', { caption: taken.caption }));
+}
+
+function openPhoto(id) {
+    const p = game.photo(id);
+    if (!p) return;
+    viewedPhoto = id;
+    document.getElementById('photo-view-image').src = p.image;
+    document.getElementById('photo-view-image').alt = p.caption;
+    document.getElementById('photo-view-caption').textContent = p.caption;
+    document.getElementById('photo-view-room').textContent = photoPlace(p);
+    photoView.style.display = 'flex';
+    document.getElementById('photo-view-close').focus();
+}
+
+function closePhotoView() {
+    photoView.style.display = 'none';
+    const entry = document.querySelector(`#journal-entries [data-photo="${CSS.escape(viewedPhoto)}"]`);
+    viewedPhoto = null;
+    if (entry) entry.focus();
+}
+
+function discardViewedPhoto() {
+    if (!confirm(t('photo.confirmDiscard'))) return;
+    game.discardPhoto(viewedPhoto);
+    viewedPhoto = null;
+    photoView.style.display = 'none';
+    savePhotos();
+    saveGame();
+    updateJournal();
+    showNotice(t('photo.discarded'));
+    document.querySelector('#journal .tabs button.active').focus();
+}
+
+function closePhotoPanels() {
+    photoPanel.style.display = 'none';
+    photoView.style.display = 'none';
+    photoCaption.blur();
+    pendingPhoto = null;
+    viewedPhoto = null;
+}
+
+document.getElementById('photo-keep').addEventListener('click', keepPhoto);
+document.getElementById('photo-discard').addEventListener('click', () => closePopups());
+photoCaption.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') keepPhoto();
+});
+document.getElementById('photo-view-close').addEventListener('click', closePhotoView);
+document.getElementById('photo-view-discard').addEventListener('click', discardViewedPhoto);
+const journalEntries = document.getElementById('journal-entries');
+journalEntries.addEventListener('click', (e) => {
+    const entry = e.target.closest('[data-photo]');
+    if (entry) openPhoto(entry.dataset.photo);
+});
+journalEntries.addEventListener('keydown', (e) => {
+    const entry = e.target.closest('[data-photo]');
+    if (!entry || (e.code !== 'Enter' && e.code !== 'Space')) return;
+    e.preventDefault();
+    openPhoto(entry.dataset.photo);
+});
+
+// ─── DEDUCTION BOARD ───
+// Collected clues as cards on a corkboard. Cards are dragged with mouse or
+// touch, or moved with Shift and the arrow keys; tapping two cards (or Enter
+// on them) ties a labelled string between them. A string that matches one
+// of the case's deductions is confirmed and adds an insight.
+let journalTab = 'entries';
+const board = document.getElementById('deduction-board');
+const boardStrings = document.getElementById('board-strings');
+const linkLabels = document.getElementById('link-labels');
+let selectedCard = null;
+let drag = null;        // { id, el, startX, startY, moved, touchId }
+const CARD_NUDGE = 0.03;    // share of the board a card moves per arrow key
+const NUDGE_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+document.querySelectorAll('#journal .tabs button').forEach(btn => {
+    btn.addEventListener('click', () => showJournalTab(btn.dataset.tab));
+});
+
+function showJournalTab(tab) {
+    journalTab = tab;
+    document.querySelectorAll('#journal .tabs button').forEach(b => {
+        b.classList.toggle('active', b.dataset.tab === tab);
+        b.setAttribute('aria-pressed', b.dataset.tab === tab);
+    });
+    document.getElementById('journal-entries').style.display = tab === 'entries' ? '' : 'none';
+    document.getElementById('timeline').style.display = tab === 'timeline' ? '' : 'none';
+    board.style.display = tab === 'board' ? '' : 'none';
+    document.getElementById('journal').classList.toggle('board-open', tab === 'board');
+    if (tab === 'board') renderBoard();
+    else if (tab === 'timeline') renderTimeline();
+    else updateJournal();
+}
+
+function cardPosition(id, i) {
+    if (!state.board.cards[id]) {
+        // Deal new cards into a loose grid
+        state.board.cards[id] = [0.14 + (i % 4) * 0.24, 0.16 + Math.floor(i / 4) * 0.3];
+    }
+    return state.board.cards[id];
+}
+
+function renderBoard() {
+    board.querySelectorAll('.card').forEach(c => c.remove());
+    selectedCard = null;
+    linkLabels.style.display = 'none';
+    state.cluesFound.forEach((id, i) => {
+        const [fx, fy] = cardPosition(id, i);
+        const card = document.createElement('div');
+        card.className = 'card';
+        card.dataset.id = id;
+        card.tabIndex = 0;
+        card.setAttribute('role', 'button');
+        card.setAttribute('aria-pressed', 'false');
+        card.style.left = (fx * 100) + '%';
+        card.style.top = (fy * 100) + '%';
+        const icon = document.createElement('span');
+        icon.className = 'icon';
+        icon.textContent = CLUES[id].icon;
+        card.append(icon, CLUES[id].name);
+        card.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            beginCardDrag(card, e.clientX, e.clientY, null);
+        });
+        card.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (drag) return;
+            const t = e.changedTouches[0];
+            beginCardDrag(card, t.clientX, t.clientY, t.identifier);
+        }, { passive: false });
+        card.addEventListener('keydown', (e) => {
+            const nudge = e.shiftKey && NUDGE_KEYS[e.code];
+            if (e.code !== 'Enter' && e.code !== 'Space' && !nudge) return;
+            e.preventDefault();
+            e.stopPropagation();
+            if (!nudge) {
+                pickCard(card);
+                return;
+            }
+            const [fx, fy] = state.board.cards[id];
+            placeCard(card, fx + nudge[0] * CARD_NUDGE, fy + nudge[1] * CARD_NUDGE);
+            saveGame();
+        });
+        board.appendChild(card);
+    });
+    drawStrings();
+}
+
+function drawStrings() {
+    const w = board.clientWidth, h = board.clientHeight;
+    boardStrings.innerHTML = '';
+    const ns = 'http://www.w3.org/2000/svg';
+    state.board.links.forEach((link, i) => {
+        const a = state.board.cards[link.a], b = state.board.cards[link.b];
+        if (!a || !b) return;
+        const confirmed = !!game.deductionFor(link);
+        const line = document.createElementNS(ns, 'line');
+        line.setAttribute('x1', a[0] * w); line.setAttribute('y1', a[1] * h);
+        line.setAttribute('x2', b[0] * w); line.setAttribute('y2', b[1] * h);
+        line.setAttribute('stroke', confirmed ? '#ffcc44' : '#b02020');
+        line.setAttribute('stroke-width', confirmed ? 3 : 2);
+        const label = document.createElementNS(ns, 'text');
+        label.setAttribute('x', (a[0] + b[0]) / 2 * w);
+        label.setAttribute('y', (a[1] + b[1]) / 2 * h - 4);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('fill', confirmed ? '#ffdd77' : '#f0e0c0');
+        const text = t(`link.${link.label}`);
+        label.textContent = confirmed ? `✔ ${text}` : `${text} ✕`;
+        // Unconfirmed strings can be cut again
+        if (!confirmed) {
+            const cut = (e) => {
+                e.preventDefault();
+                state.board.links.splice(i, 1);
+                drawStrings();
+                saveGame();
+                announce(t('board.cut', { label: text }));
+            };
+            label.setAttribute('tabindex', '0');
+            label.setAttribute('role', 'button');
+            label.setAttribute('aria-label', t('board.cutLabel', { label: text }));
+            label.addEventListener('click', cut);
+            label.addEventListener('touchend', cut);
+            label.addEventListener('keydown', (e) => {
+                if (e.code === 'Enter' || e.code === 'Space') cut(e);
+            });
+        }
+        boardStrings.append(line, label);
+    });
+}
+
+function beginCardDrag(card, x, y, touchId) {
+    drag = { id: card.dataset.id, el: card, startX: x, startY: y, moved: false, touchId };
+}
+
+function moveCardDrag(x, y) {
+    if (!drag) return;
+    if (!drag.moved && Math.abs(x - drag.startX) + Math.abs(y - drag.startY) < 8) return;
+    drag.moved = true;
+    const rect = board.getBoundingClientRect();
+    placeCard(drag.el, (x - rect.left) / rect.width, (y - rect.top) / rect.height);
+}
+
+// Puts a card at (fx, fy), as shares of the board, kept on the board
+function placeCard(card, fx, fy) {
+    fx = Math.max(0.06, Math.min(0.94, fx));
+    fy = Math.max(0.08, Math.min(0.92, fy));
+    state.board.cards[card.dataset.id] = [fx, fy];
+    card.style.left = (fx * 100) + '%';
+    card.style.top = (fy * 100) + '%';
+    drawStrings();
+}
+
+function endCardDrag() {
+    if (!drag) return;
+    const { el, moved } = drag;
+    drag = null;
+    if (moved) {
+        saveGame();
+        return;
+    }
+    pickCard(el);
+}
+
+// A tap or Enter on a card: select it, or tie a string to the selected card
+function pickCard(card) {
+    const id = card.dataset.id;
+    if (!selectedCard) {
+        selectedCard = id;
+        card.classList.add('selected');
+        card.setAttribute('aria-pressed', 'true');
+    } else if (selectedCard === id) {
+        selectedCard = null;
+        card.classList.remove('selected');
+        card.setAttribute('aria-pressed', 'false');
+    } else {
+        askLinkLabel(selectedCard, id);
+    }
+}
+
+document.addEventListener('mousemove', (e) => { if (drag && drag.touchId === null) moveCardDrag(e.clientX, e.clientY); });
+document.addEventListener('mouseup', () => { if (drag && drag.touchId === null) endCardDrag(); });
+board.addEventListener('touchmove', (e) => {
+    if (!drag) return;
+    e.preventDefault();
+    for (const t of e.changedTouches) {
+        if (t.identifier === drag.touchId) moveCardDrag(t.clientX, t.clientY);
+    }
+}, { passive: false });
+board.addEventListener('touchend', (e) => {
+    if (!drag) return;
+    for (const t of e.changedTouches) {
+        if (t.identifier === drag.touchId) endCardDrag();
+    }
+});
+
+function askLinkLabel(a, b) {
+    linkLabels.innerHTML = '';
+    const pick = (label) => {
+        linkLabels.style.display = 'none';
+        board.querySelectorAll('.card.selected').forEach(c => {
+            c.classList.remove('selected');
+            c.setAttribute('aria-pressed', 'false');
+        });
+        selectedCard = null;
+        if (label) addLink(a, b, label);
+        // Back to the card the string was tied to
+        [...board.querySelectorAll('.card')].find(c => c.dataset.id === b).focus();
+    };
+    LINK_LABELS.forEach(key => {
+        const btn = document.createElement('button');
+        btn.textContent = t(`link.${key}`);
+        btn.addEventListener('click', () => pick(key));
+        linkLabels.appendChild(btn);
+    });
+    const cancel = document.createElement('button');
+    cancel.textContent = t('board.cancel');
+    cancel.addEventListener('click', () => pick(null));
+    linkLabels.appendChild(cancel);
+    linkLabels.style.display = 'flex';
+    linkLabels.querySelector('button').focus();
+}
+
+function addLink(a, b, label) {
+    const insight = game.link(a, b, label);
+    if (insight) flashBoard(t('board.insight', { title: insight[1].title }));
+    drawStrings();
+    saveGame();
+}
+
+function flashBoard(text) {
+    const flash = document.getElementById('board-flash');
+    flash.textContent = text;
+    announce(text);
+    clearTimeout(flashBoard.timer);
+    flashBoard.timer = setTimeout(() => { flash.textContent = ''; }, 4000);
+}
+
+// ─── HINTS ───
+// When a hint opens and what it costs is up to core/game.js; the last level
+// puts a marker over the object (which also shows it on the minimap).
+const hintButton = document.getElementById('hint-ready');
+const hintMarker = new THREE.Mesh(new THREE.ConeGeometry(0.08, 0.2, 8),
+    new THREE.MeshStandardMaterial({ color: 0xffcc44, emissive: 0xffaa22, emissiveIntensity: 1.5 }));
+hintMarker.rotation.x = Math.PI;    // point down at the clue
+hintMarker.visible = false;
+scene.add(hintMarker);
+
+function requestHint() {
+    if (!gameStarted || state.paused || state.locked) return;
+    const hint = game.requestHint();
+    if (!hint) return;
+    const { id, level, given } = hint;
+    const clue = CLUES[id];
+    if (!given) {
+        showNotice(`💡 ${level >= HINT_TIMES.length ? t('hint.marked', clue) : t('hint.notYet')}`);
+        return;
+    }
+    const lines = clue.hints || [];
+    const text = level === 1 ? (lines[0] || t('hint.nudge'))
+        : level === 2 ? (lines[1] || t('hint.room', { room: roomLabel(clue.room) }))
+        : t('hint.found', clue);
+    showNotice(`💡 ${text}`, 7000);
+    saveGame();
+}
+
+hintButton.addEventListener('click', requestHint);
+hintButton.addEventListener('touchstart', (e) => {
+    e.preventDefault(); requestHint();
+}, { passive: false });
+
+function updateHints(delta) {
+    if (gameStarted && !state.paused && !state.locked && game.tick(delta, { map: minimapShown })) showNotice(t('lamp.out'));
+    hintButton.style.display = game.hintReady() ? 'block' : 'none';
+    // Marker over the clue the player has been pointed to
+    const id = game.hintTarget();
+    const target = id && game.hintLevel(id) >= HINT_TIMES.length && clueObjects.find(o => o.userData.id === id);
+    hintMarker.visible = !!target;
+    if (target) {
+        hintMarker.position.copy(target.position);
+        hintMarker.position.y += 0.45 + (accessibility.reducedMotion ? 0 : Math.sin(clock.elapsedTime * 3) * 0.05);
+    }
+}
+
+// ─── TIMELINE ───
+// The player orders the events unlocked so far and names who was behind
+// them; Edward Bolt comments on the first thing that is out of place.
+const timelineEl = document.getElementById('timeline');
+if (!CASE.timeline) document.getElementById('timeline-tab').style.display = 'none';
+
+function renderTimeline(verdict) {
+    const tl = CASE.timeline;
+    const order = game.timelineOrder();
+    const solved = state.timeline.solved;
+    timelineEl.innerHTML = '';
+
+    const intro = document.createElement('p');
+    intro.className = 'intro';
+    intro.textContent = t('timeline.intro');
+    timelineEl.appendChild(intro);
+
+    const list = document.createElement('ol');
+    order.forEach((id, i) => {
+        const event = tl.events[id];
+        const li = document.createElement('li');
+        const what = document.createElement('div');
+        what.className = 'what';
+        what.textContent = event.text;
+        if (event.when) {
+            const when = document.createElement('small');
+            when.textContent = event.when;
+            what.appendChild(when);
+        }
+        li.appendChild(what);
+        if (event.suspect) {
+            const pick = document.createElement('select');
+            pick.disabled = solved;
+            pick.innerHTML = `<option value="">${t('timeline.who')}</option>` + CASE.suspects
+                .map(s => `<option value="${s.id}">${s.short || s.name}</option>`).join('');
+            pick.value = state.timeline.suspects[id] || '';
+            pick.addEventListener('change', () => {
+                game.blame(id, pick.value);
+                saveGame();
+            });
+            li.appendChild(pick);
+        }
+        [['▲', -1, 'timeline.earlier'], ['▼', 1, 'timeline.later']].forEach(([label, step, name]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.setAttribute('aria-label', t(name));
+            btn.disabled = solved || !order[i + step];
+            btn.addEventListener('click', () => moveTimelineEvent(i, step));
+            li.appendChild(btn);
+        });
+        list.appendChild(li);
+    });
+    timelineEl.appendChild(list);
+
+    const missing = CASE.timeline.order.length - order.length;
+    if (missing > 0) {
+        const note = document.createElement('p');
+        note.className = 'missing';
+        note.textContent = t(missing === 1 ? 'timeline.missingOne' : 'timeline.missingMany', { count: missing });
+        timelineEl.appendChild(note);
+    }
+
+    if (!solved) {
+        const check = document.createElement('button');
+        check.className = 'check';
+        check.textContent = t('timeline.check');
+        check.disabled = missing > 0;
+        check.addEventListener('click', checkTimeline);
+        timelineEl.appendChild(check);
+    }
+
+    const say = verdict || (solved ? tl.solvedText : '');
+    if (say) {
+        const p = document.createElement('p');
+        p.className = 'verdict';
+        p.textContent = t('timeline.verdict', { text: say });
+        timelineEl.appendChild(p);
+    }
+}
+
+function moveTimelineEvent(i, step) {
+    game.moveTimelineEvent(i, step);
+    renderTimeline();
+    saveGame();
+    // Keep the keyboard on the event that moved
+    const buttons = [...timelineEl.querySelectorAll('li')[i + step].querySelectorAll('button')];
+    const same = buttons[step < 0 ? 0 : 1];
+    (same.disabled ? buttons.find(b => !b.disabled) || same : same).focus();
+}
+
+// Edward Bolt comments on the first thing that is out of place
+function checkTimeline() {
+    const verdict = game.checkTimeline();
+    if (!verdict.solved) {
+        const event = CASE.timeline.events[verdict.event];
+        const hint = verdict.wrong === 'order' ? event.hint
+            : event.suspectHint || t('timeline.whoDidIt', { event: event.text.toLowerCase() });
+        renderTimeline(hint);
+        announce(t('timeline.verdict', { text: hint }));
+        return;
+    }
+    updateSolveDesk();
+    saveGame();
+    renderTimeline();
+    announce(t('timeline.verdict', { text: CASE.timeline.solvedText }));
+}
+
+function closePopups() {
+    if (state.showingClue) closeInspect();
+    closePhotoPanels();
+    document.getElementById('journal').style.display = 'none';
+    document.getElementById('solve-panel').style.display = 'none';
+    document.getElementById('dialogue').style.display = 'none';
+    document.getElementById('code-lock').style.display = 'none';
+    codeLockInput.blur();
+    state.paused = false;
+    if (pointerLockSupported && !document.pointerLockElement) setTimeout(requestLock, 100);
+}
+
+function openSolvePanel() {
+    state.paused = true;
+    document.getElementById('solve-panel').style.display = 'block';
+    showSuspectChoice();
+    document.exitPointerLock();
+}
+
+// ─── INTERROGATION ───
+// The dialogue rules are hear() in core/game.js
+function openDialogue(suspectId) {
+    state.paused = true;
+    if (document.pointerLockElement) document.exitPointerLock();
+    const who = SUSPECTS[suspectId];
+    document.getElementById('dialogue-name').textContent = who.name;
+    document.getElementById('dialogue').style.display = 'block';
+    showDialogueNode(suspectId, who.dialogue.start);
+}
+
+function showDialogueNode(suspectId, nodeId) {
+    const { node, options: choices, noted } = game.hear(suspectId, nodeId);
+    if (noted) saveGame();
+    document.getElementById('dialogue-line').textContent = `"${node.text}"`;
+    document.getElementById('dialogue-note').textContent = noted ? t('dialogue.noted') : '';
+
+    const options = document.getElementById('dialogue-options');
+    options.innerHTML = '';
+    choices.forEach(o => {
+        const btn = document.createElement('button');
+        btn.textContent = o.ask;
+        if (state.talked[suspectId].includes(o.goto)) btn.classList.add('asked');
+        btn.addEventListener('click', () => showDialogueNode(suspectId, o.goto));
+        options.appendChild(btn);
+    });
+    const leave = document.createElement('button');
+    leave.className = 'leave';
+    leave.textContent = t('dialogue.leave');
+    leave.addEventListener('click', closePopups);
+    options.appendChild(leave);
+    options.querySelector('button').focus();
+}
+
+// ─── ACCUSATION ───
+// The outcome and its rating come from core/game.js
+function updateSolveDesk() {
+    solveDesk.visible = game.canAccuse();
+}
+
+function accuseSuspect(suspect, evidence) {
+    document.getElementById('solve-panel').style.display = 'none';
+    const ending = document.getElementById('ending');
+    const title = document.getElementById('ending-title');
+    const text = document.getElementById('ending-text');
+    const rating = document.getElementById('ending-rating');
+    const outcome = game.accuse(suspect, evidence);
+    const { solved, ending: result } = outcome;
+
+    rating.textContent = '';
+    if (outcome.rating) {
+        const { parts, penalty } = outcome;
+        rating.textContent = t('ending.rating', { rating: outcome.rating.rating, percent: Math.round(outcome.score * 100) });
+        const breakdown = document.createElement('small');
+        breakdown.textContent = ACCUSATION_PARTS
+            .map(part => `${CASE.accusation[part].label} ${Math.round(parts[part] * 100)}%`).join(' · ')
+            + (state.hints.used ? ` · ${t('ending.hints', { count: state.hints.used, percent: Math.round(penalty * 100) })}` : '');
+        rating.appendChild(breakdown);
+    }
+
+    renderScorecard(solved ? game.scorecard() : null, checkAchievements(outcome));
+
+    // A solved case is finished — free its slot so the next visit starts fresh
+    if (solved) clearSlot(state.slot);
+    document.getElementById('ending-close').textContent = t(solved ? 'ending.playAgain' : 'ending.tryAgain');
+
+    title.textContent = result.title;
+    text.innerHTML = `${result.text}<br><br>
+        <span style="color:#665a3a;">${t(solved ? 'ending.tapPlayAgain' : 'ending.tapTryAgain')}</span>`;
+
+    ending.style.display = 'flex';
+    document.getElementById('ending-close').focus();
+}
+
+// Suspect buttons come from the case file. With an "accusation" section the
+// player then backs the choice with evidence before the accusation is made.
+const solvePrompt = document.getElementById('solve-prompt');
+const suspectList = document.getElementById('suspect-list');
+const evidenceForm = document.getElementById('evidence-form');
+const evidenceAccuseBtn = document.getElementById('evidence-accuse');
+let accused = null;
+let attached = {};
+
+function showSuspectChoice() {
+    accused = null;
+    solvePrompt.textContent = CASE.solvePrompt || t('solve.prompt');
+    suspectList.style.display = '';
+    evidenceForm.style.display = 'none';
+    suspectList.querySelector('button').focus();
+}
+
+function showEvidenceForm(suspectId) {
+    accused = suspectId;
+    attached = Object.fromEntries(ACCUSATION_PARTS.map(part => [part, []]));
+    solvePrompt.textContent = t('solve.evidence', { name: SUSPECTS[suspectId].name });
+    suspectList.style.display = 'none';
+    evidenceForm.style.display = 'block';
+
+    const parts = document.getElementById('evidence-parts');
+    parts.innerHTML = '';
+    ACCUSATION_PARTS.forEach(part => {
+        const def = CASE.accusation[part];
+        const section = document.createElement('div');
+        section.className = 'part';
+        const heading = document.createElement('h4');
+        heading.textContent = def.label;
+        const prompt = document.createElement('p');
+        prompt.textContent = def.prompt || '';
+        const chips = document.createElement('div');
+        chips.className = 'chips';
+        // Photos stand for the clues in them, see scoreEvidence() in core/game.js
+        const evidence = [
+            ...state.cluesFound.map(id => [id, `${CLUES[id].icon} ${CLUES[id].name}`]),
+            ...state.photos.map(p => [p.id, `📷 ${p.caption}`])
+        ];
+        evidence.forEach(([id, label]) => {
+            const chip = document.createElement('button');
+            chip.textContent = label;
+            chip.setAttribute('aria-pressed', 'false');
+            chip.addEventListener('click', () => {
+                const list = attached[part];
+                const at = list.indexOf(id);
+                if (at >= 0) list.splice(at, 1); else list.push(id);
+                chip.classList.toggle('on', at < 0);
+                chip.setAttribute('aria-pressed', at < 0);
+                updateAccuseButton();
+            });
+            chips.appendChild(chip);
+        });
+        section.append(heading, prompt, chips);
+        parts.appendChild(section);
+    });
+    updateAccuseButton();
+    moveFocus(evidenceForm, 1);
+}
+
+// Every part needs at least one clue before the accusation can be made
+function updateAccuseButton() {
+    evidenceAccuseBtn.disabled = !ACCUSATION_PARTS.every(part => attached[part].length > 0);
+}
+
+CASE.suspects.forEach(s => {
+    const btn = document.createElement('button');
+    btn.textContent = s.name;
+    btn.addEventListener('click', () => {
+        if (CASE.accusation) showEvidenceForm(s.id);
+        else accuseSuspect(s.id);
+    });
+    suspectList.appendChild(btn);
+});
+document.getElementById('evidence-back').addEventListener('click', showSuspectChoice);
+evidenceAccuseBtn.addEventListener('click', () => accuseSuspect(accused, attached));
+
+// Restart after a solved case; a wrong accusation goes back to the
+// investigation with the evidence collected so far
+function closeEnding() {
+    if (state.solved) {
+        location.reload();
+        return;
+    }
+    document.getElementById('ending').style.display = 'none';
+    state.paused = false;
+    if (pointerLockSupported) setTimeout(requestLock, 100);
+}
+
+const endingCloseBtn = document.getElementById('ending-close');
+if (endingCloseBtn) {
+    endingCloseBtn.addEventListener('click', closeEnding);
+    endingCloseBtn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        closeEnding();
+    }, { passive: false });
+}
+
+// ─── SCORECARD AND ACHIEVEMENTS ───
+// The scorecard and which achievements are earned come from
+// core/scorecard.js. Achievements outlast the case and its saves: they are
+// kept in localStorage with when and in which case they were earned.
+const ACHIEVEMENTS_KEY = 'edwardBolt:achievements';
+
+function loadAchievements() {
+    try {
+        return JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY)) || {};
+    } catch (err) {
+        console.warn('Ignoring unreadable achievements:', err);
+        return {};
+    }
+}
+
+let achievements = loadAchievements();     // id → { at, case }
+
+// Keeps what the investigation has just earned and returns the new ids.
+// During play each one gets a notice; the ending lists its own.
+function checkAchievements(outcome = null) {
+    const earned = game.achievements(Object.keys(achievements), outcome);
+    if (!earned.length) return earned;
+    earned.forEach(id => { achievements[id] = { at: Date.now(), case: CASE.id }; });
+    // A full localStorage keeps them for this visit only
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievements));
+    } catch (err) {
+        console.warn('Could not save achievements', err);
+    }
+    if (!outcome) showNotice(earned.map(id => t('achievement.unlocked', { name: t(`achievement.${id}.name`) })).join(' · '), 5000);
+    return earned;
+}
+
+function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// card is null for a wrong accusation, which only lists new achievements
+function renderScorecard(card, earned) {
+    const el = document.getElementById('ending-scorecard');
+    el.innerHTML = '';
+    if (card) {
+        const heading = document.createElement('h3');
+        heading.textContent = t('score.rank', { rank: t(`rank.${card.rank}`), score: card.score });
+        const table = document.createElement('table');
+        [
+            ['score.time', formatDuration(card.playTime)],
+            ['score.clues', `${card.cluesFound} / ${card.totalClues}`],
+            ['score.rooms', `${card.roomsVisited} / ${card.totalRooms}`],
+            ['score.wrong', card.wrongAccusations],
+            ['score.hints', card.hintsUsed],
+            ['score.journal', t('score.times', { count: card.journalOpens })],
+            ['score.map', t('score.share', { percent: Math.round(card.mapShare * 100) })]
+        ].forEach(([key, value]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = t(key);
+            row.insertCell().textContent = value;
+        });
+        const order = document.createElement('p');
+        order.className = 'order';
+        order.textContent = card.clueOrder.map(c => `${CLUES[c.id].icon} ${formatDuration(c.time)}`).join(' → ');
+        el.append(heading, table, order);
+    }
+    if (earned.length) {
+        const line = document.createElement('p');
+        line.className = 'earned';
+        line.textContent = t('ending.achievements', { names: earned.map(id => t(`achievement.${id}.name`)).join(', ') });
+        el.appendChild(line);
+    }
+}
+
+const achievementsPanel = document.getElementById('achievements-panel');
+
+function renderAchievementsPanel() {
+    const table = document.getElementById('achievement-list');
+    table.innerHTML = '';
+    ACHIEVEMENTS.forEach(({ id }) => {
+        const got = achievements[id];
+        const row = table.insertRow();
+        row.classList.toggle('locked', !got);
+        row.insertCell().textContent = got ? '🏅' : '🔒';
+        const text = row.insertCell();
+        const name = document.createElement('strong');
+        name.textContent = t(`achievement.${id}.name`);
+        const about = document.createElement('small');
+        about.textContent = t(`achievement.${id}.text`);
+        text.append(name, about);
+        row.insertCell().textContent = got ? new Date(got.at).toLocaleDateString(t('locale')) : '';
+    });
+    document.getElementById('achievements-count').textContent = t('achievements.count', {
+        count: ACHIEVEMENTS.filter(a => achievements[a.id]).length, total: ACHIEVEMENTS.length
+    });
+}
+
+document.getElementById('achievements-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    renderAchievementsPanel();
+    achievementsPanel.style.display = 'block';
+});
+document.getElementById('achievements-close').addEventListener('click', closeSettings);
+
+// ─── UPDATE HUD ───
+function updateHUD() {
+    document.getElementById('clue-num').textContent = state.cluesFound.length;
+    updateInventory();
+}
+
+function updateInventory() {
+    const inv = document.getElementById('inventory');
+    inv.innerHTML = '';
+    for (let i = 0; i < state.totalClues; i++) {
+        const slot = document.createElement('div');
+        slot.className = 'inv-slot' + (i < state.cluesFound.length ? ' filled' : '');
+        if (i < state.cluesFound.length) {
+            slot.textContent = CLUES[state.cluesFound[i]].icon;
+        }
+        inv.appendChild(slot);
+    }
+}
+updateInventory();
+
+// ─── SAVE / RESUME ───
+// Each case has SAVE_SLOTS slots in localStorage. The running investigation
+// is saved to its slot when a clue is found, on room changes, every few
+// seconds and when the page is hidden (mobile browsers kill background tabs).
+// Photos are large, so a slot keeps them under a key of their own, written
+// only when one is taken or discarded: a full localStorage then costs the
+// new photo, never the progress.
+const SAVE_SLOTS = 3;
+const AUTOSAVE_INTERVAL = 10000;
+
+function slotKey(slot) {
+    return `edwardBolt:${CASE.id}:save:${slot}`;
+}
+
+function photoKey(slot) {
+    return `${slotKey(slot)}:photos`;
+}
+
+function readSlot(slot) {
+    let data;
+    try {
+        data = JSON.parse(localStorage.getItem(slotKey(slot)));
+    } catch (err) {
+        console.warn(`Unreadable save in slot ${slot}`, err);
+        return null;
+    }
+    if (!data || typeof data.version !== 'number') return null;
+    try {
+        data = migrateSave(data);
+    } catch (err) {
+        console.warn(`Save in slot ${slot}: ${err.message}`);
+        return null;
+    }
+    try {
+        // restoreProgress() drops what is not a photo
+        data.photos = JSON.parse(localStorage.getItem(photoKey(slot))) || [];
+    } catch (err) {
+        console.warn(`Unreadable photos in slot ${slot}`, err);
+        data.photos = [];
+    }
+    return data;
+}
+
+function clearSlot(slot) {
+    if (slot == null) return;
+    try {
+        localStorage.removeItem(slotKey(slot));
+        localStorage.removeItem(photoKey(slot));
+    } catch (err) {
+        console.warn('Could not clear save', err);
+    }
+}
+
+function latestSlot() {
+    let best = null, bestTime = -Infinity;
+    for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+        const data = readSlot(slot);
+        if (data && data.savedAt > bestTime) { best = slot; bestTime = data.savedAt; }
+    }
+    return best;
+}
+
+function saveGame() {
+    if (state.slot == null || state.solved) return;
+    euler.setFromQuaternion(camera.quaternion);
+    const data = game.snapshot({ yaw: euler.y, pitch: euler.x });
+    delete data.photos;     // see savePhotos()
+    try {
+        localStorage.setItem(slotKey(state.slot), JSON.stringify(data));
+    } catch (err) {
+        console.warn('Could not save progress', err);
+    }
+}
+
+// False when localStorage has no room for them
+function savePhotos() {
+    if (state.slot == null || state.solved) return true;
+    try {
+        localStorage.setItem(photoKey(state.slot), JSON.stringify(state.photos));
+        return true;
+    } catch (err) {
+        console.warn('Could not save photos', err);
+        return false;
+    }
+}
+
+// Brings the house in line with the game state after a new game or a load
+function applyProgress() {
+    camera.position.set(game.player.x, game.player.y + EYE_HEIGHT, game.player.z);
+    Object.keys(containers).forEach(id => setContainerOpen(id, game.isOpen(id), true));
+    updateRoomLights();
+    updateSolveDesk();
+    updateHUD();
+}
+
+function startNewGame(slot) {
+    state.slot = slot;
+    game.reset();
+    euler.set(0, 0, 0);
+    camera.quaternion.setFromEuler(euler);
+    applyProgress();
+    saveGame();
+    savePhotos();
+}
+
+function loadSlot(slot) {
+    const data = readSlot(slot);
+    if (!data) return startNewGame(slot);
+    state.slot = slot;
+    const { yaw, pitch } = game.restore(data);
+    euler.set(isFinite(pitch) ? pitch : 0, isFinite(yaw) ? yaw : 0, 0);
+    camera.quaternion.setFromEuler(euler);
+    applyProgress();
+}
+
+// Pick up the most recent investigation, or open a new one in a free slot
+function beginSession() {
+    if (state.slot != null) return;
+    const latest = latestSlot();
+    if (latest != null) {
+        loadSlot(latest);
+        return;
+    }
+    let free = 1;
+    while (free < SAVE_SLOTS && readSlot(free)) free++;
+    startNewGame(free);
+}
+
+function renderSaveMenu() {
+    const latest = latestSlot();
+    document.getElementById('continue-btn').style.display = latest != null ? '' : 'none';
+    const list = document.getElementById('save-slots');
+    list.innerHTML = '';
+    for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+        const data = readSlot(slot);
+        const row = document.createElement('div');
+        row.className = 'save-slot';
+        const load = document.createElement('button');
+        load.className = 'btn load';
+        load.dataset.slot = slot;
+        if (data) {
+            const when = new Date(data.savedAt).toLocaleString(t('locale'), { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+            load.textContent = `${t(slot === state.slot ? 'save.current' : 'save.slot', { slot })} — `;
+            const info = document.createElement('small');
+            info.textContent = t('save.info', { found: data.cluesFound.length, total: state.totalClues, room: roomLabel(data.room), when });
+            load.appendChild(info);
+        } else {
+            load.textContent = `${t('save.slot', { slot })} — `;
+            const info = document.createElement('small');
+            info.textContent = t('save.new');
+            load.appendChild(info);
+        }
+        row.appendChild(load);
+        if (data) {
+            const clear = document.createElement('button');
+            clear.className = 'btn clear';
+            clear.dataset.clear = slot;
+            clear.textContent = '✕';
+            clear.title = t('save.clear');
+            row.appendChild(clear);
+        }
+        list.appendChild(row);
+    }
+}
+
+document.getElementById('save-menu').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    // Clicks between the buttons fall through to the blocker (enter the manor)
+    if (!btn) return;
+    e.stopPropagation();
+    if (btn.id === 'continue-btn') {
+        saveGame();
+        loadSlot(latestSlot());
+    } else if (btn.dataset.clear) {
+        const slot = Number(btn.dataset.clear);
+        if (!confirm(t('save.confirmClear', { slot }))) return;
+        clearSlot(slot);
+        if (slot === state.slot) state.slot = null;
+        renderSaveMenu();
+        return;
+    } else {
+        saveGame();
+        loadSlot(Number(btn.dataset.slot));
+    }
+    startGame();
+    setTimeout(requestLock, 100);
+});
+
+// ─── RANDOM CASES ───
+// A case with a template can be played as a new case made from a seed. The
+// seed is in the address, so the link (or the case number) is all a friend
+// needs to play the same one. Saves and achievements go by the case id,
+// which has the seed in it.
+function openSeed(seed) {
+    const params = new URLSearchParams(location.search);
+    if (seed == null) params.delete('seed');
+    else params.set('seed', seed);
+    saveGame();
+    location.search = params.toString();
+}
+
+function renderSeedOptions() {
+    const seeded = CASE.seed != null;
+    document.getElementById('seed-info').textContent = seeded ? t('seed.info', { seed: CASE.seed }) : '';
+    document.getElementById('seed-share').style.display = seeded ? '' : 'none';
+    document.getElementById('seed-original').style.display = seeded ? '' : 'none';
+}
+
+document.getElementById('seed-options').addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if (!btn) return;
+    e.stopPropagation();
+    if (btn.id === 'seed-new') {
+        openSeed(SEEDS[0] + Math.floor(Math.random() * (SEEDS[1] - SEEDS[0] + 1)));
+    } else if (btn.id === 'seed-enter') {
+        const answer = prompt(t('seed.prompt', { min: SEEDS[0], max: SEEDS[1] }));
+        if (answer == null || answer.trim() === '') return;
+        const seed = Number(answer.trim());
+        if (isSeed(seed)) openSeed(seed);
+        else alert(t('seed.invalid', { min: SEEDS[0], max: SEEDS[1] }));
+    } else if (btn.id === 'seed-share') {
+        const url = location.href;
+        const copied = () => { btn.textContent = t('seed.copied'); };
+        if (navigator.clipboard) navigator.clipboard.writeText(url).then(copied, () => prompt(t('seed.copy'), url));
+        else prompt(t('seed.copy'), url);
+    } else if (btn.id === 'seed-original') {
+        openSeed(null);
+    }
+});
+
+renderSaveMenu();
+renderLanguagePicker();
+renderSeedOptions();
+setInterval(() => { if (gameStarted && !state.locked) saveGame(); }, AUTOSAVE_INTERVAL);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveGame();
+});
+window.addEventListener('pagehide', saveGame);
+
+// ─── MINIMAP ───
+// The map action hides and shows it; the choice is kept in localStorage.
+// The scorecard counts the time it is shown.
+const MINIMAP_KEY = 'edwardBolt:minimap';
+const minimapCanvas = document.getElementById('minimap');
+const mCtx = minimapCanvas.getContext('2d');
+minimapCanvas.width = 150;
+minimapCanvas.height = 150;
+let minimapShown = localStorage.getItem(MINIMAP_KEY) !== 'hidden';
+minimapCanvas.style.display = minimapShown ? '' : 'none';
+
+function toggleMinimap() {
+    minimapShown = !minimapShown;
+    minimapCanvas.style.display = minimapShown ? '' : 'none';
+    localStorage.setItem(MINIMAP_KEY, minimapShown ? 'shown' : 'hidden');
+    if (minimapShown) drawMinimap();
+}
+// The minimap shows the storey the player is on: its walls, room labels,
+// the stairs up and down from it and the clues lying there
+const minimapStoreys = storeysOf(LEVEL).map(storey => {
+    const here = (item) => storeyY(LEVEL, item.storey) === storey.y;
+    return {
+        y: storey.y,
+        title: LEVEL.storeys ? storey.label || storey.name : '',
+        walls: LEVEL.walls.filter(here).flatMap(wallSegments),
+        labels: LEVEL.rooms.filter(here).map(room => {
+            // Label at labelAt, else at the average of the polygon's corners
+            const [lx, lz] = room.labelAt || room.polygon
+                .reduce(([sx, sz], [px, pz]) => [sx + px / room.polygon.length, sz + pz / room.polygon.length], [0, 0]);
+            return { text: room.short || room.label || room.name, x: lx, z: lz };
+        }),
+        stairs: (LEVEL.stairs || [])
+            .filter(stair => storeyY(LEVEL, stair.bottom) === storey.y || storeyY(LEVEL, stair.top) === storey.y)
+            .map(stairFootprint)
+    };
+});
+
+function drawMinimap() {
+    mCtx.clearRect(0, 0, 150, 150);
+    mCtx.fillStyle = 'rgba(10,8,4,0.8)';
+    mCtx.fillRect(0, 0, 150, 150);
+
+    // Fit the level bounds plus a 2-unit margin on each side
+    const scale = 150 / (Math.max(MAX_X - MIN_X, MAX_Z - MIN_Z) + 4);
+    const cx = (MIN_X + MAX_X) / 2;
+    const cz = (MIN_Z + MAX_Z) / 2;
+
+    // Mirror X so minimap matches in-game left/right orientation
+    function tx(x) { return 75 - (x - cx) * scale; }
+    function tz(z) { return 75 - (z - cz) * scale; }
+
+    const floor = storeyAt(LEVEL, game.player.y).y;
+    const storey = minimapStoreys.find(st => st.y === floor);
+
+    // Walls (with doorway gaps)
+    mCtx.strokeStyle = 'rgba(200,180,120,0.4)';
+    mCtx.lineWidth = 1.5;
+    mCtx.beginPath();
+    storey.walls.forEach(([[x1, z1], [x2, z2]]) => {
+        mCtx.moveTo(tx(x1), tz(z1)); mCtx.lineTo(tx(x2), tz(z2));
+    });
+    mCtx.stroke();
+
+    // Stairs (x is mirrored, so the left edge is maxX)
+    mCtx.strokeStyle = 'rgba(200,180,120,0.3)';
+    mCtx.lineWidth = 1;
+    storey.stairs.forEach(([minX, minZ, maxX, maxZ]) => {
+        mCtx.strokeRect(tx(maxX), tz(maxZ), (maxX - minX) * scale, (maxZ - minZ) * scale);
+    });
+
+    // Room labels, and the storey's name at the top
+    mCtx.fillStyle = 'rgba(200,180,120,0.25)';
+    mCtx.font = '7px Georgia';
+    mCtx.textAlign = 'center';
+    storey.labels.forEach(l => mCtx.fillText(l.text, tx(l.x), tz(l.z)));
+    if (storey.title) {
+        mCtx.fillStyle = 'rgba(200,180,120,0.5)';
+        mCtx.fillText(storey.title, 75, 9);
+    }
+
+    // Clue markers — found ones, and unfound ones a hint has pointed out
+    clueObjects.forEach(obj => {
+        const id = obj.userData.id;
+        if (storeyAt(LEVEL, obj.position.y).y !== floor) return;
+        const found = state.cluesFound.includes(id);
+        if (!found && game.hintLevel(id) < HINT_TIMES.length) return;
+        mCtx.fillStyle = found ? 'rgba(100,200,100,0.6)' : 'rgba(255,200,60,0.7)';
+        mCtx.beginPath();
+        mCtx.arc(tx(obj.position.x), tz(obj.position.z), found ? 2 : 3, 0, Math.PI * 2);
+        mCtx.fill();
+    });
+
+    // Player
+    mCtx.fillStyle = '#e8d8a0';
+    mCtx.beginPath();
+    mCtx.arc(tx(camera.position.x), tz(camera.position.z), 4, 0, Math.PI * 2);
+    mCtx.fill();
+
+    // Direction
+    const dir = new THREE.Vector3(0, 0, -1);
+    dir.applyQuaternion(camera.quaternion);
+    mCtx.strokeStyle = '#e8d8a0';
+    mCtx.lineWidth = 1.5;
+    mCtx.beginPath();
+    mCtx.moveTo(tx(camera.position.x), tz(camera.position.z));
+    mCtx.lineTo(tx(camera.position.x + dir.x * 2), tz(camera.position.z + dir.z * 2));
+    mCtx.stroke();
+}
+
+// ─── SOUND ───
+// The sound engine is in audio.js; the house tells it where the player is
+const rugBoxes = [rug1, rug2].map(rug => new THREE.Box3().setFromObject(rug));
+
+// What the player stands on: a rug, else the room's floor (wood when left out)
+function floorSurface(x, y, z) {
+    if (rugBoxes.some(box => x >= box.min.x && x <= box.max.x && z >= box.min.z && z <= box.max.z
+        && Math.abs(y - box.max.y) < 0.1)) return 'rug';
+    const room = roomAt(LEVEL, x, z, y);
+    return (room && room.floor) || 'wood';
+}
+
+function roomAmbience() {
+    const room = LEVEL.rooms.find(r => r.name === state.currentRoom);
+    return room && room.ambience;
+}
+
+function nearestCandle() {
+    return Math.min(...candleLights.filter(light => light.userData.on).map(light => light.position.distanceTo(camera.position)));
+}
+
+// ─── SOUND PANEL ───
+const audioPanel = document.getElementById('audio-panel');
+
+function renderAudioPanel() {
+    AUDIO_BUSES.forEach(bus => { document.getElementById(`audio-${bus}`).value = audioSettings[bus]; });
+}
+
+AUDIO_BUSES.forEach(bus => {
+    const slider = document.getElementById(`audio-${bus}`);
+    slider.addEventListener('input', () => {
+        audioSettings[bus] = Number(slider.value);
+        applyAudioSettings();
+        saveAudioSettings();
+    });
+    // Let the player hear the new effects level
+    slider.addEventListener('change', () => { if (bus !== 'music') playFootstep('wood', 1); });
+});
+
+document.getElementById('audio-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    renderAudioPanel();
+    audioPanel.style.display = 'block';
+});
+document.getElementById('audio-close').addEventListener('click', closeSettings);
+
+// ─── ACCESSIBILITY PANEL ───
+// The settings live in accessibility.js; the game loop reads reducedMotion
+// each frame
+const accessPanel = document.getElementById('access-panel');
+const accessInputs = {
+    reducedMotion: document.getElementById('access-motion'),
+    textScale: document.getElementById('access-text'),
+    highContrast: document.getElementById('access-contrast'),
+    crosshairScale: document.getElementById('access-crosshair')
+};
+
+function renderAccessPanel() {
+    Object.entries(accessInputs).forEach(([key, input]) => {
+        if (input.type === 'checkbox') input.checked = accessibility[key];
+        else input.value = accessibility[key];
+    });
+}
+
+Object.entries(accessInputs).forEach(([key, input]) => {
+    input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+        accessibility[key] = input.type === 'checkbox' ? input.checked : Number(input.value);
+        applyAccessibility();
+        saveAccessibilitySettings();
+    });
+});
+
+document.getElementById('access-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    renderAccessPanel();
+    accessPanel.style.display = 'block';
+    accessInputs.reducedMotion.focus();
+});
+document.getElementById('access-close').addEventListener('click', closeSettings);
+
+// ─── GAME LOOP ───
+const clock = new THREE.Clock();
+let shadowTimer = 0;
+let minimapTimer = 0;
+let lastStep = 0;
+
+function animate() {
+    requestAnimationFrame(animate);
+    const delta = Math.min(clock.getDelta(), 0.1);
+    updateContainers(delta);
+    updateHints(delta);
+    pollGamepad(delta);
+    updateAutoQuality(delta);
+    updateAudio(delta, roomAmbience(), nearestCandle());
+    updateLamps();
+    updateDarkness(delta);
+
+    if (editor) {
+        editor.update(delta);
+    } else if (gameStarted && !state.paused) {
+        // Movement
+        direction.set(0, 0, 0);
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
+        forward.y = 0; forward.normalize();
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+        right.y = 0; right.normalize();
+
+        const move = moveInput();
+        direction.addScaledVector(forward, move.y).addScaledVector(right, move.x);
+
+        // Crouching lowers the eyes and slows the walk
+        const crouching = actionHeld('crouch');
+        eyeHeight += ((crouching ? CROUCH_HEIGHT : EYE_HEIGHT) - eyeHeight) * Math.min(1, delta * 10);
+        game.walk(direction.x, direction.z, delta, { crouch: crouching, sprint: actionHeld('sprint') });
+        camera.position.x = game.player.x;
+        camera.position.z = game.player.z;
+
+        // Head bob (unless motion is reduced), with a footstep at every dip
+        const bob = accessibility.reducedMotion ? 0 : 1;
+        if (direction.length() > 0) {
+            camera.position.y = game.player.y + eyeHeight + Math.sin(clock.elapsedTime * 8) * 0.03 * bob;
+            const step = Math.floor((clock.elapsedTime * 8 + Math.PI / 2) / Math.PI);
+            if (step !== lastStep) {
+                lastStep = step;
+                playFootstep(floorSurface(game.player.x, game.player.y, game.player.z), crouching ? 0.35 : actionHeld('sprint') ? 1.3 : 1);
+            }
+        } else {
+            camera.position.y = game.player.y + eyeHeight + Math.sin(clock.elapsedTime * 1.5) * 0.005 * bob;
+        }
+
+        updateRaycast();
+    } else if (!gameStarted) {
+        document.getElementById('interaction-prompt').style.display = 'none';
+    }
+
+    // Flicker candle lights; with reduced motion they burn steadily and
+    // clues glow without pulsing or bobbing
+    const still = accessibility.reducedMotion;
+    candleLights.forEach((light, i) => {
+        const flicker = still ? 0.05 : Math.sin(clock.elapsedTime * 3 + i * 1.5) * 0.3 + Math.random() * 0.1;
+        light.intensity = !light.userData.on ? 0 : 0.6 + flicker;
+    });
+    flames.forEach((flame, i) => {
+        const pulse = still ? 0 : Math.sin(clock.elapsedTime * 5 + i * 2);
+        flame.scale.setScalar(0.8 + pulse * 0.3);
+        if (flame.material) flame.material.emissiveIntensity = 1.5 + pulse * 0.8 + (still ? 0.15 : Math.random() * 0.3);
+    });
+
+    // Clue glow pulse
+    clueObjects.forEach((obj, i) => {
+        const ud = obj.userData;
+        const id = ud ? ud.id : null;
+        if (id && !state.cluesFound.includes(id)) {
+            const emissive = 0.3 + (still ? 0.15 : Math.sin(clock.elapsedTime * 2 + i) * 0.3);
+            if (obj.material) {
+                obj.material.emissiveIntensity = emissive;
+            } else if (obj.traverse) {
+                obj.traverse(c => { if (c.isMesh && c.material) c.material.emissiveIntensity = emissive; });
+            }
+            // Only bob non-static objects (skip letters/pages that should stay on surfaces)
+            if (!ud.static && ud.baseY !== undefined) {
+                obj.position.y = ud.baseY + (still ? 0 : Math.sin(clock.elapsedTime * 2 + i) * 0.05);
+            }
+        } else if (id) {
+            if (ud.baseY !== undefined) obj.position.y = ud.baseY;
+            if (obj.material) {
+                obj.material.emissiveIntensity = 0.1;
+                obj.material.opacity = 0.5;
+            } else if (obj.traverse) {
+                obj.traverse(c => { if (c.isMesh && c.material) { c.material.emissiveIntensity = 0.1; c.material.opacity = 0.5; } });
+            }
+        }
+    });
+
+    // Solve desk pulse
+    if (solveDesk.visible && !still) {
+        solveDesk.rotation.y += delta * 0.5;
+        solveDesk.material.emissiveIntensity = 0.3 + Math.sin(clock.elapsedTime * 3) * 0.3;
+    }
+
+    // Room detection
+    if (game.updateRoom()) {
+        document.getElementById('room-name').textContent = roomLabel(state.currentRoom);
+        announce(t('a11y.room', { room: roomLabel(state.currentRoom) }));
+        checkAchievements();
+        saveGame();
+    }
+
+    // Shadow casters and model detail follow the player; the minimap redraws at the preset's rate
+    shadowTimer -= delta;
+    if (shadowTimer <= 0) {
+        shadowTimer = 0.5;
+        updateShadowCasters();
+        updateLods();
+    }
+    minimapTimer -= delta;
+    if (minimapShown && minimapTimer <= 0) {
+        minimapTimer = 1 / quality().minimapFps;
+        drawMinimap();
+    }
+    renderer.render(scene, camera);
+    if (inspecting) {
+        inspectCamera.position.set(0, 0, inspectDistance);
+        renderer.autoClear = false;
+        renderer.clearDepth();
+        renderer.render(inspectScene, inspectCamera);
+        renderer.autoClear = true;
+    }
+}
+
+animate();
+
+// ─── RESIZE (visualViewport-aware for iOS) ───
+function handleResize() {
+    const vv = window.visualViewport;
+    const w = vv ? vv.width : window.innerWidth;
+    const h = vv ? vv.height : window.innerHeight;
+    camera.aspect = w / h;
+    camera.updateProjectionMatrix();
+    inspectCamera.aspect = w / h;
+    inspectCamera.updateProjectionMatrix();
+    renderer.setSize(w, h);
+    updateScreenCenter();
+}
+window.addEventListener('resize', handleResize);
+if (window.visualViewport) {
+    window.visualViewport.addEventListener('resize', handleResize);
+    window.visualViewport.addEventListener('scroll', handleResize);
+}
+
+// ─── OFFLINE / UPDATES ───
+// sw.js precaches the game so the home-screen version runs without network.
+// A new sw.js waits until the player accepts the update, then the page
+// saves and reloads into the new version.
+if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    navigator.serviceWorker.register('sw.js').then(reg => {
+        const offerUpdate = (worker) => {
+            const banner = document.getElementById('update-banner');
+            banner.style.display = 'block';
+            document.getElementById('update-reload').onclick = () => {
+                banner.style.display = 'none';
+                saveGame();
+                worker.postMessage({ type: 'skipWaiting' });
+            };
+        };
+        // Only an update if an older version already controls the page
+        if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+            });
+        });
+    }).catch(err => console.warn('Service worker registration failed:', err));
+
+    // The first install also claims the page; only reload when replacing a version
+    let reloading = !navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        location.reload();
+    });
+}
+
@@ -0,0 +1,93 @@
+// Service worker — precaches everything the game needs so the home-screen
+// version works offline. Bump CACHE_VERSION whenever any of these files
+// change; the page then offers the new version to the player.
+const CACHE_VERSION = 30;
+const CACHE_NAME = `edwardbolt-v${CACHE_VERSION}`;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'manifest.json',
+    'manifest.en.json',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png',
+    // The game's modules
+    'src/main.js',
+    'src/i18n.js',
+    'src/graphics.js',
+    'src/audio.js',
+    'src/accessibility.js',
+    'src/core/case.js',
+    'src/core/level.js',
+    'src/core/models.js',
+    'src/core/world.js',
+    'src/core/save.js',
+    'src/core/game.js',
+    'src/core/scorecard.js',
+    'src/core/random.js',
+    'src/core/generate.js',
+    // (src/editor.js, src/core/layout.js and TransformControls load only for
+    // index.html?editor, so they are not cached for offline play)
+    // Language catalogs, one per entry in LANGUAGES in src/i18n.js
+    'lang/sv.json',
+    'lang/en.json',
+    // three.js, copied from node_modules by vendor-three.mjs
+    'vendor/three/build/three.module.min.js',
+    'vendor/three/examples/jsm/loaders/GLTFLoader.js',
+    'vendor/three/examples/jsm/utils/BufferGeometryUtils.js',
+    // Must match MODEL_URLS in src/core/models.js
+    'models/table.glb',
+    'models/chair.glb',
+    'models/sofa.glb',
+    'models/bed.glb',
+    'models/desk.glb',
+    'models/bookshelf.glb',
+    'models/candle.glb',
+    'models/wineGlass.glb',
+    'models/wardrobe.glb',
+    'models/cabinet.glb',
+    'models/drawer.glb',
+    'models/armchair.glb',
+    'models/potionBottle.glb',
+    'models/chandelier.glb',
+    'models/wineBottle.glb',
+    // The default case; other cases are cached the first time they are played
+    'cases/blackwood-manor.json',
+    'cases/blackwood-manor.en.json',
+    'cases/blackwood-manor.random.json',
+    'cases/blackwood-manor.random.en.json',
+    'levels/blackwood-manor.json',
+    'levels/blackwood-manor.en.json',
+];
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (e) => {
+    // Drop caches from older versions
+    e.waitUntil(caches.keys().then(keys => Promise.all(
+        keys.filter(k => k.startsWith('edwardbolt-') && k !== CACHE_NAME).map(k => caches.delete(k))
+    )).then(() => self.clients.claim()));
+});
+
+// The page asks the waiting worker to take over when the player accepts the update
+self.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+// Cache first; anything else same-origin is added to the cache as it is fetched
+self.addEventListener('fetch', (e) => {
+    const req = e.request;
+    if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+    e.respondWith(
+        caches.match(req, { ignoreSearch: req.mode === 'navigate' }).then(hit => hit || fetch(req).then(res => {
+            if (res.ok) {
+                const copy = res.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(req, copy));
+            }
+            return res;
+        }))
+    );
+});
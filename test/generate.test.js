@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateCase, checkCaseAgainstLevel, ACCUSATION_PARTS } from '../src/core/case.js';
+import { roomAt } from '../src/core/level.js';
+import { SURFACE_MODELS } from '../src/core/models.js';
+import { createRandom } from '../src/core/random.js';
+import { SEEDS, validateTemplate, generateCase, checkSolvable } from '../src/core/generate.js';
+import { createGame } from '../src/core/game.js';
+
+// ─── RANDOM CASES ───
+const CASE = readJSON('../cases/blackwood-manor.json');
+const TEMPLATE = readJSON('../cases/blackwood-manor.random.json');
+const LEVEL = readJSON('../levels/blackwood-manor.json');
+
+function readJSON(path) {
+    return JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+}
+
+function caseFor(seed) {
+    return generateCase(CASE, TEMPLATE, LEVEL, seed);
+}
+
+// Spread over the whole range rather than only the small seeds
+const SWEEP = Array.from({ length: 200 }, (_, i) => 1 + Math.floor(i * (SEEDS[1] - 1) / 199));
+
+test('the generator draws the same numbers as the wall textures always have', () => {
+    const random = createRandom(42);
+    let s = 42;
+    for (let i = 0; i < 5; i++) {
+        s = (s * 16807) % 2147483647;
+        assert.equal(random(), (s - 1) / 2147483646);
+    }
+    assert.deepEqual(createRandom(7).shuffle([1, 2, 3, 4, 5]), createRandom(7).shuffle([1, 2, 3, 4, 5]));
+});
+
+test('the template fits its case', () => {
+    assert.deepEqual(validateTemplate(TEMPLATE, CASE), []);
+    assert.ok(validateTemplate({ ...TEMPLATE, placed: ['diary_page'] }, CASE).some(e => e.includes('"diary_page"')));
+});
+
+test('a seed always makes the same case, and seeds differ', () => {
+    assert.deepEqual(caseFor(1234), caseFor(1234));
+    const cases = SWEEP.map(caseFor);
+    assert.equal(new Set(cases.map(c => c.culprit)).size, CASE.suspects.length);
+    assert.ok(new Set(cases.map(c => JSON.stringify(c.clues.pocket_watch.position))).size > 20);
+    assert.equal(caseFor(99).id, `${CASE.id}-99`);
+    assert.throws(() => caseFor(0), /seed/);
+    assert.throws(() => caseFor(1.5), /seed/);
+});
+
+test('every seed makes a valid case that can be solved from its clues', () => {
+    SWEEP.forEach(seed => {
+        const data = caseFor(seed);
+        assert.deepEqual(validateCase(data), [], `seed ${seed}`);
+        assert.doesNotThrow(() => checkCaseAgainstLevel(data, LEVEL));
+        assert.deepEqual(checkSolvable(data, LEVEL), [], `seed ${seed}`);
+        assert.doesNotMatch(JSON.stringify(data), /\{[a-zA-Z]+\}/, `seed ${seed} left a placeholder unfilled`);
+        assert.equal(data.timeline, undefined);
+    });
+});
+
+test('placed clues lie on a top in the room they name', () => {
+    SWEEP.slice(0, 50).forEach(seed => {
+        const data = caseFor(seed);
+        TEMPLATE.placed.forEach(id => {
+            const [x, y, z] = data.clues[id].position;
+            const room = LEVEL.rooms.find(r => r.name === data.clues[id].room);
+            assert.equal(roomAt(LEVEL, x, z, y), room);
+            const top = room.furniture.find(f => SURFACE_MODELS[f.model]
+                && Math.abs(f.position[1] + SURFACE_MODELS[f.model].top * (f.scale || 1) - y) < 0.01
+                && Math.hypot(f.position[0] - x, f.position[2] - z) < 1);
+            assert.ok(top, `seed ${seed}: ${id} should be on a table, desk, drawer or cabinet`);
+            assert.ok(data.clues[id].hints[1].includes(TEMPLATE.rooms[room.name]));
+        });
+    });
+});
+
+test('the culprit and accomplice have their own questions and endings', () => {
+    const data = caseFor(2024);
+    const accomplice = data.suspects.find(s => s.dialogue.nodes.receipt);
+    assert.notEqual(accomplice.id, data.culprit);
+    assert.ok(data.suspects.find(s => s.id === data.culprit).dialogue.nodes.diary);
+    assert.match(accomplice.dialogue.nodes.bottle.testimony, new RegExp(data.suspects.find(s => s.id === data.culprit).short));
+    assert.equal(data.endings[data.culprit].title, TEMPLATE.endings.culprit.title);
+    assert.equal(data.endings[accomplice.id].title, TEMPLATE.endings.accomplice.title);
+});
+
+test('a generated case plays to its ending', () => {
+    const data = caseFor(777);
+    const game = createGame(data, LEVEL);
+    game.state.cluesFound = Object.keys(data.clues);
+    const wrong = data.suspects.find(s => s.id !== data.culprit);
+    assert.equal(game.accuse(wrong.id).solved, false);
+    const evidence = Object.fromEntries(ACCUSATION_PARTS.map(part => [part, data.accusation[part].clues]));
+    const outcome = game.accuse(data.culprit, evidence);
+    assert.equal(outcome.solved, true);
+    assert.equal(outcome.score, 1);
+});
+
+test('the hand-written case is solvable, and unsolvable cases are caught', () => {
+    assert.deepEqual(checkSolvable(CASE, LEVEL), []);
+    // The wardrobe's code is on the pocket watch; without it the diary stays locked
+    const noCode = structuredClone(CASE);
+    noCode.clues.pocket_watch.description = 'Ett fickur.';
+    assert.deepEqual(checkSolvable(noCode, LEVEL), ['clue "diary_page" can never be found']);
+    const wrongRoom = structuredClone(CASE);
+    wrongRoom.clues.newspaper.room = 'Kök';
+    assert.equal(checkSolvable(wrongRoom, LEVEL).length, 1);
+    // The evidence points at Victoria; blame someone else and it no longer does
+    assert.ok(checkSolvable({ ...CASE, culprit: 'lawyer' }, LEVEL).some(e => e.includes('Victoria Blackwood')));
+});
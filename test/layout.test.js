@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { inlineJSON, replaceJSONValues } from '../src/core/layout.js';
+import { validateLevel } from '../src/core/level.js';
+
+// ─── LAYOUT EXPORT ───
+const LEVEL_TEXT = readFileSync(new URL('../levels/blackwood-manor.json', import.meta.url), 'utf8');
+const CASE_TEXT = readFileSync(new URL('../cases/blackwood-manor.json', import.meta.url), 'utf8');
+
+function changedLines(before, after) {
+    const lines = after.split('\n');
+    return before.split('\n').filter((line, i) => line !== lines[i]);
+}
+
+test('entries are written on one line like the level file', () => {
+    assert.equal(inlineJSON({ model: 'chair', position: [1.5, 0, -3.2], collider: [0.5, 1, 0.5] }),
+        '{"model": "chair", "position": [1.5, 0, -3.2], "collider": [0.5, 1, 0.5]}');
+});
+
+test('moving furniture changes only its line', () => {
+    const level = JSON.parse(LEVEL_TEXT);
+    const desk = { ...level.rooms[6].furniture[0], position: [7.5, 0, -10], collider: [2, 0.9, 1] };
+    const text = replaceJSONValues(LEVEL_TEXT, [{ path: ['rooms', 6, 'furniture', 0], value: desk }]);
+    assert.deepEqual(JSON.parse(text).rooms[6].furniture[0], desk);
+    assert.equal(text.split('\n').length, LEVEL_TEXT.split('\n').length);
+    assert.deepEqual(changedLines(LEVEL_TEXT, text), [LEVEL_TEXT.split('\n').find(line => line.includes('"study_desk"'))]);
+    assert.deepEqual(validateLevel(JSON.parse(text)), []);
+});
+
+test('a multi-line entry becomes one line, everything else stays', () => {
+    const level = JSON.parse(LEVEL_TEXT);
+    const wardrobe = { ...level.rooms[5].furniture[2], rotY: 0 };
+    const text = replaceJSONValues(LEVEL_TEXT, [{ path: ['rooms', 5, 'furniture', 2], value: wardrobe }]);
+    const parsed = JSON.parse(text);
+    assert.deepEqual(parsed.rooms[5].furniture[2], wardrobe);
+    assert.deepEqual({ ...parsed, rooms: [] }, { ...level, rooms: [] });
+    assert.ok(text.split('\n').includes(`                ${inlineJSON(wardrobe)}`), 'the wardrobe should sit on one line, indented as before');
+});
+
+test('clue positions are replaced inside the case file', () => {
+    const text = replaceJSONValues(CASE_TEXT, [
+        { path: ['clues', 'newspaper', 'position'], value: [5, 0.46, -10.5] },
+        { path: ['clues', 'wine_glasses', 'models', 1], value: { model: 'wineGlass', position: [0.6, 0.9, -1.8], scale: 1.5, rotY: 0.5 } }
+    ]);
+    const data = JSON.parse(text);
+    assert.deepEqual(data.clues.newspaper.position, [5, 0.46, -10.5]);
+    assert.deepEqual(data.clues.wine_glasses.models[1].position, [0.6, 0.9, -1.8]);
+    assert.equal(changedLines(CASE_TEXT, text).length, 2);
+});
+
+test('a path that is not in the file is an error', () => {
+    assert.throws(() => replaceJSONValues(LEVEL_TEXT, [{ path: ['rooms', 0, 'furniture', 9], value: {} }]), /Not in the file/);
+});
@@ -0,0 +1,461 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateCase, checkCaseAgainstLevel } from '../src/core/case.js';
+import { validateLevel, storeyY } from '../src/core/level.js';
+import { SAVE_VERSION, migrateSave } from '../src/core/save.js';
+import { SPEED, SPAWN } from '../src/core/world.js';
+import { createGame, HINT_TIMES, LANTERN_SECONDS, UV_RANGE, MAX_PHOTOS } from '../src/core/game.js';
+
+// ─── PLAYTHROUGH ───
+// Plays Blackwood Manor through the headless core: walks the house, finds
+// every clue, interrogates, rebuilds the night and makes the accusation.
+const CASE = readJSON('../cases/blackwood-manor.json');
+const LEVEL = readJSON('../levels/blackwood-manor.json');
+const STEP = 1 / 30;
+
+function readJSON(path) {
+    return JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+}
+
+// Walks in a straight line as the arrow keys would; fails if a wall or
+// furniture stops the player on the way
+function walkTo(game, x, z) {
+    for (let i = 0; i < 2000; i++) {
+        const dx = x - game.player.x, dz = z - game.player.z;
+        const dist = Math.hypot(dx, dz);
+        if (dist < 1e-6) return;
+        const scale = Math.min(1, dist / (SPEED * STEP)) / dist;
+        if (!game.walk(dx * scale, dz * scale, STEP)) {
+            assert.fail(`Stuck at ${game.player.x.toFixed(2)}, ${game.player.z.toFixed(2)} on the way to ${x}, ${z}`);
+        }
+    }
+    assert.fail(`Never reached ${x}, ${z}`);
+}
+
+function walkRoute(game, route) {
+    route.forEach(([x, z]) => walkTo(game, x, z));
+}
+
+function collectInReach(game, ...ids) {
+    const near = game.cluesInReach();
+    ids.forEach(id => {
+        assert.ok(near.includes(id), `${id} should be in reach from ${game.player.x}, ${game.player.z}`);
+        assert.equal(game.collect(id), true);
+    });
+}
+
+// Points the UV lamp from eye height at a clue and picks up the mark it shows
+function collectUnderUv(game, id) {
+    const [x, y, z] = game.cluePosition(id);
+    const eye = [game.player.x, 1.6, game.player.z];
+    assert.equal(game.toggleLamp('uv'), 'on');
+    game.look(eye, [x - eye[0], y - eye[1], z - eye[2]]);
+    collectInReach(game, id);
+    assert.equal(game.toggleLamp('uv'), 'off');
+}
+
+// The whole house, room by room, through the doorways
+function findEveryClue(game) {
+    walkRoute(game, [[-5, 8], [-5, 3]]);
+    collectInReach(game, 'muddy_boots');
+    walkTo(game, -8, 3);
+    collectInReach(game, 'poison_bottle');
+
+    walkRoute(game, [[-5, 3], [-5, -2.5], [-8, -2.5], [-8, -6]]);
+    assert.equal(game.clueReachable('diary_page'), false);
+    assert.equal(game.useContainer('bedroom_wardrobe'), 'code');
+    assert.equal(game.enterCode('bedroom_wardrobe', '1234'), false);
+    assert.equal(game.enterCode('bedroom_wardrobe', '2047'), true);
+    assert.equal(game.clueReachable('diary_page'), false, 'the bedroom is dark');
+    assert.equal(game.useSwitch('Sovrum'), true);
+    collectInReach(game, 'diary_page');
+
+    walkTo(game, -3, -6);
+    assert.deepEqual(game.cluesInReach(), [], 'the corridor is dark');
+    assert.equal(game.lightCandle('hall_candle'), true);
+    collectInReach(game, 'doctors_bag');
+    walkRoute(game, [[-3, -5], [3, -5], [3, -1.5]]);
+    assert.equal(game.clueReachable('wine_residue'), false);
+    collectInReach(game, 'wine_glasses');
+    collectUnderUv(game, 'wine_residue');
+
+    walkRoute(game, [[3, -6], [6, -6], [6, -9]]);
+    assert.deepEqual(game.cluesInReach(), [], 'the study is dark');
+    assert.equal(game.toggleLamp('lantern'), 'on');
+    collectInReach(game, 'newspaper');
+    assert.equal(game.clueReachable('letter_desk'), false);
+    assert.equal(game.useContainer('study_desk'), 'opened');
+    collectInReach(game, 'letter_desk');
+    collectUnderUv(game, 'letter_writing');
+
+    walkRoute(game, [[6, -6], [8, -6], [8, -1]]);
+    collectInReach(game, 'pocket_watch');
+}
+
+const FULL_EVIDENCE = Object.fromEntries(Object.entries(CASE.accusation).filter(([part]) => part !== 'ratings')
+    .map(([part, { clues }]) => [part, clues]));
+
+test('the case and level files are valid and match', () => {
+    assert.deepEqual(validateCase(CASE), []);
+    assert.deepEqual(validateLevel(LEVEL), []);
+    assert.doesNotThrow(() => checkCaseAgainstLevel(CASE, LEVEL));
+});
+
+test('walls stop the player and let them slide along', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.equal(game.updateRoom(), true);
+    assert.equal(game.state.currentRoom, 'Entréhall');
+
+    // The front wall
+    for (let i = 0; i < 100; i++) game.walk(0, 1, STEP);
+    assert.ok(game.player.z < 11.5, `walked through the front wall to z ${game.player.z}`);
+
+    // The living room wall, walking into it at an angle
+    game.placePlayer(3, 2);
+    for (let i = 0; i < 10; i++) game.walk(Math.SQRT1_2, Math.SQRT1_2, STEP);
+    assert.ok(game.player.x < 3.5, `walked through the wall to x ${game.player.x}`);
+    assert.ok(game.player.z > 2.5, 'should slide along the wall');
+});
+
+test('the stairs lead up to the servants and down to the cellar', () => {
+    const game = createGame(CASE, LEVEL);
+    const upstairs = storeyY(LEVEL, 'Övervåning'), cellar = storeyY(LEVEL, 'Källare');
+    walkRoute(game, [[-3.5, 8], [-3.5, 11.2], [2.2, 11.2]]);
+    assert.equal(game.player.y, upstairs);
+    walkRoute(game, [[3.2, 11.2], [3.2, 6.75], [6, 6.75]]);
+    game.updateRoom();
+    assert.equal(game.state.currentRoom, 'Tjänarrum');
+
+    walkRoute(game, [[3.2, 6.75], [3.2, 11.2], [-3.5, 11.2]]);
+    assert.equal(game.player.y, 0);
+    walkRoute(game, [[-10.5, 11.2], [-10.5, 8]]);
+    assert.equal(game.player.y, cellar);
+    game.updateRoom();
+    assert.equal(game.state.currentRoom, 'Vinkällare');
+    // The kitchen above is out of reach
+    assert.deepEqual(game.cluesInReach(), []);
+});
+
+test('the stairs are solid from below and cannot be stepped off', () => {
+    const game = createGame(CASE, LEVEL);
+    // Into the side of the flight from the hall
+    game.placePlayer(0, 9);
+    for (let i = 0; i < 30; i++) game.walk(0, 1, STEP);
+    assert.ok(game.player.z < 10.55 - 0.39, `walked into the stairs to z ${game.player.z}`);
+    assert.equal(game.player.y, 0);
+
+    // Off the side of the flight, higher than a step above the hall floor
+    game.placePlayer(-1.8, 11.2, storeyY(LEVEL, 'Övervåning') / 5);
+    for (let i = 0; i < 30; i++) game.walk(0, -1, STEP);
+    assert.ok(game.player.z > 10.55, `stepped off the stairs to z ${game.player.z}`);
+
+    // Into the railing around the cellar stairwell in the kitchen
+    game.placePlayer(-7, 9);
+    for (let i = 0; i < 30; i++) game.walk(0, 1, STEP);
+    assert.equal(game.player.y, 0);
+    assert.ok(game.player.z < 10.55);
+});
+
+test('the clues are found by walking the house', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.deepEqual(game.cluesInReach(), []);
+    assert.equal(game.canAccuse(), false);
+    assert.throws(() => game.accuse('wife'), /not open yet/);
+
+    findEveryClue(game);
+    assert.equal(game.state.cluesFound.length, game.state.totalClues);
+    assert.equal(game.collect('pocket_watch'), false, 'a clue is only found once');
+    assert.equal(game.updateRoom(), true);
+    assert.equal(game.state.currentRoom, 'Vardagsrum');
+    assert.equal(game.canAccuse(), true);
+
+    // The UV marks are extra evidence; the case closes without them
+    const noUv = createGame(CASE, LEVEL);
+    noUv.state.cluesFound = Object.keys(CASE.clues).filter(id => !CASE.clues[id].uv);
+    assert.equal(noUv.canAccuse(), true);
+    noUv.state.cluesFound = noUv.state.cluesFound.filter(id => id !== 'pocket_watch');
+    assert.equal(noUv.canAccuse(), false);
+});
+
+test('the lantern burns its oil and the UV lamp shows only what it points at', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.equal(game.toggleLamp('lantern'), 'on');
+    assert.equal(game.tick(LANTERN_SECONDS / 2), false);
+    assert.equal(game.state.oil, 0.5);
+    assert.equal(game.toggleLamp('uv'), 'on', 'one lamp at a time');
+    assert.equal(game.tick(LANTERN_SECONDS), false, 'the UV lamp burns no oil');
+    assert.equal(game.toggleLamp('lantern'), 'on');
+    assert.equal(game.tick(LANTERN_SECONDS), true, 'the lantern goes out');
+    assert.equal(game.state.lamp, null);
+    assert.equal(game.toggleLamp('lantern'), 'empty');
+
+    // The residue on the dining table, once the glasses are found
+    game.state.cluesFound.push('wine_glasses');
+    const [x, y, z] = game.cluePosition('wine_residue');
+    game.toggleLamp('uv');
+    game.look([x, y + 1, z], [0, -1, 0]);
+    assert.equal(game.inUvBeam('wine_residue'), true);
+    game.look([x, y + 1, z], [1, 0, 0]);
+    assert.equal(game.inUvBeam('wine_residue'), false, 'pointed away');
+    game.look([x, y + UV_RANGE + 0.5, z], [0, -1, 0]);
+    assert.equal(game.inUvBeam('wine_residue'), false, 'out of range');
+});
+
+test('switches and candles light the dark rooms', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.equal(game.roomLit('Entréhall'), true);
+    assert.equal(game.roomLit('Sovrum'), false);
+    assert.equal(game.useSwitch('Sovrum'), true);
+    assert.equal(game.roomLit('Sovrum'), true);
+    assert.equal(game.useSwitch('Sovrum'), false);
+
+    assert.equal(game.roomLit('Korridor'), false);
+    assert.equal(game.candleLit('hall_candle'), false);
+    assert.equal(game.lightCandle('hall_candle'), true);
+    assert.equal(game.lightCandle('hall_candle'), false, 'already burning');
+    assert.equal(game.roomLit('Korridor'), true);
+
+    // The study's ceiling light follows the switch, the glow by the desk its candle
+    const study = LEVEL.rooms.find(r => r.name === 'Arbetsrum');
+    assert.equal(game.lightOn(study.lights[0], study.name), false);
+    game.useSwitch(study.name);
+    assert.equal(game.lightOn(study.lights[0], study.name), true);
+    assert.equal(game.lightOn(study.lights[1], study.name), false);
+    game.lightCandle('study_candle');
+    assert.equal(game.lightOn(study.lights[1], study.name), true);
+});
+
+test('interrogations open up with the clues found', () => {
+    const game = createGame(CASE, LEVEL);
+    const asks = () => game.talkTo('doctor').options.map(o => o.goto);
+    assert.deepEqual(asks(), ['heart']);
+    findEveryClue(game);
+    assert.deepEqual(asks(), ['heart', 'receipt']);
+
+    const { options } = game.hear('doctor', 'receipt');
+    assert.deepEqual(options.map(o => o.goto), ['bottle', 'intro']);
+    assert.equal(game.hear('doctor', 'bottle').noted, true);
+    assert.equal(game.hear('doctor', 'bottle').noted, false);
+});
+
+test('linking clues on the board gives insights once', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.equal(game.link('pocket_watch', 'letter_desk', 'supports'), null);
+    const [id] = game.link('letter_desk', 'pocket_watch', 'same_person');
+    assert.equal(id, 'victoria_knew');
+    assert.equal(game.state.board.links.length, 1);
+    assert.equal(game.link('pocket_watch', 'letter_desk', 'same_person'), null);
+});
+
+test('hints open over time and lower the rating', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.equal(game.requestHint().given, false);
+    game.tick(HINT_TIMES[0]);
+    assert.deepEqual(game.requestHint(), { id: game.hintTarget(), level: 1, given: true });
+    assert.equal(game.hintReady(), false);
+
+    // A clue found on another is only hinted at once that one is found, and
+    // UV marks after the clues that need no lamp pointed at them
+    const reordered = structuredClone(CASE);
+    const { wine_glasses: glasses, ...others } = reordered.clues;
+    reordered.clues = { ...others, wine_glasses: glasses };
+    reordered.clues.wine_residue.uv = false;
+    const hinted = createGame(reordered, LEVEL);
+    hinted.state.cluesFound = Object.keys(others).filter(id => id !== 'wine_residue');
+    assert.equal(hinted.hintTarget(), 'wine_glasses');
+    const { letter_writing: writing, ...rest } = CASE.clues;
+    const marks = createGame({ ...CASE, clues: { letter_writing: writing, ...rest } }, LEVEL);
+    marks.state.cluesFound = Object.keys(CASE.clues).filter(id => !CASE.clues[id].uv && id !== 'pocket_watch');
+    assert.equal(marks.hintTarget(), 'pocket_watch');
+
+    findEveryClue(game);
+    assert.equal(game.requestHint(), null);
+    const outcome = game.accuse(CASE.culprit, FULL_EVIDENCE);
+    assert.equal(outcome.score, 1 - outcome.penalty);
+});
+
+test('a wrong accusation gets that suspect\'s ending', () => {
+    const game = createGame(CASE, LEVEL);
+    findEveryClue(game);
+    const outcome = game.accuse('maid');
+    assert.equal(outcome.solved, false);
+    assert.equal(outcome.ending, CASE.endings.maid);
+    assert.equal(outcome.rating, null);
+    assert.equal(game.state.solved, false);
+});
+
+test('the culprit with full evidence is rated highest', () => {
+    const game = createGame(CASE, LEVEL);
+    findEveryClue(game);
+    const outcome = game.accuse(CASE.culprit, FULL_EVIDENCE);
+    assert.equal(outcome.solved, true);
+    assert.equal(outcome.score, 1);
+    assert.match(outcome.rating.rating, /★★★/);
+    assert.equal(outcome.ending, CASE.endings[CASE.culprit]);
+    assert.equal(game.state.solved, true);
+});
+
+test('the culprit without evidence walks free', () => {
+    const game = createGame(CASE, LEVEL);
+    findEveryClue(game);
+    const outcome = game.accuse(CASE.culprit, { motive: ['muddy_boots'] });
+    assert.equal(outcome.solved, true);
+    assert.equal(outcome.score, 0);
+    assert.match(outcome.ending.title, /FRIKÄND/);
+});
+
+test('photos remember the clues in view and stand for them as evidence', () => {
+    const game = createGame(CASE, LEVEL);
+    walkRoute(game, [[-5, 8], [-5, 3]]);
+    game.updateRoom();
+    const [x, y, z] = game.cluePosition('muddy_boots');
+    const eye = [game.player.x, 1.6, game.player.z];
+    game.look(eye, [eye[0] - x, 0, eye[2] - z]);
+    assert.equal(game.cluesInView().includes('muddy_boots'), false, 'facing away');
+    game.look(eye, [x - eye[0], y - eye[1], z - eye[2]]);
+    const photo = game.takePhoto('data:image/jpeg;base64,AAAA', '  Stövlarna  ');
+    assert.equal(photo.caption, 'Stövlarna');
+    assert.equal(photo.room, 'Kök');
+    assert.ok(photo.shows.includes('muddy_boots'));
+    assert.deepEqual(game.state.journal.at(-1), { type: 'photo', id: photo.id });
+
+    // The boots back nothing; a photo of both halves of the means backs it all
+    const both = game.takePhoto('data:image/jpeg;base64,BBBB', 'Flaskan och väskan', ['poison_bottle', 'doctors_bag']);
+    assert.equal(game.scoreEvidence({ ...FULL_EVIDENCE, means: [both.id] }).parts.means, 1);
+    assert.equal(game.scoreEvidence({ ...FULL_EVIDENCE, means: ['poison_bottle', photo.id] }).parts.means, 0);
+
+    game.discardPhoto(photo.id);
+    assert.deepEqual(game.state.photos.map(p => p.id), [both.id]);
+    assert.equal(game.state.journal.some(e => e.id === photo.id), false);
+    while (game.state.photos.length < MAX_PHOTOS) game.takePhoto('data:image/jpeg;base64,CCCC', 'Mer');
+    assert.equal(game.takePhoto('data:image/jpeg;base64,DDDD', 'En för mycket'), null);
+    assert.equal(new Set(game.state.photos.map(p => p.id)).size, MAX_PHOTOS);
+
+    const loaded = createGame(CASE, LEVEL);
+    loaded.restore(migrateSave(JSON.parse(JSON.stringify(game.snapshot({ yaw: 0, pitch: 0 })))));
+    assert.deepEqual(loaded.state.photos, game.state.photos);
+    assert.deepEqual(loaded.state.journal, game.state.journal);
+});
+
+test('a rebuilt night earns the timeline ending', () => {
+    const game = createGame(CASE, LEVEL);
+    findEveryClue(game);
+    game.hear('maid', 'alibi');
+    const events = CASE.timeline.events;
+    assert.deepEqual([...game.timelineOrder()].sort(), Object.keys(events).sort());
+
+    // Put the events in a wrong order first, then sort them one swap at a time
+    game.moveTimelineEvent(0, 1);
+    assert.deepEqual(game.checkTimeline(), { solved: false, wrong: 'order', event: CASE.timeline.order[0] });
+    const rank = id => CASE.timeline.order.indexOf(id);
+    const order = game.timelineOrder();
+    for (let end = order.length - 1; end > 0; end--) {
+        for (let i = 0; i < end; i++) {
+            if (rank(order[i]) > rank(order[i + 1])) game.moveTimelineEvent(i, 1);
+        }
+    }
+    const blamed = Object.keys(events).filter(id => events[id].suspect);
+    assert.equal(game.checkTimeline().wrong, 'suspect');
+    blamed.forEach(id => game.blame(id, events[id].suspect));
+    assert.deepEqual(game.checkTimeline(), { solved: true });
+
+    const outcome = game.accuse(CASE.culprit, FULL_EVIDENCE);
+    assert.equal(outcome.ending, CASE.timeline.ending);
+});
+
+test('the scorecard counts how the case was played', () => {
+    const game = createGame(CASE, LEVEL);
+    game.updateRoom();
+    game.tick(20, { map: true });
+    findEveryClue(game);
+    game.tick(40);
+    game.noteJournalOpen();
+    assert.equal(game.accuse('maid').solved, false);
+    game.accuse(CASE.culprit, FULL_EVIDENCE);
+
+    const card = game.scorecard();
+    assert.equal(card.playTime, 60);
+    assert.deepEqual(card.clueOrder.map(c => c.id), game.state.cluesFound);
+    assert.ok(card.clueOrder.every(c => c.time === 20));
+    assert.equal(card.cluesFound, card.totalClues);
+    assert.deepEqual([card.roomsVisited, card.totalRooms], [1, LEVEL.rooms.length]);
+    assert.equal(card.wrongAccusations, 1);
+    assert.equal(card.journalOpens, 1);
+    assert.equal(card.mapShare, 20 / 60);
+    // A wrong accusation and rooms left unseen
+    assert.equal(card.score, 80);
+    assert.equal(card.rank, 'inspector');
+});
+
+test('achievements are earned along the way and at the accusation', () => {
+    const game = createGame(CASE, LEVEL);
+    assert.deepEqual(game.achievements(), []);
+    findEveryClue(game);
+    assert.deepEqual(game.achievements(), ['quick', 'uv_marks']);
+
+    LEVEL.rooms.forEach(room => {
+        game.placePlayer(...room.labelAt, storeyY(LEVEL, room.storey));
+        game.updateRoom();
+    });
+    assert.deepEqual(game.achievements(['quick', 'uv_marks']), ['explorer']);
+
+    const outcome = game.accuse(CASE.culprit, FULL_EVIDENCE);
+    assert.deepEqual(game.achievements(['quick', 'uv_marks', 'explorer'], outcome),
+        ['first_case', 'flawless', 'no_hints', 'no_map', 'top_rating']);
+    assert.equal(game.scorecard().rank, 'chief_inspector');
+});
+
+test('a save restores the investigation where it was left', () => {
+    const game = createGame(CASE, LEVEL);
+    walkRoute(game, [[-5, 8], [-5, 3]]);
+    collectInReach(game, 'muddy_boots');
+    game.useContainer('study_desk');
+    game.hear('maid', 'boots');
+    game.useSwitch('Arbetsrum');
+    game.lightCandle('hall_candle');
+    game.toggleLamp('lantern');
+    game.tick(30);
+    game.updateRoom();
+    const data = JSON.parse(JSON.stringify(game.snapshot({ yaw: 1, pitch: 0 })));
+    assert.equal(data.version, SAVE_VERSION);
+
+    const loaded = createGame(CASE, LEVEL);
+    assert.deepEqual(loaded.restore(migrateSave(data)), { x: -5, y: 0, z: 3, yaw: 1, pitch: 0 });
+    assert.deepEqual(loaded.player, game.player);
+    assert.deepEqual(loaded.state, { ...game.state, currentRoom: null });
+    assert.equal(loaded.isOpen('study_desk'), true);
+
+    loaded.reset();
+    assert.deepEqual(loaded.player, SPAWN);
+    assert.deepEqual(loaded.state.cluesFound, []);
+});
+
+test('old saves are brought up to date and unknown clues dropped', () => {
+    const old = { version: 1, player: { x: 1, z: 2 }, cluesFound: ['muddy_boots', 'gone'], journal: [{ type: 'clue', id: 'gone' }] };
+    const game = createGame(CASE, LEVEL);
+    game.restore(migrateSave(old));
+    assert.deepEqual(game.state.cluesFound, ['muddy_boots']);
+    assert.deepEqual(game.state.journal, []);
+    assert.equal(game.state.oil, 1);
+    assert.deepEqual(game.state.litCandles, []);
+    assert.equal(game.state.stats.playTime, 0);
+    assert.deepEqual(game.player, { x: 1, y: 0, z: 2 });
+    assert.deepEqual(game.state.photos, []);
+    // Photos the page could not show safely are dropped with their journal entries
+    const photo = { id: 'photo1', image: 'data:image/jpeg;base64,AAAA', caption: 'Stövlarna', room: 'Kök', shows: [] };
+    const bad = [
+        { ...photo, image: 'https://example.com/boots.jpg' },
+        { ...photo, image: 'data:image/jpeg;base64,AAAA" onerror="alert(1)' },
+        { ...photo, image: 'data:image/svg+xml,<svg onload="alert(1)"/>' },
+        { ...photo, id: 'photo1"><img src=x onerror=alert(1)>' }
+    ];
+    bad.forEach(p => {
+        game.restore(migrateSave({ version: 10, journal: [{ type: 'photo', id: p.id }], photos: [p] }));
+        assert.deepEqual(game.state.photos, [], p.id + ' ' + p.image);
+        assert.deepEqual(game.state.journal, []);
+    });
+    game.restore(migrateSave({ version: 10, journal: [{ type: 'photo', id: 'photo1' }], photos: [photo] }));
+    assert.deepEqual(game.state.photos, [photo]);
+    assert.throws(() => migrateSave({ version: SAVE_VERSION + 1 }), /newer version/);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAR_TIME, QUICK_TIME, RANKS, emptyStats, rankFor, buildScorecard, earnedAchievements } from '../src/core/scorecard.js';
+
+// ─── SCORECARD ───
+const LEVEL = { rooms: [{ name: 'Hall' }, { name: 'Kök' }] };
+const CASE = {
+    clues: { boots: {}, stain: { uv: true } },
+    accusation: { ratings: [{ min: 0 }, { min: 0.5 }, { min: 0.9 }] }
+};
+
+function played(stats, extra = {}) {
+    return {
+        cluesFound: ['boots', 'stain'],
+        totalClues: 2,
+        hints: { used: 0, levels: {} },
+        timeline: { solved: false },
+        ...extra,
+        stats: { ...emptyStats(), roomsVisited: ['Hall', 'Kök'], ...stats }
+    };
+}
+
+test('every score has a rank, the best first', () => {
+    assert.equal(rankFor(100), RANKS[0].id);
+    assert.equal(rankFor(0), RANKS[RANKS.length - 1].id);
+    RANKS.forEach(r => assert.equal(rankFor(r.min), r.id));
+});
+
+test('wrong accusations, hints, time and the map cost points', () => {
+    assert.equal(buildScorecard(played({ playTime: PAR_TIME }), LEVEL).score, 100);
+    assert.equal(buildScorecard(played({ playTime: 60, wrongAccusations: 2 }), LEVEL).score, 70);
+    assert.equal(buildScorecard(played({ playTime: 60 }, { hints: { used: 1 } }), LEVEL).score, 92);
+    assert.equal(buildScorecard(played({ playTime: PAR_TIME + 5 * 60 }), LEVEL).score, 90);
+    assert.equal(buildScorecard(played({ playTime: PAR_TIME * 10 }), LEVEL).score, 70, 'time costs at most 30');
+    assert.equal(buildScorecard(played({ playTime: 60, mapTime: 40 }), LEVEL).score, 90);
+    assert.equal(buildScorecard(played({ playTime: 60, roomsVisited: ['Hall'] }), LEVEL).score, 95);
+    assert.equal(buildScorecard(played({ wrongAccusations: 9 }), LEVEL).score, 0);
+});
+
+test('achievements are only earned once', () => {
+    const state = played({ clueTimes: { boots: 10, stain: QUICK_TIME - 1 } });
+    const outcome = { solved: true, rating: CASE.accusation.ratings[2] };
+    const all = earnedAchievements({ state, caseData: CASE, level: LEVEL, outcome });
+    assert.deepEqual(all, ['first_case', 'flawless', 'no_hints', 'no_map', 'top_rating', 'quick', 'explorer', 'uv_marks']);
+    assert.deepEqual(earnedAchievements({ state, caseData: CASE, level: LEVEL, outcome }, all), []);
+});
+
+test('a slow case or a missed room earns less', () => {
+    const state = played({ clueTimes: { boots: 10, stain: QUICK_TIME + 1 }, roomsVisited: ['Hall'] });
+    assert.deepEqual(earnedAchievements({ state, caseData: CASE, level: LEVEL }), ['uv_marks']);
+    // "Under five minutes": the last clue at exactly five is too late
+    const onTheDot = played({ clueTimes: { boots: 10, stain: QUICK_TIME } });
+    assert.equal(earnedAchievements({ state: onTheDot, caseData: CASE, level: LEVEL }).includes('quick'), false);
+});
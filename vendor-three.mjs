@@ -0,0 +1,22 @@
+// Copy the parts of three.js the game imports from node_modules into vendor/,
+// so the game (and the service worker's offline cache) never needs the CDN.
+// Run after `npm install` whenever the three version changes.
+import { copyFileSync, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+
+const FILES = [
+    'build/three.module.min.js',
+    'examples/jsm/controls/TransformControls.js',
+    'examples/jsm/loaders/GLTFLoader.js',
+    'examples/jsm/utils/BufferGeometryUtils.js',
+];
+
+const { version } = JSON.parse(readFileSync('node_modules/three/package.json', 'utf8'));
+
+FILES.forEach(file => {
+    const to = `vendor/three/${file}`;
+    mkdirSync(dirname(to), { recursive: true });
+    copyFileSync(`node_modules/three/${file}`, to);
+    console.log(`Copied ${to}`);
+});
+console.log(`Vendored three ${version}`);